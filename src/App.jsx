@@ -1,91 +1,533 @@
 // src/App.jsx
-import html2canvas from "html2canvas";
-import jsPDF from "jspdf";
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
-import { formatRhythm } from "./utils/formatRhythm.js";
-
-/**
- * Split text into rows; each line -> row; each row -> words (whitespace split)
- */
-function normalizeTextToRows(text) {
-  return text
-    .replace(/\r\n/g, "\n")
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l.length > 0)
-    .map((l) => l.split(/\s+/).filter(Boolean));
+import BarMenu from "./components/BarMenu.jsx";
+import ChordDiagrams from "./components/ChordDiagrams.jsx";
+import GridRow from "./components/GridRow.jsx";
+import LaneEditor from "./components/LaneEditor.jsx";
+import PdfExportDialog from "./components/PdfExportDialog.jsx";
+import PerformanceView from "./components/PerformanceView.jsx";
+import PlaybackBar from "./components/PlaybackBar.jsx";
+import SetlistPanel from "./components/SetlistPanel.jsx";
+import SongForm from "./components/SongForm.jsx";
+import SongLibrary from "./components/SongLibrary.jsx";
+import { createAudioPlayer } from "./utils/audioPlayer.js";
+import {
+  isEmptyBorder,
+  markText,
+  repeatText,
+  voltaCells,
+  withBarLine,
+} from "./utils/barLines.js";
+import {
+  analyzeBars,
+  describeBar,
+  TIME_SIGNATURES,
+} from "./utils/barAnalysis.js";
+import { cellMarkTexts, HAIRPINS, hairpinCells } from "./utils/cellMarks.js";
+import { DIAGRAM_INSTRUMENTS, diagramsForRows } from "./utils/chordDiagrams.js";
+import {
+  chordTextsInOrder,
+  inferKey,
+  keyName,
+  MAJOR_KEYS,
+  MINOR_KEYS,
+  parseKey,
+  semitonesBetweenKeys,
+  spellingForKey,
+  transposeChordText,
+} from "./utils/chords.js";
+import {
+  CHORDPRO_FILE_EXTENSION,
+  isChordPro,
+  isChordProFile,
+  parseChordPro,
+  toChordPro,
+} from "./utils/chordPro.js";
+import {
+  CHORD_SHEET_FILE_EXTENSION,
+  isChordsOverLyrics,
+  parseChordsOverLyrics,
+  toChordsOverLyrics,
+} from "./utils/chordSheet.js";
+import {
+  formatRhythm,
+  parseRhythm,
+  renderRhythm,
+} from "./utils/formatRhythm.js";
+import { downloadFile } from "./utils/download.js";
+import {
+  cellsBetween,
+  clearCells,
+  clipboardText,
+  copyCells,
+  fillRight,
+  parseClipboardText,
+  pasteCells,
+  rowCell,
+  stepCell,
+  typesOfLane,
+} from "./utils/gridEditing.js";
+import {
+  recordHistory,
+  redoHistory,
+  restoreHistory,
+  undoHistory,
+} from "./utils/history.js";
+import {
+  cachedLayout,
+  measureTextPx,
+  packColumns,
+  rowSlices,
+} from "./utils/layout.js";
+import { HYPHENATION_LANGUAGES, loadHyphenator } from "./utils/hyphenation.js";
+import {
+  chordLaneIds,
+  laneTypeInfo,
+  printedLanes,
+  visibleLanes,
+  withoutLaneValues,
+} from "./utils/lanes.js";
+import { mapSyllablePositions, normalizeTextToRows } from "./utils/lyrics.js";
+import {
+  MIDI_FILE_EXTENSION,
+  MIDI_MIME_TYPE,
+  toMidi,
+} from "./utils/midiExport.js";
+import {
+  MUSICXML_FILE_EXTENSION,
+  MUSICXML_MIME_TYPE,
+  toMusicXml,
+} from "./utils/musicXml.js";
+import { CHORD_DISPLAYS, displayChordText } from "./utils/numberChords.js";
+import { renderSetlistPdf, renderSongPdf } from "./utils/pdfRenderer.js";
+import { buildPlaybackSchedule } from "./utils/playback.js";
+import {
+  reconcileAnnotations,
+  rekeyAnnotations,
+} from "./utils/reconcileRows.js";
+import { parseSections, playOrder, sectionTitle } from "./utils/sections.js";
+import {
+  CAPO_MAX,
+  clampCapo,
+  clampTempo,
+  createSongDocument,
+  parseSongDocument,
+  serializeSongDocument,
+  songFileName,
+  songMetaOf,
+  songSlug,
+} from "./utils/songDocument.js";
+import {
+  deleteSong,
+  duplicateSong,
+  listSongs,
+  loadHistory,
+  loadInitialSong,
+  loadSong,
+  renameSong,
+  saveHistory,
+  saveSong,
+  setCurrentSongId,
+} from "./utils/songLibrary.js";
+import {
+  bookletEntries,
+  createSetlist,
+  deleteSetlist,
+  getCurrentSetlistId,
+  listSetlists,
+  saveSetlist,
+  setCurrentSetlistId,
+} from "./utils/setlists.js";
+
+// average preview character (14px) incl. its share of the cell padding:
+// turns the grid widths into monospace columns
+const MONO_CHAR_PX = 8;
+
+// pasted/dropped chord text: ChordPro or chords above the lyrics
+function parseChordText(text) {
+  if (isChordPro(text)) return parseChordPro(text);
+  if (isChordsOverLyrics(text)) return parseChordsOverLyrics(text);
+  return null;
 }
 
-function measureTextPx(text, font) {
-  const canvas =
-    measureTextPx._c || (measureTextPx._c = document.createElement("canvas"));
-  const ctx = canvas.getContext("2d");
-  ctx.font = font;
-  const s = String(text ?? "");
-  return Math.ceil(ctx.measureText(s).width) + 4;
-}
+const range = (from, to) =>
+  Array.from({ length: to - from }, (_, i) => from + i);
 
-/**
- * Packs column indices into multiple lines so that each "row line"
- * fits into maxRowPx (no horizontal scrollbars).
- */
-function packColumns(widths, maxRowPx) {
-  const lines = [];
-  let current = [];
-  let currentW = 0;
-
-  for (let i = 0; i < widths.length; i++) {
-    const w = widths[i];
-
-    if (current.length === 0) {
-      current.push(i);
-      currentW = w;
-      continue;
-    }
+// autosave compares content only; updatedAt changes on every save
+const contentKey = (doc) => JSON.stringify({ ...doc, updatedAt: undefined });
 
-    if (currentW + w <= maxRowPx) {
-      current.push(i);
-      currentW += w;
-      continue;
-    }
+const AUTOSAVE_DELAY_MS = 400;
 
-    lines.push(current);
-    current = [i];
-    currentW = w;
-  }
+const UNSAVED_CONFIRM =
+  "Dit lied kon niet bewaard worden. Toch verdergaan? De niet bewaarde wijzigingen gaan verloren.";
 
-  if (current.length) lines.push(current);
-  return lines;
+// saveSong & co. throw when the browser storage is full: the song stays in
+// memory and the error shows until a later save succeeds
+function trySave(save, setSaveError) {
+  try {
+    const result = save();
+    setSaveError(null);
+    return result;
+  } catch (err) {
+    setSaveError(err.message);
+    return null;
+  }
+}
+// longer songs render only the rows near the screen (see GridRow)
+const VIRTUALIZE_MIN_ROWS = 80;
+
+// what the cell state of an orphaned word held: bar lines, marks, markings
+function borderTexts(state) {
+  const lines = `${state.left ? "L" : ""}${state.right ? "R" : ""}`;
+  return [
+    lines && `lijn: ${lines}`,
+    markText(state.mark),
+    repeatText(state),
+    state.ending && `${state.ending}.`,
+    ...cellMarkTexts(state).map((mark) => mark.text),
+    HAIRPINS.find((h) => h.hairpin === state.hairpin)?.label,
+    state.fermata && "Fermate",
+  ].filter(Boolean);
 }
 
 export default function App() {
-  const [rawText, setRawText] = useState("");
+  const [initialDoc] = useState(loadInitialSong);
+
+  // id/title/key/... of the open song (see utils/songDocument.js)
+  const [songMeta, setSongMeta] = useState(() => songMetaOf(initialDoc));
+  const [songs, setSongs] = useState(listSongs);
+  const [saveError, setSaveError] = useState(null);
+  const [setlists, setSetlists] = useState(listSetlists);
+  const [setlistId, setSetlistId] = useState(getCurrentSetlistId);
+  const setlist = setlists.find((s) => s.id === setlistId) ?? null;
+
+  const [rawText, setRawText] = useState(initialDoc.rawText);
 
   // inputValues key: `${row}:${col}:${type}` where type: chord|rhythm|note
-  const [inputValues, setInputValues] = useState({});
+  const [inputValues, setInputValues] = useState(initialDoc.inputValues);
 
   // borders key: `${row}:${col}` -> {left,right}
-  const [borders, setBorders] = useState({});
+  const [borders, setBorders] = useState(initialDoc.borders);
+
+  // undo/redo over rawText + inputValues + borders (see utils/history.js);
+  // every content change is recorded by the effect below
+  const [history, setHistory] = useState(() =>
+    restoreHistory(loadHistory(initialDoc.id), initialDoc),
+  );
+  const historyGroupRef = useRef(null); // set by the setter that changes content
+
+  // annotations whose word disappeared from the lyrics (see updateRawText)
+  const [orphans, setOrphans] = useState([]);
 
   const [isDragging, setIsDragging] = useState(false);
 
-  // toggles (defaults: chords ON, rest OFF)
-  const [showChords, setShowChords] = useState(true);
-  const [showRhythm, setShowRhythm] = useState(false);
-  const [showNotes, setShowNotes] = useState(false);
+  // annotation lanes (defaults: chords shown, rhythm/notes hidden — see
+  // utils/lanes.js); the built-in ones also switch their tools on and off,
+  // the chord tools follow every lane of type chord
+  const [lanes, setLanes] = useState(initialDoc.lanes);
+  const [showLaneEditor, setShowLaneEditor] = useState(false);
+  const shownLanes = useMemo(() => visibleLanes(lanes), [lanes]);
+  const laneShown = (id) => shownLanes.some((lane) => lane.id === id);
+  const chordLanes = useMemo(() => chordLaneIds(lanes), [lanes]);
+  const shownChordLanes = chordLaneIds(shownLanes);
+  const showChords = shownChordLanes.length > 0;
+  const showRhythm = laneShown("rhythm");
+  const setLaneVisible = (id, visible) =>
+    setLanes((prev) =>
+      prev.map((lane) => (lane.id === id ? { ...lane, visible } : lane)),
+    );
+  const laneOf = (id) => lanes.find((lane) => lane.id === id);
+  const laneName = (id) => laneOf(id)?.name ?? id;
+  const laneTypeOf = (id) => laneOf(id)?.type ?? "text";
+  const [chordDisplay, setChordDisplay] = useState(
+    initialDoc.view.chordDisplay,
+  );
+  const [diagrams, setDiagrams] = useState(initialDoc.view.diagrams);
 
   // editing state (only used for rhythm “pretty view”)
   const [editingKey, setEditingKey] = useState(null); // e.g. "3:5:rhythm"
-  const makeEditKey = (rowIndex, colIndex, type) =>
-    `${rowIndex}:${colIndex}:${type}`;
-  const isEditing = (rowIndex, colIndex, type) =>
-    editingKey === makeEditKey(rowIndex, colIndex, type);
 
-  const printableRef = useRef(null);
+  // playback (session only, not part of the song document; tempo is)
+  const [playback, setPlayback] = useState({
+    voicing: "block",
+    rhythmMode: "hits",
+    metronome: false,
+    loop: false,
+    fromRow: 1,
+    toRow: 0, // 0 = till the end
+  });
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playingCell, setPlayingCell] = useState(null); // e.g. "3:5"
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const player = createAudioPlayer({
+      onCell: setPlayingCell,
+      onStop: () => {
+        setIsPlaying(false);
+        setPlayingCell(null);
+      },
+    });
+    playerRef.current = player;
+    return () => player.stop();
+  }, []);
+
   const previewRef = useRef(null);
 
-  const rows = useMemo(() => normalizeTextToRows(rawText), [rawText]);
+  // automatic hyphenation: patterns load on demand (see utils/hyphenation.js)
+  const [hyphenators, setHyphenators] = useState({}); // lang -> fn
+  const hyphenate = hyphenators[songMeta.hyphenation] ?? null;
+
+  useEffect(() => {
+    const lang = songMeta.hyphenation;
+    if (lang === "off" || hyphenators[lang]) return;
+    let live = true;
+    // a language pack that does not load leaves the words unsplit
+    loadHyphenator(lang)
+      .then((fn) => {
+        if (live && fn) setHyphenators((prev) => ({ ...prev, [lang]: fn }));
+      })
+      .catch(() => {});
+    return () => {
+      live = false;
+    };
+  }, [songMeta.hyphenation, hyphenators]);
+
+  const rows = useMemo(
+    () => normalizeTextToRows(rawText, { hyphenate }),
+    [rawText, hyphenate],
+  );
+  const sections = useMemo(() => parseSections(rawText), [rawText]);
+
+  const currentDocument = useMemo(
+    () =>
+      createSongDocument({
+        ...songMeta,
+        rawText,
+        inputValues,
+        borders,
+        lanes,
+        view: { chordDisplay, diagrams },
+      }),
+    [songMeta, rawText, inputValues, borders, lanes, chordDisplay, diagrams],
+  );
+
+  // --- persistence: autosave + library actions ---
+  const lastSavedRef = useRef(contentKey(initialDoc));
+
+  // false when the song could not be saved
+  const saveNow = (doc = currentDocument) => {
+    const key = contentKey(doc);
+    if (key === lastSavedRef.current) return true;
+    if (!trySave(() => saveSong(doc), setSaveError)) return false;
+    setCurrentSongId(doc.id);
+    lastSavedRef.current = key;
+    setSongs(listSongs());
+    return true;
+  };
+
+  // before switching songs: save, or let the user choose to lose the changes
+  const leaveSong = () => saveNow() || window.confirm(UNSAVED_CONFIRM);
+
+  useEffect(() => {
+    if (contentKey(currentDocument) === lastSavedRef.current) return;
+    const t = setTimeout(() => {
+      if (!trySave(() => saveSong(currentDocument), setSaveError)) return;
+      setCurrentSongId(currentDocument.id);
+      lastSavedRef.current = contentKey(currentDocument);
+      setSongs(listSongs());
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(t);
+  }, [currentDocument]);
+
+  // --- undo/redo ---
+  // undo/redo/open song set history.present to the restored content first,
+  // so recording it again below is a no-op
+  useEffect(() => {
+    const group = historyGroupRef.current;
+    historyGroupRef.current = null;
+    setHistory((prev) =>
+      recordHistory(prev, { rawText, inputValues, borders }, { group }),
+    );
+  }, [rawText, inputValues, borders]);
+
+  useEffect(() => {
+    const t = setTimeout(
+      () => saveHistory(songMeta.id, history),
+      AUTOSAVE_DELAY_MS,
+    );
+    return () => clearTimeout(t);
+  }, [history, songMeta.id]);
+
+  const restoreSnapshot = (next) => {
+    setHistory(next);
+    setRawText(next.present.rawText);
+    setInputValues(next.present.inputValues);
+    setBorders(next.present.borders);
+    setOrphans([]);
+    setEditingKey(null);
+  };
+
+  const undo = () => {
+    if (history.past.length) restoreSnapshot(undoHistory(history));
+  };
+
+  const redo = () => {
+    if (history.future.length) restoreSnapshot(redoHistory(history));
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) everywhere, also in the textarea:
+  // the browser's own undo does not know about annotations
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  const applyDocument = (doc) => {
+    setHistory(restoreHistory(loadHistory(doc.id), doc));
+    setSongMeta(songMetaOf(doc));
+    setRawText(doc.rawText);
+    setInputValues(doc.inputValues);
+    setBorders(doc.borders);
+    setLanes(doc.lanes);
+    setChordDisplay(doc.view.chordDisplay);
+    setDiagrams(doc.view.diagrams);
+    setOrphans([]);
+    setEditingKey(null);
+    setCurrentSongId(doc.id);
+    lastSavedRef.current = contentKey(doc);
+  };
+
+  // a new or imported song; when it cannot be saved, autosave tries again
+  const openNewDocument = (doc) => {
+    const saved = trySave(() => saveSong(doc), setSaveError);
+    applyDocument(saved ?? doc);
+    if (!saved) lastSavedRef.current = null;
+  };
+
+  const onNewSong = () => {
+    if (!leaveSong()) return;
+    const doc = createSongDocument();
+    openNewDocument(doc);
+    setSongs(listSongs());
+  };
+
+  const onOpenSong = (id) => {
+    if (!leaveSong()) return;
+    const doc = loadSong(id);
+    if (doc) applyDocument(doc);
+  };
+
+  const onRenameSong = (id, title) => {
+    if (id === songMeta.id) {
+      setSongMeta((prev) => ({ ...prev, title }));
+      return;
+    }
+    trySave(() => renameSong(id, title), setSaveError);
+    setSongs(listSongs());
+  };
+
+  const onDuplicateSong = (id) => {
+    saveNow();
+    trySave(() => duplicateSong(id), setSaveError);
+    setSongs(listSongs());
+  };
+
+  const onDeleteSong = (id) => {
+    deleteSong(id);
+    if (id === songMeta.id) applyDocument(loadInitialSong());
+    setSongs(listSongs());
+  };
+
+  const onExportSong = () =>
+    downloadFile(
+      songFileName(songMeta.title),
+      serializeSongDocument(currentDocument),
+      "application/json",
+    );
+
+  const onExportChordPro = () =>
+    downloadFile(
+      `${songSlug(songMeta.title)}${CHORDPRO_FILE_EXTENSION}`,
+      toChordPro({ rawText, inputValues, meta: songMeta, hyphenate }),
+    );
+
+  // chords above the lyrics, aligned like the preview grid
+  const onExportChordSheet = () =>
+    downloadFile(
+      `${songSlug(songMeta.title)}${CHORD_SHEET_FILE_EXTENSION}`,
+      toChordsOverLyrics({
+        rawText,
+        inputValues,
+        meta: songMeta,
+        hyphenate,
+        columnWidths: (row) =>
+          getRowLayout(rows[row], row).widths.map((px) =>
+            Math.round(px / MONO_CHAR_PX),
+          ),
+      }),
+    );
+
+  const onExportMusicXml = () =>
+    downloadFile(
+      `${songSlug(songMeta.title)}${MUSICXML_FILE_EXTENSION}`,
+      toMusicXml({ rawText, inputValues, borders, meta: songMeta, hyphenate }),
+      MUSICXML_MIME_TYPE,
+    );
+
+  const onExportMidi = () =>
+    downloadFile(
+      `${songSlug(songMeta.title)}${MIDI_FILE_EXTENSION}`,
+      toMidi({ rawText, inputValues, meta: songMeta, hyphenate }),
+      MIDI_MIME_TYPE,
+    );
+
+  const onImportSong = async (file) => {
+    try {
+      const text = await file.text();
+      if (isChordProFile(file.name) || !text.trim().startsWith("{")) {
+        // ChordPro or chords-over-lyrics text file -> new song
+        const {
+          rawText: lyrics,
+          inputValues: chords,
+          meta,
+        } = !isChordPro(text) && isChordsOverLyrics(text)
+          ? parseChordsOverLyrics(text)
+          : parseChordPro(text);
+        if (!leaveSong()) return;
+        const doc = createSongDocument({
+          ...meta,
+          rawText: lyrics,
+          inputValues: chords,
+        });
+        openNewDocument(doc);
+        setSongs(listSongs());
+        return;
+      }
+      const imported = parseSongDocument(text);
+      // importing the same file twice must not overwrite the first copy
+      const doc = loadSong(imported.id)
+        ? createSongDocument({ ...imported, id: undefined })
+        : imported;
+      if (!leaveSong()) return;
+      openNewDocument(doc);
+      setSongs(listSongs());
+    } catch (err) {
+      window.alert(`Importeren mislukt: ${err.message}`);
+    }
+  };
 
   // width of preview container to avoid scrollbars (recompute on resize)
   const [previewWidth, setPreviewWidth] = useState(900);
@@ -105,22 +547,53 @@ export default function App() {
     return () => ro.disconnect();
   }, []);
 
-  const getBorderState = (rowIndex, colIndex) => {
-    const key = `${rowIndex}:${colIndex}`;
-    return borders[key] || { left: false, right: false };
-  };
-
-  const toggleBorder = (rowIndex, colIndex, side) => {
+  // stable callbacks (setters only): memoized rows keep their props
+  const toggleBorder = useCallback((rowIndex, colIndex, side) => {
     const key = `${rowIndex}:${colIndex}`;
     setBorders((prev) => {
       const cur = prev[key] || { left: false, right: false };
-      return { ...prev, [key]: { ...cur, [side]: !cur[side] } };
+      // switching a line off also drops its style (double, repeat, ...)
+      return {
+        ...prev,
+        [key]: withBarLine(cur, side, cur[side] ? null : "single"),
+      };
     });
-  };
+  }, []);
+
+  const onWordCellClick = useCallback(
+    (e, rowIndex, colIndex) => {
+      if (e.shiftKey) toggleBorder(rowIndex, colIndex, "left");
+      else toggleBorder(rowIndex, colIndex, "right");
+    },
+    [toggleBorder],
+  );
+
+  // context menu on a word: bar line styles, repeats, endings, marks
+  const [barMenu, setBarMenu] = useState(null); // { row, col, x, y }
+
+  const onWordCellMenu = useCallback(
+    (e, rowIndex, colIndex) => {
+      e.preventDefault();
+      // from the keyboard (menu key) there is no mouse position
+      const rect = e.currentTarget.getBoundingClientRect();
+      setBarMenu({
+        row: rowIndex,
+        col: colIndex,
+        x: e.clientX || rect.left,
+        y: e.clientY || rect.bottom,
+      });
+    },
+    [setBarMenu],
+  );
 
-  const onWordCellClick = (e, rowIndex, colIndex) => {
-    if (e.shiftKey) toggleBorder(rowIndex, colIndex, "left");
-    else toggleBorder(rowIndex, colIndex, "right");
+  const setBorderState = (rowIndex, colIndex, state) => {
+    const key = `${rowIndex}:${colIndex}`;
+    setBorders((prev) => {
+      const next = { ...prev };
+      if (isEmptyBorder(state)) delete next[key];
+      else next[key] = state;
+      return next;
+    });
   };
 
   const getInputKey = (rowIndex, colIndex, type) =>
@@ -131,159 +604,291 @@ export default function App() {
     return inputValues[key] || "";
   };
 
-  const setInputValue = (rowIndex, colIndex, type, value) => {
-    const key = getInputKey(rowIndex, colIndex, type);
+  const setInputValue = useCallback((rowIndex, colIndex, type, value) => {
+    const key = `${rowIndex}:${colIndex}:${type}`;
+    historyGroupRef.current = `cell:${key}`;
     setInputValues((prev) => ({ ...prev, [key]: value }));
-  };
+  }, []);
 
-  const onDropToTextarea = (e) => {
-    e.preventDefault();
-    setIsDragging(false);
-    const text = e.dataTransfer.getData("text/plain");
-    if (text) setRawText((prev) => (prev ? `${prev}\n${text}` : text));
+  // a lane and its cells; undo brings the cells back, not the lane
+  const deleteLane = (id) => {
+    const filled = Object.keys(inputValues).some(
+      (key) => key.endsWith(`:${id}`) && inputValues[key],
+    );
+    const { name } = laneOf(id);
+    if (filled && !window.confirm(`Lijn "${name}" en haar inhoud wissen?`)) {
+      return;
+    }
+    setLanes((prev) => prev.filter((lane) => lane.id !== id));
+    setInputValues((prev) => withoutLaneValues(prev, id));
   };
 
-  const onDragOverTextarea = (e) => {
-    e.preventDefault();
-    if (!isDragging) setIsDragging(true);
+  const songKey =
+    songMeta.key || inferKey(chordTextsInOrder(inputValues, chordLanes));
+
+  // transpose every cell of the chord lanes; targetKey decides the
+  // sharp/flat spelling
+  const transposeSong = (semitones, targetKey) => {
+    const from = parseKey(songKey);
+    const nextKey =
+      targetKey || (from ? keyName(from.pc + semitones, from.minor) : "");
+    const names = spellingForKey(nextKey);
+
+    setInputValues((prev) => {
+      const next = { ...prev };
+      for (const [key, value] of Object.entries(prev)) {
+        if (chordLanes.includes(key.split(":")[2]) && value) {
+          next[key] = transposeChordText(value, semitones, names);
+        }
+      }
+      return next;
+    });
+    if (nextKey) setSongMeta((prev) => ({ ...prev, key: nextKey }));
   };
 
-  const onDragLeaveTextarea = () => setIsDragging(false);
-
-  // PDF export: paginate by .lineGroup so spacing matches UI
-  const exportPdf = async () => {
-    const src = printableRef.current;
-    if (!src) return;
-
-    const SCALE = 2;
+  // chord cell as shown: letters, Nashville numbers or roman numerals
+  const shownChord = (text) =>
+    displayChordText(text, songKey, chordDisplay, songMeta.capo);
 
-    // PDF page + margins (mm)
-    const marginTopMm = 12;
-    const marginBottomMm = 12;
-    const marginLeftMm = 10;
-    const marginRightMm = 10;
+  const changeKey = (targetKey) => {
+    if (!songKey || !targetKey) return;
+    transposeSong(semitonesBetweenKeys(songKey, targetKey), targetKey);
+  };
 
-    // --- 1) Clone offscreen ---
-    const clone = src.cloneNode(true);
-    clone.classList.add("pdf-export");
+  // bar lines = borders; check each bar's rhythm against the time signature
+  const barAnalysis = useMemo(
+    () =>
+      analyzeBars({
+        rows,
+        inputValues,
+        borders,
+        timeSignature: songMeta.timeSignature,
+      }),
+    [rows, inputValues, borders, songMeta.timeSignature],
+  );
 
-    const holder = document.createElement("div");
-    holder.style.position = "fixed";
-    holder.style.left = "-10000px";
-    holder.style.top = "0";
-    holder.style.width = `${Math.ceil(src.getBoundingClientRect().width)}px`;
-    holder.style.background = "#fff";
-    holder.style.zIndex = "-1";
-    holder.style.pointerEvents = "none";
+  const startPlayback = () => {
+    const schedule = buildPlaybackSchedule({
+      rows,
+      inputValues,
+      timeSignature: songMeta.timeSignature,
+      fromRow: playback.fromRow - 1,
+      toRow: (playback.toRow || rows.length) - 1,
+      order: playOrder(sections),
+      chordLanes,
+    });
+    playerRef.current?.play(schedule, {
+      ...playback,
+      tempo: clampTempo(songMeta.tempo),
+    });
+    setIsPlaying(true);
+  };
 
-    holder.appendChild(clone);
-    document.body.appendChild(holder);
+  const stopPlayback = () => playerRef.current?.stop();
+
+  // every lyrics edit goes through here so annotations follow their words
+  // group: undo step to merge with (typing), null = a step of its own
+  const updateRawText = (nextText, group = null) => {
+    historyGroupRef.current = group;
+    const result = reconcileAnnotations({
+      oldRows: rows,
+      newRows: normalizeTextToRows(nextText, { hyphenate }),
+      inputValues,
+      borders,
+    });
 
-    try {
-      await new Promise((r) => requestAnimationFrame(r));
-      await new Promise((r) => requestAnimationFrame(r));
-
-      // --- 2) Replace inputs/textareas with plain divs (no placeholders in PDF) ---
-      const formEls = clone.querySelectorAll("input, textarea");
-      formEls.forEach((el) => {
-        const raw = (el.value ?? "").toString();
-        const type = el.getAttribute("data-type") || "";
-
-        // show formatted rhythm in PDF
-        const value = type === "rhythm" ? formatRhythm(raw) : raw;
-        const fake = document.createElement("div");
-        fake.className = "pdf-field";
-        fake.textContent = value;
-
-        el.replaceWith(fake);
-      });
+    setRawText(nextText);
+    setInputValues(result.inputValues);
+    setBorders(result.borders);
+    if (result.orphans.length) {
+      setOrphans((prev) => [...prev, ...result.orphans]);
+    }
+  };
 
-      clone.getBoundingClientRect();
+  const dismissOrphan = (index) =>
+    setOrphans((prev) => prev.filter((_, i) => i !== index));
+
+  // ChordPro or a chord sheet pasted/dropped into the textarea: the lyrics
+  // replace the selection [start, end) on lines of their own (a drop goes at
+  // the end), chords land on the chord line of the new rows, directives
+  // ("Key: G") fill empty song info, or all of it when the whole song is
+  // replaced
+  const insertChords = (parsed, start = rawText.length, end = start) => {
+    if (hyphenate) {
+      // imported cells are split without automatic hyphenation
+      const plainRows = normalizeTextToRows(parsed.rawText);
+      parsed.inputValues = rekeyAnnotations({
+        positions: mapSyllablePositions(
+          plainRows,
+          normalizeTextToRows(parsed.rawText, { hyphenate }),
+        ),
+        oldRows: plainRows,
+        inputValues: parsed.inputValues,
+        borders: {},
+      }).inputValues;
+    }
+    const before = rawText.slice(0, start);
+    const after = rawText.slice(end);
+    const head = before && !before.endsWith("\n") ? `${before}\n` : before;
+    const tail = after && !after.startsWith("\n") ? `\n${after}` : after;
+    const wholeSong = !head.trim() && !tail.trim();
+    const offset = normalizeTextToRows(head, { hyphenate }).length;
+    const shifted = {};
+    for (const [key, value] of Object.entries(parsed.inputValues)) {
+      const [row, col, type] = key.split(":");
+      shifted[`${Number(row) + offset}:${col}:${type}`] = value;
+    }
+    updateRawText(`${head}${parsed.rawText}${tail}`);
+    setInputValues((prev) => ({ ...prev, ...shifted }));
+    setLaneVisible("chord", true);
+    setSongMeta((prev) => {
+      const next = { ...prev };
+      for (const [field, value] of Object.entries(parsed.meta)) {
+        if (wholeSong || !prev[field]) next[field] = value;
+      }
+      return next;
+    });
+  };
 
-      // --- 3) Setup PDF + compute max page height in PX (based on clone width) ---
-      const pdf = new jsPDF("p", "mm", "a4");
-      const pageWidthMm = pdf.internal.pageSize.getWidth();
-      const pageHeightMm = pdf.internal.pageSize.getHeight();
+  // switching automatic hyphenation re-splits the words; annotations move
+  // along to the same syllable of the same word
+  const changeHyphenation = async (lang) => {
+    const fn = await loadHyphenator(lang).catch(() => null);
+    if (fn) setHyphenators((prev) => ({ ...prev, [lang]: fn }));
+    const result = rekeyAnnotations({
+      positions: mapSyllablePositions(
+        rows,
+        normalizeTextToRows(rawText, { hyphenate: fn }),
+      ),
+      oldRows: rows,
+      inputValues,
+      borders,
+    });
+    setInputValues(result.inputValues);
+    setBorders(result.borders);
+    if (result.orphans.length) {
+      setOrphans((prev) => [...prev, ...result.orphans]);
+    }
+    setSongMeta((prev) => ({ ...prev, hyphenation: lang }));
+  };
 
-      const printableWidthMm = pageWidthMm - marginLeftMm - marginRightMm;
-      const printableHeightMm = pageHeightMm - marginTopMm - marginBottomMm;
+  const insertText = (text) => {
+    const parsed = parseChordText(text);
+    if (parsed) insertChords(parsed);
+    else updateRawText(rawText ? `${rawText}\n${text}` : text);
+  };
 
-      const pageWidthPx = clone.getBoundingClientRect().width;
-      const maxPageHeightPx = Math.floor(
-        printableHeightMm * (pageWidthPx / printableWidthMm),
-      );
+  const onDropToTextarea = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    const text = file
+      ? await file.text()
+      : e.dataTransfer.getData("text/plain");
+    if (text) insertText(text);
+  };
 
-      // --- 4) Build DOM pages based on .lineGroup ---
-      const lineGroups = Array.from(clone.querySelectorAll(".lineGroup"));
+  const onPasteToTextarea = (e) => {
+    const text = e.clipboardData.getData("text/plain");
+    const parsed = parseChordText(text);
+    if (!parsed) return; // gewone tekst: standaard plakken
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.currentTarget;
+    insertChords(parsed, selectionStart, selectionEnd);
+  };
 
-      clone.innerHTML = "";
+  const onDragOverTextarea = (e) => {
+    e.preventDefault();
+    if (!isDragging) setIsDragging(true);
+  };
 
-      const pages = [];
-      const makePage = () => {
-        const page = document.createElement("div");
-        page.className = "pdf-page";
-        clone.appendChild(page);
-        pages.push(page);
-        return page;
-      };
+  const onDragLeaveTextarea = () => setIsDragging(false);
 
-      let page = makePage();
+  // setlists: stored next to the library, songs by reference
+  const selectSetlist = (id) => {
+    setCurrentSetlistId(id);
+    setSetlistId(id);
+  };
 
-      for (const group of lineGroups) {
-        page.appendChild(group);
+  const onCreateSetlist = () => {
+    const name = window.prompt("Naam van de setlist", "Nieuwe setlist");
+    if (!name || !name.trim()) return;
+    const saved = saveSetlist(createSetlist(name.trim()));
+    setSetlists(listSetlists());
+    selectSetlist(saved.id);
+  };
 
-        const h = page.scrollHeight;
-        if (h > maxPageHeightPx && page.childElementCount > 1) {
-          page.removeChild(group);
-          page = makePage();
-          page.appendChild(group);
-        }
-      }
+  const onChangeSetlist = (next) => {
+    saveSetlist(next);
+    setSetlists(listSetlists());
+  };
 
-      // --- 5) Render each page separately ---
-      for (let i = 0; i < pages.length; i++) {
-        const pageEl = pages[i];
-
-        // breathing room to avoid bottom clipping
-        pageEl.style.paddingBottom = "12px";
-
-        const canvas = await html2canvas(pageEl, {
-          scale: SCALE,
-          useCORS: true,
-          backgroundColor: "#ffffff",
-          scrollX: 0,
-          scrollY: 0,
-          windowWidth: Math.ceil(pageWidthPx),
-          windowHeight: Math.ceil(pageEl.getBoundingClientRect().height),
-        });
+  const onDeleteSetlist = () => {
+    deleteSetlist(setlist.id);
+    setSetlists(listSetlists());
+    setSetlistId(null);
+  };
 
-        const imgData = canvas.toDataURL("image/png");
+  // one booklet for the whole gig; the paper settings are those of the
+  // current song's PDF dialog
+  const exportSetlistPdf = async () => {
+    saveNow();
+    try {
+      const pdf = await renderSetlistPdf(
+        setlist.name,
+        await bookletEntries(setlist),
+        songMeta.pdfOptions,
+      );
+      pdf.save(`${songSlug(setlist.name)}.pdf`);
+    } catch (err) {
+      console.error(err);
+      window.alert(`PDF maken mislukt: ${err.message}`);
+    }
+  };
 
-        if (i > 0) pdf.addPage();
+  // PDF export: drawn from the data model (vector + selectable text),
+  // paginated by line group just like the preview
+  const [showExportDialog, setShowExportDialog] = useState(false);
 
-        const imgWidthMm = printableWidthMm;
-        const imgHeightMm = (canvas.height * imgWidthMm) / canvas.width;
+  // stage view: read-only, fullscreen
+  const [performing, setPerforming] = useState(false);
 
-        pdf.addImage(
-          imgData,
-          "PNG",
-          marginLeftMm,
-          marginTopMm,
-          imgWidthMm,
-          imgHeightMm,
-        );
-      }
+  const exportPdf = async (pdfOptions, info) => {
+    setShowExportDialog(false);
+    // remember the settings (and edited song info) with the song
+    setSongMeta((prev) => ({ ...prev, ...info, pdfOptions }));
 
-      pdf.save("word-grid.pdf");
-    } finally {
-      holder.remove();
+    try {
+      const pdf = await renderSongPdf(
+        {
+          rows,
+          inputValues,
+          borders,
+          sections,
+          chordDisplay,
+          diagrams,
+          info: { ...info, key: info.key || songKey },
+        },
+        printedLanes(lanes),
+        pdfOptions,
+      );
+      pdf.save(`${songSlug(info.title)}.pdf`);
+    } catch (err) {
+      console.error(err);
+      window.alert(`PDF maken mislukt: ${err.message}`);
     }
   };
 
+  // text markings above a word, as one line
+  const markLine = (rowIndex, colIndex) =>
+    cellMarkTexts(borders[`${rowIndex}:${colIndex}`])
+      .map((mark) => mark.text)
+      .join(" ");
+
   // layout per row:
-  // column width = max(minCol, word width, chord/rhythm/note content width)
+  // column width = max(minCol, word width, content width of every shown lane)
   // NOTE: for rhythm we also account for the formatted display so it never clips in view mode.
-  const getRowLayout = (words, rowIndex) => {
+  const measureRowLayout = (words, rowIndex) => {
     const minCol = 10;
     const paddingPx = 16; // must match CSS padding L+R in cells/inputs
 
@@ -292,40 +897,367 @@ export default function App() {
     const inputFont =
       '400 14px ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial';
 
-    const chordPH = showChords ? "Chord" : "";
-    const rhythmPH = showRhythm ? "Rhythm" : "";
-    const notePH = showNotes ? "Note" : "";
+    // a lane cell: as typed (while editing) and as shown
+    const laneWidth = (lane, rowIndex, colIndex) => {
+      const raw = getInputValue(rowIndex, colIndex, lane.id);
+      const placeholder = laneTypeInfo(lane.type).placeholder;
+      let shown = raw;
+      if (lane.type === "chord") shown = shownChord(raw);
+      if (lane.type === "rhythm") shown = renderRhythm(parseRhythm(raw));
+      return (
+        Math.max(
+          measureTextPx(raw || placeholder, inputFont),
+          measureTextPx(shown || placeholder, inputFont),
+        ) + paddingPx
+      );
+    };
 
     const widths = words.map((word, colIndex) => {
-      const chord = getInputValue(rowIndex, colIndex, "chord");
-      const rhythmRaw = getInputValue(rowIndex, colIndex, "rhythm");
-      const rhythmPretty = formatRhythm(rhythmRaw);
-      const note = getInputValue(rowIndex, colIndex, "note");
-
       const wWord = measureTextPx(word || "", wordFont) + paddingPx;
+      const wLanes = shownLanes.map((lane) =>
+        laneWidth(lane, rowIndex, colIndex),
+      );
+      // dynamic, stop and cue above the word (see GridRow)
+      const wMarks =
+        measureTextPx(markLine(rowIndex, colIndex), inputFont) + paddingPx;
+      return Math.max(minCol, wWord, ...wLanes, wMarks);
+    });
 
-      const wChord = showChords
-        ? measureTextPx(chord || chordPH, inputFont) + paddingPx
-        : 0;
+    const maxRowPx = Math.max(320, previewWidth - 24);
+    const lines = packColumns(widths, maxRowPx);
 
-      const wRhythm = showRhythm
-        ? Math.max(
-            measureTextPx(rhythmRaw || rhythmPH, inputFont) + paddingPx,
-            measureTextPx(rhythmPretty || rhythmPH, inputFont) + paddingPx,
-          )
-        : 0;
+    return { widths, lines };
+  };
 
-      const wNote = showNotes
-        ? measureTextPx(note || notePH, inputFont) + paddingPx
-        : 0;
+  // cached by everything the layout depends on: only rows whose content (or
+  // the view) changed are measured again, the rest keep the same object
+  const getRowLayout = (words, rowIndex) => {
+    const cells = words.map((_, colIndex) => [
+      ...shownLanes.map((lane) => getInputValue(rowIndex, colIndex, lane.id)),
+      markLine(rowIndex, colIndex),
+    ]);
+    const key = JSON.stringify([
+      words,
+      cells,
+      shownLanes.map((lane) => lane.type),
+      chordDisplay,
+      songKey,
+      songMeta.capo,
+      previewWidth,
+    ]);
+    return cachedLayout(key, () => measureRowLayout(words, rowIndex));
+  };
 
-      return Math.max(minCol, wWord, wChord, wRhythm, wNote);
+  // repeated section ("Chorus ×2"): the rows of the original section with
+  // their chords, read-only; edits happen in the original
+  const renderReprise = (source) =>
+    range(source.startRow, source.endRow).map((rowIndex) => {
+      const words = rows[rowIndex];
+      const { widths, lines } = getRowLayout(words, rowIndex);
+      return (
+        <div className="rowBlock reprise" key={`reprise-${rowIndex}`}>
+          {lines.map((colIdxs, lineIndex) => (
+            <div className="lineGroup" key={`line-${rowIndex}-${lineIndex}`}>
+              {shownLanes.map((lane) => (
+                <div className="rowNoScroll" key={lane.id}>
+                  {colIdxs.map((colIndex) => {
+                    const raw = getInputValue(rowIndex, colIndex, lane.id);
+                    let shown = raw;
+                    if (lane.type === "chord") shown = shownChord(raw);
+                    if (lane.type === "rhythm") {
+                      shown = renderRhythm(parseRhythm(raw));
+                    }
+                    return (
+                      <div
+                        key={`${lane.id}-${rowIndex}-${colIndex}`}
+                        className="cell inputCell"
+                        style={{ width: `${widths[colIndex]}px` }}
+                      >
+                        <span className="input">{shown}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+              <div className="rowNoScroll">
+                {colIdxs.map((colIndex) => (
+                  <div
+                    key={`w-${rowIndex}-${colIndex}`}
+                    className="cell wordCell"
+                    style={{ width: `${widths[colIndex]}px` }}
+                  >
+                    {words[colIndex]}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      );
     });
 
-    const maxRowPx = Math.max(320, previewWidth - 24);
-    const lines = packColumns(widths, maxRowPx);
+  // --- keyboard navigation + multi-cell editing (see utils/gridEditing.js) ---
+  // selection: { lane, anchor, focus } within one lane; lane = a lane id or word
+  const gridRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+  const clipRef = useRef(null); // { lane, cells, text } of the last grid copy
+
+  const navLanes = [...shownLanes.map((lane) => lane.id), "word"];
+  const laneIds = lanes.map((lane) => lane.id);
+
+  const selectedCells = useMemo(() => {
+    if (!selection) return new Set();
+    const cells = cellsBetween(rows, selection.anchor, selection.focus);
+    return new Set(cells.map(({ row, col }) => `${row}:${col}`));
+  }, [rows, selection]);
+
+  const focusCell = (pos, lane) =>
+    gridRef.current
+      ?.querySelector(
+        `[data-row="${pos.row}"][data-col="${pos.col}"][data-type="${lane}"]`,
+      )
+      ?.focus();
+
+  const cellOf = (el) =>
+    el?.dataset?.type && el.dataset.row !== undefined
+      ? {
+          lane: el.dataset.type,
+          pos: { row: Number(el.dataset.row), col: Number(el.dataset.col) },
+        }
+      : null;
+
+  // the selection only counts while its focus cell has the focus
+  const currentSelection = (lane, pos) =>
+    selection?.lane === lane &&
+    selection.focus.row === pos.row &&
+    selection.focus.col === pos.col
+      ? selection
+      : { lane, anchor: pos, focus: pos };
+
+  // clipboard cells -> what to write in `lane`: single-lane copies go into
+  // the lane they are pasted in, word-lane copies carry all annotations
+  const pasteClip = (clip, lane, start) => {
+    const whole = clip.lane === "word" || lane === "word";
+    const cells = whole
+      ? clip.cells
+      : clip.cells.map((cell) => ({ [lane]: cell[clip.lane] }));
+    const types = whole ? typesOfLane(clip.lane, laneIds) : [lane];
+    setInputValues((prev) => pasteCells(rows, prev, start, cells, types));
+  };
 
-    return { widths, lines };
+  const navigatingRef = useRef(false); // focus moved by the keyboard handler
+
+  // rows around the focused cell stay rendered (keyboard navigation)
+  const [activeRow, setActiveRow] = useState(null);
+
+  const onGridFocus = (e) => {
+    const cell = cellOf(e.target);
+    if (cell) setActiveRow(cell.pos.row);
+    if (navigatingRef.current || !selection) return;
+    if (cell && currentSelection(cell.lane, cell.pos) !== selection) {
+      setSelection(null);
+    }
+  };
+
+  const onGridKeyDown = (e) => {
+    const cell = cellOf(e.target);
+    if (!cell) return;
+    const { lane, pos } = cell;
+    const el = e.target;
+    const isInput = el.tagName === "INPUT";
+    const mod = e.ctrlKey || e.metaKey;
+    const sel = currentSelection(lane, pos);
+    const selected = cellsBetween(rows, sel.anchor, sel.focus);
+    const types = typesOfLane(lane, laneIds);
+
+    const go = (next, nextLane = lane, extend = false) => {
+      if (!next) return;
+      e.preventDefault();
+      setSelection(extend ? { lane, anchor: sel.anchor, focus: next } : null);
+      navigatingRef.current = true;
+      focusCell(next, nextLane);
+      navigatingRef.current = false;
+    };
+    // arrows only leave an input when the caret is at its edge
+    const atStart =
+      !isInput || (el.selectionStart === 0 && el.selectionEnd === 0);
+    const atEnd =
+      !isInput ||
+      (el.selectionStart === el.value.length &&
+        el.selectionEnd === el.value.length);
+
+    if (mod) {
+      const k = e.key.toLowerCase();
+      if ((k === "c" || k === "x") && selected.length > 1) {
+        e.preventDefault();
+        const cells = copyCells(inputValues, selected, types);
+        const text = clipboardText(cells, types[0]);
+        clipRef.current = { lane, cells, text };
+        navigator.clipboard?.writeText(text).catch(() => {});
+        if (k === "x") {
+          setInputValues((prev) => clearCells(prev, selected, types));
+        }
+      } else if (k === "v" && lane === "word" && clipRef.current) {
+        // word buttons get no paste event
+        e.preventDefault();
+        pasteClip(clipRef.current, lane, selected[0]);
+      } else if (k === "r" && selected.length > 1) {
+        // fill right (spreadsheet shortcut)
+        e.preventDefault();
+        setInputValues((prev) => fillRight(prev, selected, types));
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case "Tab":
+        go(stepCell(rows, pos, e.shiftKey ? -1 : 1));
+        break;
+      case "ArrowLeft":
+        if (atStart) go(stepCell(rows, pos, -1), lane, e.shiftKey);
+        break;
+      case "ArrowRight":
+        if (atEnd) go(stepCell(rows, pos, 1), lane, e.shiftKey);
+        break;
+      case "ArrowUp":
+      case "ArrowDown": {
+        const d = e.key === "ArrowUp" ? -1 : 1;
+        if (e.shiftKey) {
+          go(rowCell(rows, sel.focus, d), lane, true);
+          break;
+        }
+        const i = navLanes.indexOf(lane) + d;
+        if (i >= 0 && i < navLanes.length) go(pos, navLanes[i]);
+        else {
+          go(rowCell(rows, pos, d), navLanes[d > 0 ? 0 : navLanes.length - 1]);
+        }
+        break;
+      }
+      case "Enter":
+        e.preventDefault(); // on a word: no border toggle
+        go(rowCell(rows, { row: pos.row, col: 0 }, 1));
+        break;
+      case "Escape":
+        setSelection(null);
+        break;
+      case "Delete":
+      case "Backspace":
+        if (selected.length > 1 || lane === "word") {
+          e.preventDefault();
+          setInputValues((prev) => clearCells(prev, selected, types));
+        }
+        break;
+      case "[":
+        if (lane === "word") {
+          e.preventDefault();
+          toggleBorder(pos.row, pos.col, "left");
+        }
+        break;
+      case "]":
+      case "|":
+        if (lane === "word") {
+          e.preventDefault();
+          toggleBorder(pos.row, pos.col, "right");
+        }
+        break;
+    }
+  };
+
+  // paste into an input: a grid copy or tab/newline separated values fill
+  // several cells; anything else is a normal paste
+  const onGridPaste = (e) => {
+    const cell = cellOf(e.target);
+    if (!cell || cell.lane === "word") return;
+    const text = e.clipboardData.getData("text/plain");
+    const clip =
+      clipRef.current?.text === text
+        ? clipRef.current
+        : /[\t\n]/.test(text.trim())
+          ? { lane: cell.lane, cells: parseClipboardText(text, cell.lane) }
+          : null;
+    if (!clip) return;
+    e.preventDefault();
+    pasteClip(clip, cell.lane, cell.pos);
+  };
+
+  // per-row props for the memoized rows: a row whose slices did not change
+  // gets the same objects and is skipped when another row is edited
+  const valueSlices = useMemo(
+    () => rowSlices(inputValues, rows.length),
+    [inputValues, rows.length],
+  );
+  const borderSlices = useMemo(
+    () => rowSlices(borders, rows.length),
+    [borders, rows.length],
+  );
+  const voltaSlices = useMemo(
+    () => rowSlices(voltaCells(rows, borders), rows.length),
+    [rows, borders],
+  );
+  const hairpinSlices = useMemo(
+    () => rowSlices(hairpinCells(rows, borders), rows.length),
+    [rows, borders],
+  );
+  const barSlices = useMemo(() => {
+    const cells = {};
+    for (const [pos, index] of Object.entries(barAnalysis.barOfCell)) {
+      const bar = barAnalysis.bars[index];
+      if (bar.status === "empty") continue;
+      cells[pos] = `${bar.status}\n${describeBar(bar, barAnalysis.timeSig)}`;
+    }
+    return rowSlices(cells, rows.length);
+  }, [barAnalysis, rows.length]);
+  const selectedColsByRow = useMemo(() => {
+    const byRow = {};
+    if (selectedCells.size < 2) return byRow;
+    for (const pos of selectedCells) {
+      const [row, col] = pos.split(":");
+      byRow[row] = `${byRow[row] ?? ","}${col},`;
+    }
+    return byRow;
+  }, [selectedCells]);
+  const rowActions = useMemo(
+    () => ({ setEditingKey, setInputValue, onWordCellClick, onWordCellMenu }),
+    [setInputValue, onWordCellClick, onWordCellMenu],
+  );
+  const virtualize = rows.length >= VIRTUALIZE_MIN_ROWS;
+
+  // one lyric row with its annotation lanes (editable), see GridRow
+  const renderRow = (words, rowIndex) => {
+    const editRow = `${rowIndex}:`;
+    const selectedCols = selectedColsByRow[rowIndex];
+    return (
+      <GridRow
+        key={`row-${rowIndex}`}
+        rowIndex={rowIndex}
+        words={words}
+        layout={getRowLayout(words, rowIndex)}
+        values={valueSlices[rowIndex]}
+        borders={borderSlices[rowIndex]}
+        voltas={voltaSlices[rowIndex]}
+        hairpins={hairpinSlices[rowIndex]}
+        bars={barSlices[rowIndex]}
+        lanes={shownLanes}
+        chordDisplay={chordDisplay}
+        songKey={songKey}
+        capo={songMeta.capo}
+        editing={
+          editingKey?.startsWith(editRow)
+            ? editingKey.slice(editRow.length)
+            : null
+        }
+        selectedLane={selectedCols ? selection.lane : null}
+        selectedCols={selectedCols ?? ""}
+        playingCol={
+          playingCell?.startsWith(editRow)
+            ? Number(playingCell.slice(editRow.length))
+            : -1
+        }
+        virtualize={virtualize}
+        keep={activeRow !== null && Math.abs(activeRow - rowIndex) <= 2}
+        actions={rowActions}
+      />
+    );
   };
 
   return (
@@ -336,32 +1268,175 @@ export default function App() {
           <p className="sub">Songtekst wordt altijd getoond.</p>
         </div>
 
+        <div className="historyActions">
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={undo}
+            disabled={!history.past.length}
+            title="Ongedaan maken (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={redo}
+            disabled={!history.future.length}
+            title="Opnieuw (Ctrl+Shift+Z)"
+          >
+            ↷
+          </button>
+        </div>
+
+        <button
+          className="btn"
+          onClick={() => setPerforming(true)}
+          disabled={rows.length === 0}
+          title="Schermvullend lezen op het podium"
+        >
+          Podium
+        </button>
+
         <button
           className="btn"
-          onClick={exportPdf}
+          onClick={() => setShowExportDialog(true)}
           disabled={rows.length === 0}
         >
           Print → PDF
         </button>
       </header>
 
+      <SongLibrary
+        songs={songs}
+        currentId={songMeta.id}
+        title={songMeta.title}
+        saveError={saveError}
+        onTitleChange={(title) => setSongMeta((prev) => ({ ...prev, title }))}
+        onNew={onNewSong}
+        onOpen={onOpenSong}
+        onRename={onRenameSong}
+        onDuplicate={onDuplicateSong}
+        onDelete={onDeleteSong}
+        onExport={onExportSong}
+        onExportChordPro={onExportChordPro}
+        onExportChordSheet={onExportChordSheet}
+        onExportMusicXml={onExportMusicXml}
+        onExportMidi={onExportMidi}
+        onImport={onImportSong}
+      />
+
+      <SetlistPanel
+        setlists={setlists}
+        setlist={setlist}
+        songs={songs}
+        currentSongId={songMeta.id}
+        onSelect={selectSetlist}
+        onCreate={onCreateSetlist}
+        onRename={(name) => onChangeSetlist({ ...setlist, name })}
+        onDelete={onDeleteSetlist}
+        onChange={onChangeSetlist}
+        onOpenSong={onOpenSong}
+        onExportPdf={exportSetlistPdf}
+      />
+
       <section className="panel">
         <label className="label">Tekst (drag & drop toegestaan)</label>
         <textarea
           className={`textarea ${isDragging ? "dragging" : ""}`}
           placeholder={
-            "Drop hier tekst of plak/typ...\n\nNieuwe lijn = nieuwe rij in de tabel.\nBlanco text cel nodig: typ: . met spatie voor en achter"
+            "Drop hier tekst of een ChordPro-bestand, of plak/typ...\n\nNieuwe lijn = nieuwe rij in de tabel.\nBlanco text cel nodig: typ: . met spatie voor en achter"
           }
           value={rawText}
-          onChange={(e) => setRawText(e.target.value)}
+          onChange={(e) =>
+            updateRawText(
+              e.target.value,
+              e.nativeEvent.inputType?.startsWith("insertFrom") ? null : "text",
+            )
+          }
           onDrop={onDropToTextarea}
+          onPaste={onPasteToTextarea}
           onDragOver={onDragOverTextarea}
           onDragLeave={onDragLeaveTextarea}
         />
+        {orphans.length > 0 && (
+          <div className="orphans">
+            <div className="orphansHeader">
+              <b>Losgekoppelde annotaties</b> (woord verdwenen uit de tekst)
+              <button
+                type="button"
+                className="orphanDismiss"
+                onClick={() => setOrphans([])}
+              >
+                Alles wissen
+              </button>
+            </div>
+            <ul>
+              {orphans.map((o, i) => (
+                <li key={`orphan-${i}`}>
+                  <span className="orphanWord">
+                    {o.word || "?"} (rij {o.row + 1}, woord {o.col + 1})
+                  </span>
+                  {Object.entries(o.values).map(([type, value]) => (
+                    <span className="pill" key={type}>
+                      {laneName(type)}:{" "}
+                      {laneTypeOf(type) === "rhythm"
+                        ? formatRhythm(value)
+                        : value}
+                    </span>
+                  ))}
+                  {o.border &&
+                    borderTexts(o.border).map((text) => (
+                      <span className="pill" key={text}>
+                        {text}
+                      </span>
+                    ))}
+                  <button
+                    type="button"
+                    className="orphanDismiss"
+                    title="Verwijderen"
+                    onClick={() => dismissOrphan(i)}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <div className="hint">
           <b>Tip:</b> sleep tekst van eender waar hier binnen. Tekst aanpassen
           past automatisch de grids aan.
         </div>
+        <div className="hint">
+          <b>Noten:</b> typ toonhoogtes als <code>C4 D#4 Bb3</code> of in
+          solfège <code>do re mi</code> (geen octaaf = 4, <code>r</code> =
+          rust). Met een ritme in dezelfde cel krijgen ze die duren; onder de
+          lijn verschijnt een notenbalk.
+        </div>
+        <div className="hint">
+          <b>Nummers:</b> typ in een akkoordcel <code>1 4 5m 6- 2/4</code> of{" "}
+          <code>I IV V vi</code>: bij het verlaten van de cel worden het
+          akkoorden in de toonsoort van het lied.
+        </div>
+        <div className="hint">
+          <b>Lettergrepen:</b> typ <code>hal-le-lu-jah</code> of{" "}
+          <code>hal~le~lu~jah</code> om een woord over meerdere cellen te
+          verdelen (<code>\-</code> = gewoon streepje).{" "}
+          <label className="toggle">
+            Automatisch afbreken
+            <select
+              value={songMeta.hyphenation}
+              onChange={(e) => changeHyphenation(e.target.value)}
+            >
+              {HYPHENATION_LANGUAGES.map((l) => (
+                <option key={l.value} value={l.value}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
         <div className="hint">
           <b>Typen ritme (NOG EXPERIMENTEEL): </b> in de lijn voor ritme typ
           getallen met spaties tussen of | tussen. Deze worden noten wanneer je
@@ -384,8 +1459,12 @@ export default function App() {
               <li>8 = ♪ = eighth note</li>
               <li>16 = 𝅘𝅥𝅯 = sixteenth note</li>
               <li>32 = 𝅘𝅥𝅰 = thirty-second note</li>
+              <li>r4 = 𝄽 = rust (r1, r2, r4, r8, r16, r32)</li>
+              <li>8. = ♪· = gepunteerd (meerdere punten mag)</li>
+              <li>8-8 = ♪–♪ = overbinding (ook 4.-8)</li>
+              <li>3:8 = ♪♪♪³ = triool (3 achtsten in de tijd van 2)</li>
+              <li>&gt;4 = accent, 4x = staccato</li>
             </ul>
-            {/* 1 = 𝄻 = whole rest 2 = 𝄼 = half rest 4 = 𝄽 = quarter rest 8 = 𝄾 = eighth rest 16 = 𝄿 = sixteenth rest Type multiple */}
           </div>
         </div>
       </section>
@@ -407,272 +1486,316 @@ export default function App() {
             >
               Shift+Click = LIJN LINKS aan/uit
             </span>
+            <span
+              className="pill"
+              title={[
+                "Tab / pijltjes: naar de volgende cel of lijn",
+                "Enter: begin van de volgende rij",
+                "[ en ] op een woord: lijn links/rechts aan/uit",
+                "Shift+pijltjes: cellen selecteren",
+                "Ctrl+C / Ctrl+X / Ctrl+V: kopiëren, knippen, plakken",
+                "Delete: selectie wissen",
+                "Ctrl+R: eerste cel naar rechts doortrekken",
+              ].join("\n")}
+            >
+              Toetsenbord
+            </span>
           </div>
 
           <div className="toggles">
+            {lanes.map((lane) => (
+              <label
+                className="toggle"
+                key={lane.id}
+                title={`lijn ${lane.name} tonen/verbergen`}
+              >
+                <input
+                  type="checkbox"
+                  checked={lane.visible}
+                  onChange={(e) => setLaneVisible(lane.id, e.target.checked)}
+                />
+                {lane.name}
+              </label>
+            ))}
+            <button
+              type="button"
+              className="btn btnSmall"
+              aria-pressed={showLaneEditor}
+              onClick={() => setShowLaneEditor((open) => !open)}
+              title="lijnen toevoegen, benoemen, ordenen en verwijderen"
+            >
+              Lijnen…
+            </button>
+          </div>
+        </div>
+
+        {showLaneEditor && (
+          <LaneEditor lanes={lanes} onChange={setLanes} onDelete={deleteLane} />
+        )}
+
+        {showRhythm && (
+          <div className="rhythmTools">
             <label
               className="toggle"
-              title="lijn met akkoorden tonen/verbergen"
+              title="maatsoort: elke maat (tussen twee lijnen) wordt nageteld"
             >
-              <input
-                type="checkbox"
-                checked={showChords}
-                onChange={(e) => setShowChords(e.target.checked)}
-              />
-              Akkoorden
+              Maatsoort
+              <select
+                value={songMeta.timeSignature}
+                onChange={(e) =>
+                  setSongMeta((prev) => ({
+                    ...prev,
+                    timeSignature: e.target.value,
+                  }))
+                }
+              >
+                {TIME_SIGNATURES.map((ts) => (
+                  <option key={ts} value={ts}>
+                    {ts}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <span className="pill barLegend barOver">te lang</span>
+            <span className="pill barLegend barUnder">te kort</span>
+          </div>
+        )}
+
+        {showChords && (
+          <div className="chordTools">
+            <label
+              className="toggle"
+              title="toonsoort van het lied (leeg = afgeleid van het eerste akkoord)"
+            >
+              Toonsoort
+              <select
+                value={songMeta.key}
+                onChange={(e) =>
+                  setSongMeta((prev) => ({ ...prev, key: e.target.value }))
+                }
+              >
+                <option value="">{songKey ? `? (${songKey})` : "?"}</option>
+                {[...MAJOR_KEYS, ...MINOR_KEYS].map((k) => (
+                  <option key={k} value={k}>
+                    {k}
+                  </option>
+                ))}
+              </select>
             </label>
 
-            <label className="toggle" title="lijn met ritme tonen/verbergen">
-              <input
-                type="checkbox"
-                checked={showRhythm}
-                onChange={(e) => setShowRhythm(e.target.checked)}
-              />
-              Ritme
+            <label
+              className="toggle"
+              title={[
+                "akkoorden tonen als letters, Nashville-nummers of Romeinse cijfers",
+                "getypte nummers (1 4 5m 2/4, IV vi) worden akkoorden in de toonsoort",
+              ].join("\n")}
+            >
+              Weergave
+              <select
+                value={chordDisplay}
+                onChange={(e) => setChordDisplay(e.target.value)}
+              >
+                {CHORD_DISPLAYS.map((d) => (
+                  <option key={d.value} value={d.value}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
             </label>
 
-            <label className="toggle" title="lijn met notas tonen/verbergen">
+            <label
+              className="toggle"
+              title="capo op fret …: naast elk akkoord staat de greep die je speelt"
+            >
+              Capo
               <input
-                type="checkbox"
-                checked={showNotes}
-                onChange={(e) => setShowNotes(e.target.checked)}
+                type="number"
+                className="numberInput"
+                min={0}
+                max={CAPO_MAX}
+                value={songMeta.capo}
+                onChange={(e) =>
+                  setSongMeta((prev) => ({
+                    ...prev,
+                    capo: clampCapo(e.target.value),
+                  }))
+                }
               />
-              Notas
+            </label>
+
+            <label
+              className="toggle"
+              title="akkoordschema's boven elke sectie, voor de akkoorden die erin voorkomen"
+            >
+              Schema's
+              <select
+                value={diagrams}
+                onChange={(e) => setDiagrams(e.target.value)}
+              >
+                {DIAGRAM_INSTRUMENTS.map((d) => (
+                  <option key={d.value} value={d.value}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <span className="toggle">
+              Transponeren
+              <button
+                type="button"
+                className="songAction"
+                title="halve toon omlaag"
+                onClick={() => transposeSong(-1)}
+              >
+                −1
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                title="halve toon omhoog"
+                onClick={() => transposeSong(1)}
+              >
+                +1
+              </button>
+            </span>
+
+            <label
+              className="toggle"
+              title="alle akkoorden omzetten naar een andere toonsoort"
+            >
+              Wijzig naar
+              <select
+                value=""
+                disabled={!songKey}
+                onChange={(e) => changeKey(e.target.value)}
+              >
+                <option value="">…</option>
+                {(parseKey(songKey)?.minor ? MINOR_KEYS : MAJOR_KEYS).map(
+                  (k) => (
+                    <option key={k} value={k}>
+                      {k}
+                    </option>
+                  ),
+                )}
+              </select>
             </label>
           </div>
-        </div>
+        )}
+
+        <SongForm sections={sections} />
+
+        <PlaybackBar
+          isPlaying={isPlaying}
+          disabled={rows.length === 0}
+          rowCount={rows.length}
+          tempo={songMeta.tempo}
+          onTempoChange={(tempo) => setSongMeta((prev) => ({ ...prev, tempo }))}
+          options={playback}
+          onChange={(patch) => setPlayback((prev) => ({ ...prev, ...patch }))}
+          onPlay={startPlayback}
+          onStop={stopPlayback}
+        />
 
-        <div className="printableWrap" ref={printableRef}>
+        <div className="printableWrap">
           {rows.length === 0 ? (
             <div className="empty">
               Nog geen tekst. Drop of typ iets hierboven.
             </div>
           ) : (
-            <div className="grid">
-              {rows.map((words, rowIndex) => {
-                const { widths, lines } = getRowLayout(words, rowIndex);
-
-                return (
-                  <div className="rowBlock" key={`row-${rowIndex}`}>
-                    {lines.map((colIdxs, lineIndex) => (
-                      <div
-                        className="lineGroup"
-                        key={`line-${rowIndex}-${lineIndex}`}
-                      >
-                        {/* INPUT LINE: CHORDS */}
-                        {showChords && (
-                          <div className="rowNoScroll">
-                            {colIdxs.map((colIndex) => {
-                              const b = getBorderState(rowIndex, colIndex);
-                              const cls = [
-                                "cell",
-                                "inputCell",
-                                "inputCellTop",
-                                b.left ? "bL" : "",
-                                b.right ? "bR" : "",
-                              ]
-                                .filter(Boolean)
-                                .join(" ");
-
-                              const val = getInputValue(
-                                rowIndex,
-                                colIndex,
-                                "chord",
-                              );
-
-                              return (
-                                <div
-                                  key={`c-${rowIndex}-${colIndex}`}
-                                  className={cls}
-                                  style={{ width: `${widths[colIndex]}px` }}
-                                >
-                                  <input
-                                    data-type="chord"
-                                    title="Chord"
-                                    className="input"
-                                    value={val}
-                                    onChange={(e) =>
-                                      setInputValue(
-                                        rowIndex,
-                                        colIndex,
-                                        "chord",
-                                        e.target.value,
-                                      )
-                                    }
-                                    placeholder="..."
-                                  />
-                                </div>
-                              );
-                            })}
-                          </div>
-                        )}
-
-                        {/* INPUT LINE: RHYTHM (pretty when not editing) */}
-                        {showRhythm && (
-                          <div className="rowNoScroll">
-                            {colIdxs.map((colIndex) => {
-                              const b = getBorderState(rowIndex, colIndex);
-                              const cls = [
-                                "cell",
-                                "inputCell",
-                                b.left ? "bL" : "",
-                                b.right ? "bR" : "",
-                              ]
-                                .filter(Boolean)
-                                .join(" ");
-
-                              const raw = getInputValue(
-                                rowIndex,
-                                colIndex,
-                                "rhythm",
-                              );
-                              const editing = isEditing(
-                                rowIndex,
-                                colIndex,
-                                "rhythm",
-                              );
-                              const displayValue = editing
-                                ? raw
-                                : formatRhythm(raw);
-
-                              return (
-                                <div
-                                  key={`r-${rowIndex}-${colIndex}`}
-                                  className={cls}
-                                  style={{ width: `${widths[colIndex]}px` }}
-                                >
-                                  <input
-                                    data-type="rhythm"
-                                    className="input"
-                                    value={displayValue}
-                                    onFocus={(e) => {
-                                      setEditingKey(
-                                        makeEditKey(
-                                          rowIndex,
-                                          colIndex,
-                                          "rhythm",
-                                        ),
-                                      );
-
-                                      requestAnimationFrame(() => {
-                                        try {
-                                          const el = e.target;
-                                          const len = el.value.length;
-                                          el.setSelectionRange(len, len);
-                                        } catch {
-                                          console.log("error");
-                                        }
-                                      });
-                                    }}
-                                    onBlur={() => setEditingKey(null)}
-                                    onChange={(e) => {
-                                      // only store raw while editing
-                                      if (
-                                        !isEditing(rowIndex, colIndex, "rhythm")
-                                      )
-                                        return;
-                                      setInputValue(
-                                        rowIndex,
-                                        colIndex,
-                                        "rhythm",
-                                        e.target.value,
-                                      );
-                                    }}
-                                    title="Rhythm"
-                                    placeholder="..."
-                                  />
-                                </div>
-                              );
-                            })}
-                          </div>
-                        )}
-
-                        {/* INPUT LINE: NOTES */}
-                        {showNotes && (
-                          <div className="rowNoScroll">
-                            {colIdxs.map((colIndex) => {
-                              const b = getBorderState(rowIndex, colIndex);
-                              const cls = [
-                                "cell",
-                                "inputCell",
-                                b.left ? "bL" : "",
-                                b.right ? "bR" : "",
-                              ]
-                                .filter(Boolean)
-                                .join(" ");
-
-                              const val = getInputValue(
-                                rowIndex,
-                                colIndex,
-                                "note",
-                              );
-
-                              return (
-                                <div
-                                  key={`n-${rowIndex}-${colIndex}`}
-                                  className={cls}
-                                  style={{ width: `${widths[colIndex]}px` }}
-                                >
-                                  <input
-                                    data-type="note"
-                                    className="input"
-                                    value={val}
-                                    onChange={(e) =>
-                                      setInputValue(
-                                        rowIndex,
-                                        colIndex,
-                                        "note",
-                                        e.target.value,
-                                      )
-                                    }
-                                    title="Notes"
-                                    placeholder="..."
-                                  />
-                                </div>
-                              );
-                            })}
-                          </div>
-                        )}
-
-                        {/* WORD LINE (always shown) */}
-                        <div className="rowNoScroll">
-                          {colIdxs.map((colIndex) => {
-                            const word = words[colIndex];
-                            const b = getBorderState(rowIndex, colIndex);
-                            const cls = [
-                              "cell",
-                              "wordCell",
-                              b.left ? "bL" : "",
-                              b.right ? "bR" : "",
-                            ]
-                              .filter(Boolean)
-                              .join(" ");
-
-                            return (
-                              <button
-                                type="button"
-                                key={`w-${rowIndex}-${colIndex}`}
-                                className={cls}
-                                style={{ width: `${widths[colIndex]}px` }}
-                                onClick={(e) =>
-                                  onWordCellClick(e, rowIndex, colIndex)
-                                }
-                                title="Click = RIGHT, Shift+Click = LEFT"
-                              >
-                                {word}
-                              </button>
-                            );
-                          })}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                );
-              })}
+            <div
+              className="grid"
+              ref={gridRef}
+              onKeyDown={onGridKeyDown}
+              onPaste={onGridPaste}
+              onFocus={onGridFocus}
+            >
+              {sections.map((section, sectionIndex) => (
+                <div
+                  className={`section section-${section.kind}`}
+                  id={`section-${sectionIndex}`}
+                  key={`section-${sectionIndex}`}
+                >
+                  {section.label && (
+                    <div className="sectionHeader">
+                      {sectionTitle(section)}
+                      {section.refOf !== null && (
+                        <span className="sectionRef">
+                          herhaling van {sections[section.refOf].label}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {showChords &&
+                    diagrams !== "off" &&
+                    section.refOf === null && (
+                      <ChordDiagrams
+                        shapes={diagramsForRows({
+                          rows,
+                          inputValues,
+                          fromRow: section.startRow,
+                          toRow: section.endRow,
+                          instrument: diagrams,
+                          capo: songMeta.capo,
+                          key: songKey,
+                          chordLanes: shownChordLanes,
+                        })}
+                      />
+                    )}
+                  {section.refOf !== null
+                    ? renderReprise(sections[section.refOf])
+                    : range(section.startRow, section.endRow).map((row) =>
+                        renderRow(rows[row], row),
+                      )}
+                </div>
+              ))}
             </div>
           )}
         </div>
       </section>
+
+      {barMenu && (
+        <BarMenu
+          word={rows[barMenu.row]?.[barMenu.col] ?? ""}
+          state={borders[`${barMenu.row}:${barMenu.col}`]}
+          x={barMenu.x}
+          y={barMenu.y}
+          onChange={(state) => setBorderState(barMenu.row, barMenu.col, state)}
+          onClose={() => {
+            setBarMenu(null);
+            focusCell({ row: barMenu.row, col: barMenu.col }, "word");
+          }}
+        />
+      )}
+
+      {showExportDialog && (
+        <PdfExportDialog
+          initialOptions={songMeta.pdfOptions}
+          initialInfo={{
+            title: songMeta.title,
+            artist: songMeta.artist,
+            key: songMeta.key,
+            tempo: songMeta.tempo,
+            capo: songMeta.capo,
+          }}
+          songKey={songKey}
+          onExport={exportPdf}
+          onCancel={() => setShowExportDialog(false)}
+        />
+      )}
+
+      {performing && (
+        <PerformanceView
+          rows={rows}
+          sections={sections}
+          inputValues={inputValues}
+          borders={borders}
+          lanes={shownLanes}
+          shownChord={shownChord}
+          info={{ ...songMeta, key: songKey }}
+          onClose={() => setPerforming(false)}
+        />
+      )}
     </div>
   );
 }
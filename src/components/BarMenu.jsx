@@ -0,0 +1,248 @@
+// src/components/BarMenu.jsx
+import { useEffect, useRef } from "react";
+import {
+  BAR_MARKS,
+  BAR_STYLES,
+  barStyle,
+  ENDINGS,
+  withBarLine,
+  withMarkup,
+} from "../utils/barLines.js";
+import { DYNAMICS, HAIRPINS, STOPS } from "../utils/cellMarks.js";
+
+const MENU_WIDTH = 260;
+const MENU_HEIGHT = 540;
+
+/**
+ * Context menu of a word cell: bar line left/right, repeat count, ending
+ * (volta) and navigation mark, plus the markings above the word (dynamic,
+ * hairpin, fermata, stop, cue). Changes apply at once through
+ * onChange(nextState); App stores the state in `borders`.
+ */
+export default function BarMenu({ word, state, x, y, onChange, onClose }) {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    menuRef.current?.querySelector("select")?.focus();
+  }, []);
+
+  const left = Math.max(8, Math.min(x, window.innerWidth - MENU_WIDTH - 8));
+  const top = Math.max(8, Math.min(y, window.innerHeight - MENU_HEIGHT - 8));
+  const repeats =
+    barStyle(state, "left") === "repeatEnd" ||
+    barStyle(state, "right") === "repeatEnd";
+
+  const styleSelect = (side) => (
+    <select
+      value={barStyle(state, side) ?? ""}
+      onChange={(e) =>
+        onChange(withBarLine(state, side, e.target.value || null))
+      }
+    >
+      <option value="">geen</option>
+      {BAR_STYLES.map((s) => (
+        <option key={s.style} value={s.style}>
+          {s.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="barMenuBackdrop" onClick={onClose}>
+      <div
+        className="barMenu"
+        role="dialog"
+        aria-label={`Maatstrepen en voordracht bij ${word}`}
+        ref={menuRef}
+        style={{ left, top, width: MENU_WIDTH }}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") {
+            e.stopPropagation();
+            onClose();
+          }
+        }}
+      >
+        <div className="barMenuTitle">{word}</div>
+        <label className="field">
+          Links
+          {styleSelect("left")}
+        </label>
+        <label className="field">
+          Rechts
+          {styleSelect("right")}
+        </label>
+        {repeats && (
+          <label className="field">
+            Aantal keer
+            <input
+              type="number"
+              min={2}
+              max={9}
+              value={state?.repeat ?? 2}
+              onChange={(e) =>
+                onChange(
+                  withMarkup(state, {
+                    repeat: Math.max(2, Number(e.target.value) || 2),
+                  }),
+                )
+              }
+            />
+          </label>
+        )}
+        <label className="field" title="volta: eerste/tweede keer">
+          Volta
+          <select
+            value={state?.ending ?? ""}
+            onChange={(e) =>
+              onChange(withMarkup(state, { ending: e.target.value }))
+            }
+          >
+            <option value="">geen</option>
+            {ENDINGS.map((ending) => (
+              <option key={ending} value={ending}>
+                {ending}.
+              </option>
+            ))}
+          </select>
+        </label>
+        {state?.ending && (
+          <label
+            className="field"
+            title="leeg = tot de volgende maatstreep (of het einde van de rij)"
+          >
+            Over
+            <input
+              type="number"
+              min={1}
+              value={state.endingSpan ?? ""}
+              placeholder="maat"
+              onChange={(e) =>
+                onChange(
+                  withMarkup(state, {
+                    endingSpan: Number(e.target.value) || null,
+                  }),
+                )
+              }
+            />
+            woorden
+          </label>
+        )}
+        <label className="field">
+          Teken
+          <select
+            value={state?.mark ?? ""}
+            onChange={(e) =>
+              onChange(withMarkup(state, { mark: e.target.value }))
+            }
+          >
+            <option value="">geen</option>
+            {BAR_MARKS.map((m) => (
+              <option key={m.mark} value={m.mark}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="barMenuHeading">Boven het woord</div>
+        <label className="field">
+          Dynamiek
+          <select
+            value={state?.dynamic ?? ""}
+            onChange={(e) =>
+              onChange(withMarkup(state, { dynamic: e.target.value }))
+            }
+          >
+            <option value="">geen</option>
+            {DYNAMICS.map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          Crescendo
+          <select
+            value={state?.hairpin ?? ""}
+            onChange={(e) =>
+              onChange(withMarkup(state, { hairpin: e.target.value }))
+            }
+          >
+            <option value="">geen</option>
+            {HAIRPINS.map((h) => (
+              <option key={h.hairpin} value={h.hairpin}>
+                {h.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {state?.hairpin && (
+          <label
+            className="field"
+            title="leeg = tot de volgende maatstreep (of het einde van de rij)"
+          >
+            Over
+            <input
+              type="number"
+              min={1}
+              value={state.hairpinSpan ?? ""}
+              placeholder="maat"
+              onChange={(e) =>
+                onChange(
+                  withMarkup(state, {
+                    hairpinSpan: Number(e.target.value) || null,
+                  }),
+                )
+              }
+            />
+            woorden
+          </label>
+        )}
+        <label className="field">
+          Fermate
+          <input
+            type="checkbox"
+            checked={Boolean(state?.fermata)}
+            onChange={(e) =>
+              onChange(withMarkup(state, { fermata: e.target.checked }))
+            }
+          />
+        </label>
+        <label className="field">
+          Stop
+          <select
+            value={state?.stop ?? ""}
+            onChange={(e) =>
+              onChange(withMarkup(state, { stop: e.target.value }))
+            }
+          >
+            <option value="">geen</option>
+            {STOPS.map((s) => (
+              <option key={s.stop} value={s.stop}>
+                {s.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          Aanwijzing
+          <input
+            value={state?.cue ?? ""}
+            placeholder="band out, build…"
+            onChange={(e) =>
+              onChange(withMarkup(state, { cue: e.target.value }))
+            }
+          />
+        </label>
+        <div className="dialogActions">
+          <button type="button" className="btn btnSmall" onClick={onClose}>
+            Sluiten
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// src/components/ChordDiagrams.jsx
+import { layoutChordDiagram } from "../utils/chordDiagrams.js";
+
+/**
+ * Strip of chord diagrams above a section.
+ * `shapes` come from utils/chordDiagrams.js diagramsForRows.
+ */
+export default function ChordDiagrams({ shapes, size = 10 }) {
+  if (!shapes.length) return null;
+
+  return (
+    <div className="chordDiagrams">
+      {shapes.map((shape) => {
+        const d = layoutChordDiagram(shape, { size });
+        const first = d.strings[0];
+        const last = d.strings[d.strings.length - 1];
+        return (
+          <figure className="chordDiagram" key={shape.name}>
+            <figcaption>{shape.name}</figcaption>
+            <svg
+              width={d.width}
+              height={d.height}
+              viewBox={`0 0 ${d.width} ${d.height}`}
+              aria-label={`${shape.name}: ${shape.frets
+                .map((f) => (f < 0 ? "x" : f))
+                .join(" ")}`}
+            >
+              {d.frets.map((y, i) => (
+                <line
+                  key={`f-${y}`}
+                  x1={first}
+                  x2={last}
+                  y1={y}
+                  y2={y}
+                  className={i === 0 && d.nut ? "nut" : undefined}
+                />
+              ))}
+              {d.strings.map((x) => (
+                <line
+                  key={`s-${x}`}
+                  x1={x}
+                  x2={x}
+                  y1={d.frets[0]}
+                  y2={d.frets[d.frets.length - 1]}
+                />
+              ))}
+              {!d.nut && (
+                <text
+                  x={first - size * 0.35}
+                  y={d.top + size * 0.95}
+                  fontSize={size * 0.9}
+                  textAnchor="end"
+                >
+                  {d.baseFret}
+                </text>
+              )}
+              {d.marks.map((mark) =>
+                mark.muted ? (
+                  <text
+                    key={`m-${mark.x}`}
+                    x={mark.x}
+                    y={mark.y + size * 0.3}
+                    fontSize={size * 0.9}
+                    textAnchor="middle"
+                  >
+                    ×
+                  </text>
+                ) : (
+                  <circle
+                    key={`m-${mark.x}`}
+                    cx={mark.x}
+                    cy={mark.y}
+                    r={size * 0.25}
+                    className="open"
+                  />
+                ),
+              )}
+              {d.dots.map((dot) => (
+                <circle
+                  key={`d-${dot.x}`}
+                  cx={dot.x}
+                  cy={dot.y}
+                  r={size * 0.32}
+                  className="filled"
+                />
+              ))}
+            </svg>
+          </figure>
+        );
+      })}
+    </div>
+  );
+}
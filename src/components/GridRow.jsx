@@ -0,0 +1,404 @@
+// src/components/GridRow.jsx
+import { memo, useEffect, useRef, useState } from "react";
+import { barStyle, markText, repeatText } from "../utils/barLines.js";
+import { cellMarkTexts, hasCellMarks } from "../utils/cellMarks.js";
+import { parseChordCell } from "../utils/chords.js";
+import { parseRhythm, renderRhythm } from "../utils/formatRhythm.js";
+import { melodyEvents, parseNoteCell } from "../utils/notes.js";
+import {
+  displayChordText,
+  parseNumberChord,
+  resolveNumberChordText,
+} from "../utils/numberChords.js";
+import { layoutStaff } from "../utils/staff.js";
+import StaffSnippet from "./StaffSnippet.jsx";
+
+const STAFF_SPACING_PX = 6; // distance between staff lines
+const NO_BORDER = { left: false, right: false };
+
+// bar line style -> class suffix (bLDouble, bRRepeatEnd, ...)
+const BAR_CLASS = {
+  double: "Double",
+  final: "Final",
+  repeatStart: "RepeatStart",
+  repeatEnd: "RepeatEnd",
+};
+
+// marks drawn at the start of the cell; the others go at its end
+const START_MARKS = ["segno", "coda"];
+
+const MARK_CLASS = {
+  dynamic: "markDynamic",
+  stop: "markStop",
+  cue: "markCue",
+};
+
+function Fermata() {
+  return (
+    <svg className="fermata" width="16" height="10" viewBox="0 0 16 10">
+      <path d="M1 9.5 A7 7 0 0 1 15 9.5" fill="none" stroke="currentColor" />
+      <circle cx="8" cy="7.5" r="1.4" fill="currentColor" />
+    </svg>
+  );
+}
+
+// this cell's part of a hairpin wedge: open `from` (left) to `to` (right)
+function HairpinPart({ from, to }) {
+  const y = (open) => 5 - open * 4;
+  return (
+    <svg
+      className="hairpin"
+      viewBox="0 0 100 10"
+      preserveAspectRatio="none"
+      aria-hidden="true"
+    >
+      <line x1="0" y1={y(from)} x2="100" y2={y(to)} />
+      <line x1="0" y1={10 - y(from)} x2="100" y2={10 - y(to)} />
+    </svg>
+  );
+}
+
+// one IntersectionObserver for all rows; rows this far outside the window
+// are already rendered before they scroll in
+let observer = null;
+const watchers = new Map(); // element -> callback
+
+function observeVisibility(el, onChange) {
+  if (!el || typeof IntersectionObserver === "undefined") return undefined;
+  observer ??= new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) watchers.get(entry.target)?.(entry);
+    },
+    { rootMargin: "800px 0px" },
+  );
+  watchers.set(el, onChange);
+  observer.observe(el);
+  return () => {
+    watchers.delete(el);
+    observer.unobserve(el);
+  };
+}
+
+/**
+ * One lyric row with its annotation lanes (editable).
+ * Memoized: App hands it only this row's slices (values, borders, voltas,
+ * bars) and plain strings for editing/selection/playback, so typing in one cell
+ * re-renders one row. With `virtualize` an off-screen row is an empty box
+ * of its last height; `keep` holds it rendered (e.g. the row with focus).
+ */
+function GridRow({
+  rowIndex,
+  words,
+  layout,
+  values,
+  borders,
+  voltas, // col -> { label, first, last } of an ending bracket
+  hairpins, // col -> { hairpin, from, to } (see cellMarks.js)
+  bars,
+  lanes, // visible annotation lanes, top to bottom (see lanes.js)
+  chordDisplay,
+  songKey,
+  capo,
+  editing, // "col:type" of the cell being edited in this row, or null
+  selectedLane,
+  selectedCols, // ",1,2," = selected columns in selectedLane
+  playingCol,
+  virtualize,
+  keep,
+  actions,
+}) {
+  const ref = useRef(null);
+  const [view, setView] = useState({ onScreen: true, height: 0 });
+
+  useEffect(() => {
+    if (!virtualize) return undefined;
+    return observeVisibility(ref.current, (entry) =>
+      setView((prev) =>
+        // leaving the screen: remember the real height for the empty box
+        entry.isIntersecting
+          ? prev.onScreen
+            ? prev
+            : { ...prev, onScreen: true }
+          : { onScreen: false, height: entry.boundingClientRect.height },
+      ),
+    );
+  }, [virtualize]);
+
+  const rendered = !virtualize || view.onScreen || keep;
+  if (!rendered) {
+    return (
+      <div
+        className="rowBlock rowPlaceholder"
+        data-row-block={rowIndex}
+        ref={ref}
+        style={{ height: `${view.height}px` }}
+      />
+    );
+  }
+
+  const { widths, lines } = layout;
+  const value = (col, type) => values[`${col}:${type}`] || "";
+  const border = (col) => borders[col] ?? NO_BORDER;
+  // bar line classes of a column (all lanes, so the line runs through)
+  const barClasses = (col) => {
+    const b = border(col);
+    return ["left", "right"].flatMap((side) => {
+      const style = barStyle(b, side);
+      const prefix = side === "left" ? "bL" : "bR";
+      if (!style) return [];
+      return BAR_CLASS[style] ? [prefix, prefix + BAR_CLASS[style]] : [prefix];
+    });
+  };
+  const isEditing = (col, type) => editing === `${col}:${type}`;
+  const isSelected = (col, lane) =>
+    selectedLane === lane && selectedCols.includes(`,${col},`);
+  const { setEditingKey, setInputValue, onWordCellClick, onWordCellMenu } =
+    actions;
+  const editKey = (col, type) => `${rowIndex}:${col}:${type}`;
+  const withMelody = lanes.some((lane) => lane.id === "note");
+
+  // staff snippet for one line group; nothing when it has no notes
+  const renderStaff = (colIdxs) => {
+    let x = 0;
+    const cells = colIdxs.map((colIndex) => {
+      const cell = {
+        x,
+        width: widths[colIndex],
+        ...melodyEvents(value(colIndex, "note"), value(colIndex, "rhythm")),
+      };
+      x += widths[colIndex];
+      return cell;
+    });
+    const staff = layoutStaff(cells, { spacing: STAFF_SPACING_PX });
+    return staff && <StaffSnippet staff={staff} width={x} />;
+  };
+
+  const cellClass = (colIndex, lane, ...extra) =>
+    [
+      "cell",
+      "inputCell",
+      ...extra,
+      isSelected(colIndex, lane) ? "selected" : "",
+      ...barClasses(colIndex),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+  // endings, segno/coda, D.C./D.S., repeat counts and the markings above
+  // the word (dynamics, hairpins, fermata, stops, cues) above the lanes
+  const hasMarks = (colIdxs) =>
+    colIdxs.some(
+      (col) =>
+        voltas[col] ||
+        hairpins[col] ||
+        border(col).mark ||
+        repeatText(border(col)) ||
+        hasCellMarks(border(col)),
+    );
+  const renderMarks = (colIdxs) => (
+    <div className="rowNoScroll barMarkLine">
+      {colIdxs.map((colIndex) => {
+        const b = border(colIndex);
+        const volta = voltas[colIndex];
+        const hairpin = hairpins[colIndex];
+        const cls = [
+          "barMarkCell",
+          volta ? "volta" : "",
+          volta?.first ? "voltaFirst" : "",
+          volta?.last ? "voltaLast" : "",
+        ]
+          .filter(Boolean)
+          .join(" ");
+        const atStart = START_MARKS.includes(b.mark);
+        const endText = [repeatText(b), atStart ? "" : markText(b.mark)]
+          .filter(Boolean)
+          .join("  ");
+        return (
+          <div
+            key={`m-${rowIndex}-${colIndex}`}
+            className={cls}
+            style={{ width: `${widths[colIndex]}px` }}
+          >
+            <span className="cellMarks">
+              {volta?.label}
+              {atStart && <b className="barMark">{markText(b.mark)}</b>}
+              {b.fermata && <Fermata />}
+              {cellMarkTexts(b).map(({ kind, text }) => (
+                <span key={kind} className={MARK_CLASS[kind]}>
+                  {text}
+                </span>
+              ))}
+            </span>
+            {endText && <b className="barMark">{endText}</b>}
+            {hairpin && <HairpinPart from={hairpin.from} to={hairpin.to} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  // one cell of an annotation lane; parsing and display follow the lane type
+  const renderLaneCell = (lane, colIndex) => {
+    const raw = value(colIndex, lane.id);
+    const editing = isEditing(colIndex, lane.id);
+    const store = (text) => setInputValue(rowIndex, colIndex, lane.id, text);
+    let cls;
+    let title = lane.name;
+    let shown = raw;
+    const input = { onChange: (e) => store(e.target.value) };
+
+    if (lane.type === "chord") {
+      // number chords are fine while typing: they resolve on blur
+      const invalid = parseChordCell(raw).invalid.filter(
+        (tok) => !(editing && parseNumberChord(tok)),
+      );
+      cls = cellClass(
+        colIndex,
+        lane.id,
+        "inputCellTop",
+        invalid.length ? "invalidChord" : "",
+      );
+      if (invalid.length) title = `Onbekend akkoord: ${invalid.join(", ")}`;
+      if (!editing) shown = displayChordText(raw, songKey, chordDisplay, capo);
+      input.onFocus = () => setEditingKey(editKey(colIndex, lane.id));
+      input.onBlur = () => {
+        setEditingKey(null);
+        const resolved = resolveNumberChordText(raw, songKey);
+        if (resolved !== raw) store(resolved);
+      };
+      input.onChange = (e) => {
+        // only store raw while editing
+        if (editing) store(e.target.value);
+      };
+    } else if (lane.type === "rhythm") {
+      // bars are counted on the song's rhythm lane only
+      const [status, barTitle] =
+        lane.id === "rhythm" ? (bars[colIndex] ?? "").split("\n") : [];
+      const parsed = parseRhythm(raw);
+      cls = cellClass(
+        colIndex,
+        lane.id,
+        status === "over" ? "barOver" : "",
+        status === "under" ? "barUnder" : "",
+        status === "unknown" ? "barUnknown" : "",
+        parsed.errors.length ? "rhythmError" : "",
+      );
+      if (parsed.errors.length) {
+        title = parsed.errors.map((err) => err.message).join("\n");
+      } else if (barTitle) {
+        title = barTitle;
+      }
+      if (!editing) shown = renderRhythm(parsed);
+      input.onFocus = (e) => {
+        setEditingKey(editKey(colIndex, lane.id));
+
+        requestAnimationFrame(() => {
+          try {
+            const el = e.target;
+            const len = el.value.length;
+            el.setSelectionRange(len, len);
+          } catch {
+            console.log("error");
+          }
+        });
+      };
+      input.onBlur = () => setEditingKey(null);
+      input.onChange = (e) => {
+        // only store raw while editing
+        if (editing) store(e.target.value);
+      };
+    } else if (lane.type === "note") {
+      const { invalid } = parseNoteCell(raw);
+      cls = cellClass(colIndex, lane.id, invalid.length ? "invalidChord" : "");
+      title = `${lane.name} (C4 D#4 Bb3 of do re mi)`;
+      // the melody takes its durations from the rhythm lane
+      const { unmatched } =
+        lane.id === "note"
+          ? melodyEvents(raw, value(colIndex, "rhythm"))
+          : { unmatched: 0 };
+      if (invalid.length) {
+        title = `Onbekende noot: ${invalid.join(", ")}`;
+      } else if (unmatched > 0) {
+        title = `${unmatched} noot/noten meer dan ritmewaarden`;
+      } else if (unmatched < 0 && raw.trim()) {
+        title = `${-unmatched} ritmewaarde(n) zonder noot`;
+      }
+    } else {
+      cls = cellClass(colIndex, lane.id);
+    }
+
+    return (
+      <div
+        key={`${lane.id}-${rowIndex}-${colIndex}`}
+        className={cls}
+        style={{ width: `${widths[colIndex]}px` }}
+      >
+        <input
+          data-type={lane.id}
+          data-row={rowIndex}
+          data-col={colIndex}
+          className="input"
+          value={shown}
+          title={title}
+          placeholder="..."
+          {...input}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="rowBlock" data-row-block={rowIndex} ref={ref}>
+      {lines.map((colIdxs, lineIndex) => (
+        <div className="lineGroup" key={`line-${rowIndex}-${lineIndex}`}>
+          {/* BAR MARKS (only when this line group has any) */}
+          {hasMarks(colIdxs) && renderMarks(colIdxs)}
+
+          {/* INPUT LINES: one per visible lane, in lane order */}
+          {lanes.map((lane) => (
+            <div className="rowNoScroll" key={lane.id}>
+              {colIdxs.map((colIndex) => renderLaneCell(lane, colIndex))}
+            </div>
+          ))}
+
+          {/* MELODY STAFF (notes line, durations from the rhythm line) */}
+          {withMelody && renderStaff(colIdxs)}
+
+          {/* WORD LINE (always shown) */}
+          <div className="rowNoScroll">
+            {colIdxs.map((colIndex) => {
+              const cls = [
+                "cell",
+                "wordCell",
+                playingCol === colIndex ? "playing" : "",
+                isSelected(colIndex, "word") ? "selected" : "",
+                ...barClasses(colIndex),
+              ]
+                .filter(Boolean)
+                .join(" ");
+
+              return (
+                <button
+                  type="button"
+                  key={`w-${rowIndex}-${colIndex}`}
+                  data-type="word"
+                  data-row={rowIndex}
+                  data-col={colIndex}
+                  className={cls}
+                  style={{ width: `${widths[colIndex]}px` }}
+                  onClick={(e) => onWordCellClick(e, rowIndex, colIndex)}
+                  onContextMenu={(e) => onWordCellMenu(e, rowIndex, colIndex)}
+                  title="Click / ] = RIGHT, Shift+Click / [ = LEFT, rechtsklik = herhalingen, volta's en tekens"
+                >
+                  {words[colIndex]}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default memo(GridRow);
@@ -0,0 +1,131 @@
+// src/components/LaneEditor.jsx
+import { useState } from "react";
+import {
+  createLane,
+  isBuiltInLane,
+  LANE_TYPES,
+  moveLane,
+} from "../utils/lanes.js";
+
+/**
+ * Lane editor: the song's annotation lanes in grid order, with name, type,
+ * shown/printed and order. Built-in lanes keep their type and cannot be
+ * deleted; deleting (and its confirmation) happens in App.
+ */
+export default function LaneEditor({ lanes, onChange, onDelete }) {
+  const [newName, setNewName] = useState("");
+  const [newType, setNewType] = useState("text");
+
+  const update = (id, fields) =>
+    onChange(
+      lanes.map((lane) => (lane.id === id ? { ...lane, ...fields } : lane)),
+    );
+
+  const addLane = () => {
+    const name = newName.trim() || "Nieuwe lijn";
+    onChange([...lanes, createLane(lanes, name, newType)]);
+    setNewName("");
+  };
+
+  return (
+    <div className="laneEditor">
+      <ol className="laneList">
+        {lanes.map((lane, index) => {
+          const builtIn = isBuiltInLane(lane.id);
+          return (
+            <li key={lane.id} className="laneItem">
+              <input
+                className="laneName"
+                value={lane.name}
+                onChange={(e) => update(lane.id, { name: e.target.value })}
+                aria-label="Naam van de lijn"
+              />
+              <select
+                value={lane.type}
+                onChange={(e) => update(lane.id, { type: e.target.value })}
+                disabled={builtIn}
+                title={
+                  builtIn
+                    ? "vaste lijn: transponeren, maten en afspelen lezen ze"
+                    : "bepaalt hoe de cellen gelezen en getoond worden"
+                }
+              >
+                {LANE_TYPES.map((t) => (
+                  <option key={t.type} value={t.type}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+              <label className="toggle" title="lijn tonen in het rooster">
+                <input
+                  type="checkbox"
+                  checked={lane.visible}
+                  onChange={(e) =>
+                    update(lane.id, { visible: e.target.checked })
+                  }
+                />
+                Tonen
+              </label>
+              <label className="toggle" title="getoonde lijn mee afdrukken">
+                <input
+                  type="checkbox"
+                  checked={lane.print}
+                  onChange={(e) => update(lane.id, { print: e.target.checked })}
+                />
+                PDF
+              </label>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => onChange(moveLane(lanes, lane.id, -1))}
+                disabled={index === 0}
+                title="Omhoog"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => onChange(moveLane(lanes, lane.id, 1))}
+                disabled={index === lanes.length - 1}
+                title="Omlaag"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => onDelete(lane.id)}
+                disabled={builtIn}
+                title={builtIn ? "vaste lijn: enkel verbergen" : "Verwijderen"}
+              >
+                ✕
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="laneAdd">
+        <input
+          className="laneName"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addLane()}
+          placeholder="Bas, Drums, Dynamiek, Tweede stem…"
+          aria-label="Naam van de nieuwe lijn"
+        />
+        <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+          {LANE_TYPES.map((t) => (
+            <option key={t.type} value={t.type}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn btnSmall" onClick={addLane}>
+          Lijn toevoegen
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+// src/components/PdfExportDialog.jsx
+import { useState } from "react";
+import { MAJOR_KEYS, MINOR_KEYS } from "../utils/chords.js";
+import { normalizePdfOptions, PAPER_FORMATS } from "../utils/pdfRenderer.js";
+import {
+  CAPO_MAX,
+  clampCapo,
+  clampTempo,
+  TEMPO_MAX,
+  TEMPO_MIN,
+} from "../utils/songDocument.js";
+
+const MARGINS = [
+  ["top", "Boven"],
+  ["bottom", "Onder"],
+  ["left", "Links"],
+  ["right", "Rechts"],
+];
+
+/**
+ * PDF export dialog: page setup + the song info printed in the header.
+ * Works on a local copy; onExport(pdfOptions, info) gets the final values
+ * (tempo and capo as typed until then, clamped on export).
+ */
+export default function PdfExportDialog({
+  initialOptions,
+  initialInfo,
+  songKey,
+  onExport,
+  onCancel,
+}) {
+  const [options, setOptions] = useState(() =>
+    normalizePdfOptions(initialOptions),
+  );
+  const [info, setInfo] = useState(initialInfo);
+
+  const patch = (p) => setOptions((prev) => ({ ...prev, ...p }));
+  const patchMargin = (side, value) =>
+    setOptions((prev) => ({
+      ...prev,
+      margins: { ...prev.margins, [side]: value },
+    }));
+  const patchInfo = (p) => setInfo((prev) => ({ ...prev, ...p }));
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    onExport(options, {
+      ...info,
+      tempo: clampTempo(info.tempo, initialInfo.tempo),
+      capo: clampCapo(info.capo),
+    });
+  };
+
+  return (
+    <div className="dialogBackdrop" onClick={onCancel}>
+      <form
+        className="dialog"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={onSubmit}
+      >
+        <h2>PDF exporteren</h2>
+
+        <fieldset>
+          <legend>Pagina</legend>
+          <label className="field">
+            Papier
+            <select
+              value={options.format}
+              onChange={(e) => patch({ format: e.target.value })}
+            >
+              {PAPER_FORMATS.map((f) => (
+                <option key={f.value} value={f.value}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            Richting
+            <select
+              value={options.orientation}
+              onChange={(e) => patch({ orientation: e.target.value })}
+            >
+              <option value="portrait">staand</option>
+              <option value="landscape">liggend</option>
+            </select>
+          </label>
+          <label className="field">
+            Kolommen
+            <select
+              value={options.columns}
+              onChange={(e) => patch({ columns: Number(e.target.value) })}
+            >
+              <option value={1}>1</option>
+              <option value={2}>2</option>
+            </select>
+          </label>
+          <label className="field">
+            Lettergrootte
+            <select
+              value={options.fontScale}
+              onChange={(e) => patch({ fontScale: Number(e.target.value) })}
+            >
+              {[0.8, 0.9, 1, 1.15, 1.3, 1.5].map((s) => (
+                <option key={s} value={s}>
+                  {Math.round(s * 100)}%
+                </option>
+              ))}
+            </select>
+          </label>
+        </fieldset>
+
+        <fieldset>
+          <legend>Marges (mm)</legend>
+          {MARGINS.map(([side, label]) => (
+            <label className="field" key={side}>
+              {label}
+              <input
+                type="number"
+                className="numberInput"
+                min={0}
+                max={50}
+                value={options.margins[side]}
+                onChange={(e) => patchMargin(side, Number(e.target.value))}
+              />
+            </label>
+          ))}
+        </fieldset>
+
+        <fieldset>
+          <legend>Koptekst en voettekst</legend>
+          <label className="field">
+            <input
+              type="checkbox"
+              checked={options.showHeader}
+              onChange={(e) => patch({ showHeader: e.target.checked })}
+            />
+            Koptekst met titel en info
+          </label>
+          <label className="field">
+            <input
+              type="checkbox"
+              checked={options.pageNumbers}
+              onChange={(e) => patch({ pageNumbers: e.target.checked })}
+            />
+            Paginanummers (x / y)
+          </label>
+          <label className="field">
+            Titel
+            <input
+              value={info.title}
+              onChange={(e) => patchInfo({ title: e.target.value })}
+            />
+          </label>
+          <label className="field">
+            Artiest
+            <input
+              value={info.artist}
+              onChange={(e) => patchInfo({ artist: e.target.value })}
+            />
+          </label>
+          <label className="field">
+            Toonsoort
+            <select
+              value={info.key}
+              onChange={(e) => patchInfo({ key: e.target.value })}
+            >
+              <option value="">{songKey ? `? (${songKey})` : "?"}</option>
+              {[...MAJOR_KEYS, ...MINOR_KEYS].map((k) => (
+                <option key={k} value={k}>
+                  {k}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="field">
+            Tempo
+            <input
+              type="number"
+              className="numberInput"
+              min={TEMPO_MIN}
+              max={TEMPO_MAX}
+              value={info.tempo}
+              onChange={(e) => patchInfo({ tempo: e.target.value })}
+            />
+          </label>
+          <label className="field">
+            Capo
+            <input
+              type="number"
+              className="numberInput"
+              min={0}
+              max={CAPO_MAX}
+              value={info.capo}
+              onChange={(e) => patchInfo({ capo: e.target.value })}
+            />
+          </label>
+        </fieldset>
+
+        <div className="dialogActions">
+          <button type="button" className="btn btnSmall" onClick={onCancel}>
+            Annuleren
+          </button>
+          <button type="submit" className="btn btnSmall">
+            Exporteren
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
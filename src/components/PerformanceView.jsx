@@ -0,0 +1,327 @@
+// src/components/PerformanceView.jsx
+import { useEffect, useMemo, useRef, useState } from "react";
+import { parseRhythm, renderRhythm } from "../utils/formatRhythm.js";
+import { measureTextPx, packColumns } from "../utils/layout.js";
+import { EMPTY_WORD } from "../utils/lyrics.js";
+import {
+  performanceTimeline,
+  scrollAt,
+  timeAtScroll,
+} from "../utils/performance.js";
+import { sectionTitle } from "../utils/sections.js";
+
+const FONT_SIZES = [20, 24, 28, 34, 40, 48, 56];
+const FONT_FAMILY =
+  'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial';
+const LANE_SCALE = 0.85; // chord/rhythm/note text relative to the words
+const PAGE_OVERLAP = 0.15; // part of the screen still visible after a turn
+const READING_LINE = 1 / 3; // auto-scroll keeps the playing row here
+
+// lane type -> class of its text
+const LANE_CLASS = {
+  chord: "performanceChord",
+  rhythm: "performanceRhythm",
+  note: "performanceNote",
+  text: "performanceText",
+};
+
+// Bluetooth page turners send PageDown/PageUp or the arrow keys
+const NEXT_KEYS = ["PageDown", "ArrowDown", "ArrowRight", " "];
+const PREV_KEYS = ["PageUp", "ArrowUp", "ArrowLeft"];
+
+/**
+ * Read-only fullscreen stage view: the grid in large type on a dark
+ * background, page turning with keys or a pedal and auto-scroll on the
+ * song's tempo.
+ */
+export default function PerformanceView({
+  rows,
+  sections,
+  inputValues,
+  borders,
+  lanes,
+  shownChord,
+  info,
+  onClose,
+}) {
+  const rootRef = useRef(null);
+  const scrollRef = useRef(null);
+  const blockRefs = useRef([]);
+  const [fontSize, setFontSize] = useState(FONT_SIZES[2]);
+  const [width, setWidth] = useState(800);
+  const [autoScroll, setAutoScroll] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const timeline = useMemo(
+    () =>
+      performanceTimeline({
+        rows,
+        inputValues,
+        sections,
+        timeSignature: info.timeSignature,
+        tempo: info.tempo,
+      }),
+    [rows, inputValues, sections, info.timeSignature, info.tempo],
+  );
+
+  // latest onClose for the fullscreen listener, which is added only once
+  const closeRef = useRef(onClose);
+  useEffect(() => {
+    closeRef.current = onClose;
+  });
+
+  // fullscreen while open; leaving fullscreen (Esc) closes the view
+  useEffect(() => {
+    const el = rootRef.current;
+    let entered = false;
+    const onChange = () => {
+      if (document.fullscreenElement === el) entered = true;
+      else if (entered) closeRef.current();
+    };
+    document.addEventListener("fullscreenchange", onChange);
+    el?.requestFullscreen?.().catch(() => {
+      // not allowed (e.g. iframe): the view still covers the window
+    });
+    return () => {
+      document.removeEventListener("fullscreenchange", onChange);
+      if (document.fullscreenElement === el) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    const ro = new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        setWidth(Math.floor(entry.contentRect.width));
+      }
+    });
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const turnPage = (direction) => {
+    const el = scrollRef.current;
+    if (!el) return;
+    el.scrollBy({
+      top: direction * el.clientHeight * (1 - PAGE_OVERLAP),
+      // auto-scroll takes over from the new position at once
+      behavior: autoScroll ? "auto" : "smooth",
+    });
+  };
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (NEXT_KEYS.includes(e.key)) {
+        e.preventDefault();
+        turnPage(1);
+      } else if (PREV_KEYS.includes(e.key)) {
+        e.preventDefault();
+        turnPage(-1);
+      } else if (e.key === "Home" || e.key === "End") {
+        e.preventDefault();
+        const el = scrollRef.current;
+        el?.scrollTo({ top: e.key === "Home" ? 0 : el.scrollHeight });
+      } else if (e.key === "a" || e.key === "A") {
+        setAutoScroll((on) => !on);
+      } else if (e.key === "Escape") {
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // auto-scroll: the row that plays at time t passes the reading line;
+  // scrolling or turning by hand moves the clock along
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!autoScroll || !el || !timeline.length) return;
+
+    const placed = timeline.map((block, i) => ({
+      ...block,
+      top: blockRefs.current[i]?.offsetTop ?? 0,
+      height: blockRefs.current[i]?.offsetHeight ?? 0,
+    }));
+    const end = placed.at(-1).start + placed.at(-1).duration;
+    const line = () => el.clientHeight * READING_LINE;
+
+    let t = el.scrollTop > 0 ? timeAtScroll(placed, el.scrollTop + line()) : 0;
+    let shown = el.scrollTop;
+    let last = performance.now();
+    let frame = 0;
+    const step = (now) => {
+      if (Math.abs(el.scrollTop - shown) > 2) {
+        t = timeAtScroll(placed, el.scrollTop + line());
+      }
+      t += ((now - last) / 1000) * speed;
+      last = now;
+      el.scrollTop = Math.max(0, scrollAt(placed, t) - line());
+      shown = el.scrollTop;
+      if (t >= end) {
+        setAutoScroll(false);
+        return;
+      }
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [autoScroll, speed, timeline, fontSize, width]);
+
+  const wordFont = `600 ${fontSize}px ${FONT_FAMILY}`;
+  const laneFont = `400 ${Math.round(fontSize * LANE_SCALE)}px ${FONT_FAMILY}`;
+  const padding = Math.round(fontSize * 0.6);
+  const value = (row, col, type) => inputValues[`${row}:${col}:${type}`] || "";
+
+  // a cell of a lane as shown: chord display, pretty rhythm, else as typed
+  const shownValue = (lane, row, col) => {
+    const raw = value(row, col, lane.id);
+    if (lane.type === "chord") return shownChord(raw);
+    if (lane.type === "rhythm") return renderRhythm(parseRhythm(raw));
+    return raw;
+  };
+
+  const renderBlock = (block, i) => {
+    const { row } = block;
+    const words = rows[row] ?? [];
+    const shown = words.map((_, col) =>
+      lanes.map((lane) => shownValue(lane, row, col)),
+    );
+    const widths = words.map(
+      (word, col) =>
+        Math.max(
+          measureTextPx(word === EMPTY_WORD ? "" : word, wordFont),
+          ...shown[col].map((text) => measureTextPx(text, laneFont)),
+        ) + padding,
+    );
+    const lines = packColumns(widths, Math.max(200, width - padding));
+
+    return (
+      <div
+        className="performanceRow"
+        key={`b-${i}`}
+        ref={(node) => {
+          blockRefs.current[i] = node;
+        }}
+      >
+        {lines.map((cols, lineIndex) => (
+          <div className="performanceLine" key={`l-${lineIndex}`}>
+            {cols.map((col) => {
+              const b = borders[`${row}:${col}`] ?? {};
+              const cls = [
+                "performanceCell",
+                b.left ? "bL" : "",
+                b.right ? "bR" : "",
+              ]
+                .filter(Boolean)
+                .join(" ");
+              return (
+                <div key={col} className={cls} style={{ width: widths[col] }}>
+                  {lanes.map((lane, l) => (
+                    <div key={lane.id} className={LANE_CLASS[lane.type]}>
+                      {shown[col][l]}
+                    </div>
+                  ))}
+                  <div className="performanceWord">
+                    {words[col] === EMPTY_WORD ? "" : words[col]}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const blocks = timeline.map((block, i) => ({ block, i }));
+  const sizeIndex = FONT_SIZES.indexOf(fontSize);
+  const infoLine = [
+    info.artist,
+    info.key && `Toonsoort ${info.key}`,
+    info.capo > 0 && `Capo ${info.capo}`,
+    info.tempo && `♩ = ${info.tempo}`,
+  ]
+    .filter(Boolean)
+    .join("  ·  ");
+
+  return (
+    <div className="performance" ref={rootRef} style={{ fontSize }}>
+      <div className="performanceBar">
+        <div className="performanceTitle">
+          <strong>{info.title}</strong>
+          {infoLine && <span>{infoLine}</span>}
+        </div>
+        <div className="performanceControls">
+          <button
+            type="button"
+            onClick={() => setFontSize(FONT_SIZES[sizeIndex - 1])}
+            disabled={sizeIndex <= 0}
+            title="Kleinere letters"
+          >
+            A−
+          </button>
+          <button
+            type="button"
+            onClick={() => setFontSize(FONT_SIZES[sizeIndex + 1])}
+            disabled={sizeIndex >= FONT_SIZES.length - 1}
+            title="Grotere letters"
+          >
+            A+
+          </button>
+          <button
+            type="button"
+            className={autoScroll ? "active" : ""}
+            onClick={() => setAutoScroll((on) => !on)}
+            title="Automatisch scrollen op het tempo (A)"
+          >
+            {autoScroll ? "❚❚ Auto-scroll" : "▶ Auto-scroll"}
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              setSpeed((s) => Math.max(0.5, Math.round((s - 0.1) * 10) / 10))
+            }
+            title="Trager scrollen"
+          >
+            −
+          </button>
+          <span className="performanceSpeed">×{speed.toFixed(1)}</span>
+          <button
+            type="button"
+            onClick={() =>
+              setSpeed((s) => Math.min(2, Math.round((s + 0.1) * 10) / 10))
+            }
+            title="Sneller scrollen"
+          >
+            +
+          </button>
+          <button type="button" onClick={onClose} title="Sluiten (Esc)">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="performanceScroll" ref={scrollRef}>
+        {sections.map((section, index) => {
+          const own = blocks.filter(({ block }) => block.section === index);
+          if (!section.label && !own.length) return null;
+          return (
+            <div className="performanceSection" key={`s-${index}`}>
+              {section.label && (
+                <div className="performanceSectionHeader">
+                  {sectionTitle(section)}
+                </div>
+              )}
+              {own.map(({ block, i }) => renderBlock(block, i))}
+            </div>
+          );
+        })}
+        <div className="performanceEnd" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+// src/components/PlaybackBar.jsx
+import { TEMPO_MAX, TEMPO_MIN } from "../utils/songDocument.js";
+
+/**
+ * Play/stop + tempo and playback options.
+ * `options` is App's playback state; every change goes through onChange(patch).
+ */
+export default function PlaybackBar({
+  isPlaying,
+  disabled,
+  rowCount,
+  tempo,
+  onTempoChange,
+  options,
+  onChange,
+  onPlay,
+  onStop,
+}) {
+  return (
+    <div className="playbackBar">
+      <button
+        type="button"
+        className="btn btnSmall"
+        disabled={disabled}
+        onClick={isPlaying ? onStop : onPlay}
+      >
+        {isPlaying ? "■ Stop" : "▶ Afspelen"}
+      </button>
+
+      <label className="toggle" title="tempo in kwartnoten per minuut">
+        ♩ =
+        <input
+          type="number"
+          className="numberInput"
+          min={TEMPO_MIN}
+          max={TEMPO_MAX}
+          value={tempo}
+          onChange={(e) => onTempoChange(Number(e.target.value) || 100)}
+        />
+      </label>
+
+      <label className="toggle">
+        Akkoorden
+        <select
+          value={options.voicing}
+          onChange={(e) => onChange({ voicing: e.target.value })}
+        >
+          <option value="block">blok</option>
+          <option value="strum">gestrumd</option>
+        </select>
+      </label>
+
+      <label
+        className="toggle"
+        title="ritme-lijn als akkoordaanslagen of als tikken onder aangehouden akkoorden"
+      >
+        Ritme
+        <select
+          value={options.rhythmMode}
+          onChange={(e) => onChange({ rhythmMode: e.target.value })}
+        >
+          <option value="hits">akkoordaanslagen</option>
+          <option value="clicks">tikken</option>
+        </select>
+      </label>
+
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={options.metronome}
+          onChange={(e) => onChange({ metronome: e.target.checked })}
+        />
+        Metronoom
+      </label>
+
+      <span className="toggle" title="enkel deze rijen afspelen">
+        Rijen
+        <input
+          type="number"
+          className="numberInput"
+          min={1}
+          max={rowCount || 1}
+          value={options.fromRow}
+          onChange={(e) => onChange({ fromRow: Number(e.target.value) || 1 })}
+        />
+        –
+        <input
+          type="number"
+          className="numberInput"
+          min={1}
+          max={rowCount || 1}
+          value={options.toRow || rowCount}
+          onChange={(e) => onChange({ toRow: Number(e.target.value) || 0 })}
+        />
+      </span>
+
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={options.loop}
+          onChange={(e) => onChange({ loop: e.target.checked })}
+        />
+        Herhalen
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+// src/components/SetlistPanel.jsx
+import { useState } from "react";
+import { moveItem, setlistNeighbours } from "../utils/setlists.js";
+
+/**
+ * Setlist panel: songs from the library in playing order, with set breaks
+ * and a note per song; previous/next open the neighbouring songs.
+ * Storage and the PDF booklet happen in App.
+ */
+export default function SetlistPanel({
+  setlists,
+  setlist,
+  songs,
+  currentSongId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onChange,
+  onOpenSong,
+  onExportPdf,
+}) {
+  const [songToAdd, setSongToAdd] = useState("");
+
+  const titleOf = (id) =>
+    songs.find((song) => song.id === id)?.title ?? "(verwijderd lied)";
+  const nav = setlistNeighbours(setlist, currentSongId);
+
+  const setItems = (items) => onChange({ ...setlist, items });
+  const updateItem = (index, fields) =>
+    setItems(
+      setlist.items.map((item, i) =>
+        i === index ? { ...item, ...fields } : item,
+      ),
+    );
+
+  const addSong = () => {
+    const songId = songToAdd || currentSongId;
+    if (songId)
+      setItems([...setlist.items, { type: "song", songId, note: "" }]);
+  };
+
+  return (
+    <section className="panel setlist">
+      <div className="panelHeader">
+        <h2>Setlist</h2>
+        <div className="libraryActions">
+          <select
+            value={setlist?.id ?? ""}
+            onChange={(e) => onSelect(e.target.value || null)}
+          >
+            <option value="">— kies een setlist —</option>
+            {setlists.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+          <button type="button" className="btn btnSmall" onClick={onCreate}>
+            Nieuwe setlist
+          </button>
+          {setlist && (
+            <>
+              <button
+                type="button"
+                className="btn btnSmall"
+                onClick={() => {
+                  const next = window.prompt("Nieuwe naam", setlist.name);
+                  if (next && next.trim()) onRename(next.trim());
+                }}
+              >
+                Hernoemen
+              </button>
+              <button
+                type="button"
+                className="btn btnSmall"
+                onClick={() => {
+                  if (window.confirm(`"${setlist.name}" verwijderen?`)) {
+                    onDelete();
+                  }
+                }}
+              >
+                Verwijderen
+              </button>
+              <button
+                type="button"
+                className="btn btnSmall"
+                onClick={onExportPdf}
+                disabled={!setlist.items.some((item) => item.type === "song")}
+                title="alle liedjes in één PDF met inhoudstafel en bladwijzers"
+              >
+                PDF-boekje
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {setlist && (
+        <>
+          <div className="setlistNav">
+            <button
+              type="button"
+              className="btn btnSmall"
+              onClick={() => onOpenSong(nav.prev)}
+              disabled={!nav.prev}
+            >
+              ◀ Vorige
+            </button>
+            <span className="setlistPosition">
+              {nav.index === -1
+                ? "Huidig lied staat niet in de setlist"
+                : `Lied ${nav.index + 1} / ${nav.count}`}
+            </span>
+            <button
+              type="button"
+              className="btn btnSmall"
+              onClick={() => onOpenSong(nav.next)}
+              disabled={!nav.next}
+            >
+              Volgende ▶
+            </button>
+          </div>
+
+          <div className="setlistAdd">
+            <select
+              value={songToAdd}
+              onChange={(e) => setSongToAdd(e.target.value)}
+            >
+              <option value="">Huidig lied</option>
+              {songs.map((song) => (
+                <option key={song.id} value={song.id}>
+                  {song.title}
+                </option>
+              ))}
+            </select>
+            <button type="button" className="btn btnSmall" onClick={addSong}>
+              Toevoegen
+            </button>
+            <button
+              type="button"
+              className="btn btnSmall"
+              onClick={() =>
+                setItems([...setlist.items, { type: "break", label: "Pauze" }])
+              }
+            >
+              Pauze
+            </button>
+          </div>
+
+          {setlist.items.length > 0 && (
+            <ol className="songList setlistItems">
+              {setlist.items.map((item, index) => {
+                const key = `${index}-${item.songId ?? "break"}`;
+                const move = (to) =>
+                  setItems(moveItem(setlist.items, index, to));
+                const actions = (
+                  <>
+                    <button
+                      type="button"
+                      className="songAction"
+                      onClick={() => move(index - 1)}
+                      disabled={index === 0}
+                      title="Omhoog"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="songAction"
+                      onClick={() => move(index + 1)}
+                      disabled={index === setlist.items.length - 1}
+                      title="Omlaag"
+                    >
+                      ↓
+                    </button>
+                    <button
+                      type="button"
+                      className="songAction"
+                      onClick={() =>
+                        setItems(setlist.items.filter((_, i) => i !== index))
+                      }
+                      title="Uit de setlist halen"
+                    >
+                      ✕
+                    </button>
+                  </>
+                );
+
+                if (item.type === "break") {
+                  return (
+                    <li key={key} className="songItem setBreak">
+                      <input
+                        className="setlistNote"
+                        value={item.label}
+                        onChange={(e) =>
+                          updateItem(index, { label: e.target.value })
+                        }
+                        aria-label="Naam van de pauze"
+                      />
+                      {actions}
+                    </li>
+                  );
+                }
+
+                const number =
+                  setlist.items
+                    .slice(0, index)
+                    .filter((other) => other.type === "song").length + 1;
+                return (
+                  <li
+                    key={key}
+                    className={
+                      item.songId === currentSongId
+                        ? "songItem current"
+                        : "songItem"
+                    }
+                  >
+                    <button
+                      type="button"
+                      className="songOpen"
+                      onClick={() => onOpenSong(item.songId)}
+                      disabled={item.songId === currentSongId}
+                      title="Openen"
+                    >
+                      <span className="songTitle">
+                        {number}. {titleOf(item.songId)}
+                      </span>
+                    </button>
+                    <input
+                      className="setlistNote"
+                      value={item.note ?? ""}
+                      onChange={(e) =>
+                        updateItem(index, { note: e.target.value })
+                      }
+                      placeholder="Notitie"
+                      aria-label="Notitie"
+                    />
+                    {actions}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,38 @@
+// src/components/SongForm.jsx
+import { songForm } from "../utils/sections.js";
+
+/**
+ * Song form / arrangement: the sections in playing order.
+ * Clicking a section scrolls the preview to it (ids from App: `section-${index}`).
+ */
+export default function SongForm({ sections }) {
+  // a song without structure has nothing to show
+  if (sections.length < 2 && !sections.some((s) => s.label)) return null;
+  const form = songForm(sections);
+
+  const scrollTo = (index) =>
+    document
+      .getElementById(`section-${index}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "start" });
+
+  return (
+    <ol className="songForm" aria-label="Songstructuur">
+      {form.map((s) => (
+        <li key={s.index}>
+          <button
+            type="button"
+            className={`formItem section-${s.kind} ${s.isRef ? "ref" : ""}`}
+            title={
+              s.endRow > s.startRow
+                ? `rij ${s.startRow + 1}–${s.endRow}`
+                : "geen tekstlijnen"
+            }
+            onClick={() => scrollTo(s.index)}
+          >
+            {s.title}
+          </button>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,178 @@
+// src/components/SongLibrary.jsx
+import { useRef } from "react";
+import { CHORDPRO_EXTENSIONS } from "../utils/chordPro.js";
+import { CHORD_SHEET_FILE_EXTENSION } from "../utils/chordSheet.js";
+import { SONG_FILE_EXTENSION } from "../utils/songDocument.js";
+
+const formatDate = (iso) => {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? "" : d.toLocaleString();
+};
+
+/**
+ * Song library panel: current title + list of saved songs.
+ * All storage work happens in App; this component only renders and reports
+ * (saveError = why the last save failed, null when it worked).
+ */
+export default function SongLibrary({
+  songs,
+  currentId,
+  title,
+  saveError,
+  onTitleChange,
+  onNew,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onExport,
+  onExportChordPro,
+  onExportChordSheet,
+  onExportMusicXml,
+  onExportMidi,
+  onImport,
+}) {
+  const fileRef = useRef(null);
+
+  const onFileChosen = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // same file can be chosen again
+    if (file) onImport(file);
+  };
+
+  return (
+    <section className="panel library">
+      <div className="panelHeader">
+        <h2>Bibliotheek</h2>
+        <div className="libraryActions">
+          <button type="button" className="btn btnSmall" onClick={onNew}>
+            Nieuw lied
+          </button>
+          <button type="button" className="btn btnSmall" onClick={onExport}>
+            Exporteren
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={onExportChordPro}
+            title="akkoorden en tekst als ChordPro (.cho)"
+          >
+            ChordPro
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={onExportChordSheet}
+            title="akkoorden boven de tekst als platte tekst (.txt), voor mail of berichten"
+          >
+            Tekst
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={onExportMusicXml}
+            title="melodie, ritme, akkoorden en tekst als MusicXML (MuseScore)"
+          >
+            MusicXML
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={onExportMidi}
+            title="melodie, akkoorden en tekst als MIDI-bestand (.mid)"
+          >
+            MIDI
+          </button>
+          <button
+            type="button"
+            className="btn btnSmall"
+            onClick={() => fileRef.current?.click()}
+          >
+            Importeren
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept={[
+              SONG_FILE_EXTENSION,
+              ".json",
+              "application/json",
+              ...CHORDPRO_EXTENSIONS,
+              CHORD_SHEET_FILE_EXTENSION,
+            ].join(",")}
+            hidden
+            onChange={onFileChosen}
+          />
+        </div>
+      </div>
+
+      <label className="label libraryTitle">
+        Titel
+        <input
+          className="titleInput"
+          value={title}
+          onChange={(e) => onTitleChange(e.target.value)}
+          placeholder="Titel van het lied"
+        />
+      </label>
+
+      {saveError && (
+        <p className="saveError" role="alert">
+          {saveError}
+        </p>
+      )}
+
+      {songs.length > 0 && (
+        <ul className="songList">
+          {songs.map((song) => (
+            <li
+              key={song.id}
+              className={
+                song.id === currentId ? "songItem current" : "songItem"
+              }
+            >
+              <button
+                type="button"
+                className="songOpen"
+                onClick={() => onOpen(song.id)}
+                disabled={song.id === currentId}
+                title="Openen"
+              >
+                <span className="songTitle">{song.title}</span>
+                <span className="songDate">{formatDate(song.updatedAt)}</span>
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => {
+                  const next = window.prompt("Nieuwe titel", song.title);
+                  if (next && next.trim()) onRename(song.id, next.trim());
+                }}
+              >
+                Hernoemen
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => onDuplicate(song.id)}
+              >
+                Dupliceren
+              </button>
+              <button
+                type="button"
+                className="songAction"
+                onClick={() => {
+                  if (window.confirm(`"${song.title}" verwijderen?`)) {
+                    onDelete(song.id);
+                  }
+                }}
+              >
+                Verwijderen
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,81 @@
+// src/components/StaffSnippet.jsx
+
+/**
+ * Small staff under the notes line of one line group.
+ * `staff` is the geometry from utils/staff.js layoutStaff (in px).
+ */
+export default function StaffSnippet({ staff, width }) {
+  const s = staff.spacing;
+
+  return (
+    <svg
+      className="staffSnippet"
+      width={width}
+      height={staff.height}
+      viewBox={`0 0 ${width} ${staff.height}`}
+      aria-hidden="true"
+    >
+      {staff.lines.map((y) => (
+        <line key={`l-${y}`} x1={0} x2={width} y1={y} y2={y} />
+      ))}
+
+      {staff.heads.map((h, i) => (
+        <g key={`n-${i}`}>
+          {h.ledgers.map((y) => (
+            <line
+              key={`ledger-${y}`}
+              x1={h.x - s * 1.1}
+              x2={h.x + s * 1.1}
+              y1={y}
+              y2={y}
+            />
+          ))}
+          {h.accidental && (
+            <text
+              x={h.x - s * 1.2}
+              y={h.y + s * 0.45}
+              fontSize={s * 1.8}
+              textAnchor="end"
+            >
+              {h.accidental}
+            </text>
+          )}
+          <ellipse
+            cx={h.x}
+            cy={h.y}
+            rx={s * 0.65}
+            ry={s * 0.45}
+            transform={`rotate(-20 ${h.x} ${h.y})`}
+            className={h.filled ? "head filled" : "head"}
+          />
+          {h.stem && (
+            <line x1={h.stem.x} x2={h.stem.x} y1={h.stem.y1} y2={h.stem.y2} />
+          )}
+          {h.stem &&
+            Array.from({ length: h.flags }, (_, k) => {
+              const dir = h.stem.up ? 1 : -1;
+              const y = h.stem.y2 + dir * k * s * 0.8;
+              return (
+                <line
+                  key={`flag-${k}`}
+                  x1={h.stem.x}
+                  x2={h.stem.x + s}
+                  y1={y}
+                  y2={y + dir * s * 1.2}
+                />
+              );
+            })}
+          {Array.from({ length: h.dots }, (_, k) => (
+            <circle
+              key={`dot-${k}`}
+              cx={h.x + s * (1.2 + k * 0.6)}
+              cy={h.y}
+              r={s * 0.18}
+              className="filled"
+            />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
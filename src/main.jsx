@@ -8,3 +8,9 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// keystroke latency benchmark (see utils/benchmark.js), dev server only
+if (import.meta.env.DEV) {
+  window.songGridBenchmark = (options) =>
+    import('./utils/benchmark.js').then((m) => m.runKeystrokeBenchmark(options))
+}
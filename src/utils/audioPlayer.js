@@ -0,0 +1,205 @@
+// src/utils/audioPlayer.js
+// Web Audio speler voor een afspeelschema (zie playback.js).
+// Alleen oscillators, geen samples. Plant vooruit met een kleine
+// "lookahead" zodat stoppen en loopen direct reageren.
+
+import { chordPitches } from "./chords.js";
+import { rat, ratToNumber } from "./rational.js";
+
+const LOOKAHEAD_S = 0.15;
+const TICK_MS = 25;
+const STRUM_GAP_S = 0.03;
+
+const midiToHz = (midi) => 440 * 2 ** ((midi - 69) / 12);
+
+/**
+ * createAudioPlayer
+ * - onCell(pos) is called when a word cell starts sounding
+ * - onStop() is called when playback ends (stop() or end of the song)
+ *
+ * @param {{onCell?: (pos: string) => void, onStop?: () => void}} [callbacks]
+ * @returns {{play: (schedule: object, options: object) => void, stop: () => void, isPlaying: () => boolean}}
+ */
+export function createAudioPlayer({
+  onCell = () => {},
+  onStop = () => {},
+} = {}) {
+  let ctx = null;
+  let master = null;
+  let timer = null;
+  let timeouts = [];
+  let state = null;
+
+  const ensureContext = () => {
+    if (!ctx) {
+      const AudioContextImpl = window.AudioContext || window.webkitAudioContext;
+      ctx = new AudioContextImpl();
+    }
+    if (ctx.state === "suspended") ctx.resume();
+    return ctx;
+  };
+
+  const tone = (freq, start, duration, { type = "triangle", gain = 0.12 }) => {
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = type;
+    osc.frequency.value = freq;
+
+    // short attack, gentle release: no clicks at note boundaries
+    const end = start + Math.max(duration, 0.05);
+    env.gain.setValueAtTime(0, start);
+    env.gain.linearRampToValueAtTime(gain, start + 0.01);
+    env.gain.setValueAtTime(gain, Math.max(start + 0.01, end - 0.05));
+    env.gain.linearRampToValueAtTime(0, end);
+
+    osc.connect(env).connect(master);
+    osc.start(start);
+    osc.stop(end + 0.01);
+  };
+
+  const click = (start, accent) =>
+    tone(accent ? 1760 : 1320, start, 0.03, {
+      type: "square",
+      gain: accent ? 0.08 : 0.05,
+    });
+
+  const chord = (pitches, start, duration, voicing) => {
+    pitches.forEach((midi, i) => {
+      const offset = voicing === "strum" ? i * STRUM_GAP_S : 0;
+      tone(midiToHz(midi), start + offset, duration - offset, {
+        gain: 0.09 / Math.sqrt(pitches.length),
+      });
+    });
+  };
+
+  const at = (time, fn) => {
+    const delay = Math.max(0, (time - ctx.currentTime) * 1000);
+    const id = setTimeout(() => {
+      timeouts = timeouts.filter((x) => x !== id);
+      fn();
+    }, delay);
+    timeouts.push(id);
+  };
+
+  // all events of one pass through the schedule, sorted by time (seconds)
+  const buildEvents = (schedule, options) => {
+    const { tempo, voicing, rhythmMode, metronome } = options;
+    // tempo = quarter notes per minute; schedule times are whole notes
+    const secPerWhole = (4 * 60) / tempo;
+    const sec = (r) => ratToNumber(r) * secPerWhole;
+    const events = [];
+
+    for (const cell of schedule.cells) {
+      events.push({ t: sec(cell.start), kind: "cell", pos: cell.pos });
+    }
+
+    if (rhythmMode === "clicks") {
+      for (const span of schedule.chordSpans) {
+        if (!span.chord) continue;
+        events.push({
+          t: sec(span.start),
+          kind: "chord",
+          pitches: chordPitches(span.chord),
+          duration: sec(span.duration),
+        });
+      }
+      for (const hit of schedule.hits) {
+        events.push({ t: sec(hit.start), kind: "click", accent: hit.accent });
+      }
+    } else {
+      for (const hit of schedule.hits) {
+        if (!hit.chord) continue;
+        events.push({
+          t: sec(hit.start),
+          kind: "chord",
+          pitches: chordPitches(hit.chord),
+          duration: sec(hit.duration),
+        });
+      }
+    }
+
+    if (metronome) {
+      const beatSec = sec(rat(1, schedule.timeSig.unit));
+      const total = sec(schedule.length);
+      for (let i = 0; i * beatSec < total - 1e-6; i++) {
+        events.push({
+          t: i * beatSec,
+          kind: "click",
+          accent: i % schedule.timeSig.beats === 0,
+        });
+      }
+    }
+
+    events.sort((a, b) => a.t - b.t);
+    return { events, length: sec(schedule.length), voicing };
+  };
+
+  const tick = () => {
+    const pass = state.pass;
+    const horizon = ctx.currentTime + LOOKAHEAD_S;
+
+    while (state.index < pass.events.length) {
+      const ev = pass.events[state.index];
+      const t = state.offset + ev.t;
+      if (t > horizon) return;
+
+      if (ev.kind === "cell") at(t, () => onCell(ev.pos));
+      else if (ev.kind === "click") click(t, ev.accent);
+      else if (ev.kind === "chord") {
+        chord(ev.pitches, t, ev.duration, pass.voicing);
+      }
+      state.index++;
+    }
+
+    // end of the pass: start over or finish
+    const passEnd = state.offset + pass.length;
+    if (state.loop && pass.length > 0) {
+      state.offset = passEnd;
+      state.index = 0;
+    } else if (ctx.currentTime >= passEnd) {
+      stop();
+    }
+  };
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+    timeouts.forEach(clearTimeout);
+    timeouts = [];
+    state = null;
+    if (master) {
+      // fade out what is already scheduled, then drop it
+      const old = master;
+      old.gain.setTargetAtTime(0, ctx.currentTime, 0.02);
+      setTimeout(() => old.disconnect(), 200);
+      master = null;
+    }
+    onStop();
+  }
+
+  /**
+   * play
+   * - options: { tempo, voicing: "block" | "strum",
+   *              rhythmMode: "hits" | "clicks", metronome, loop }
+   */
+  function play(schedule, options) {
+    if (timer) stop();
+    ensureContext();
+
+    master = ctx.createGain();
+    master.gain.value = 1;
+    master.connect(ctx.destination);
+
+    state = {
+      pass: buildEvents(schedule, options),
+      loop: Boolean(options.loop),
+      offset: ctx.currentTime + 0.1,
+      index: 0,
+    };
+    timer = setInterval(tick, TICK_MS);
+    tick();
+  }
+
+  return { play, stop, isPlaying: () => timer !== null };
+}
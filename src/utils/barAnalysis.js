@@ -0,0 +1,149 @@
+// src/utils/barAnalysis.js
+// Maatcontrole: de lijnen (borders) op de woordcellen zijn de maatstrepen.
+// Per maat tellen we de ritme-lijn op en vergelijken met de maatsoort.
+
+import { rhythmDuration } from "./formatRhythm.js";
+import {
+  addRat,
+  compareRat,
+  mulRat,
+  rat,
+  ratToNumber,
+  ZERO,
+} from "./rational.js";
+
+export const TIME_SIGNATURES = [
+  "2/4",
+  "3/4",
+  "4/4",
+  "5/4",
+  "2/2",
+  "3/8",
+  "6/8",
+  "7/8",
+  "9/8",
+  "12/8",
+];
+
+/**
+ * parseTimeSignature
+ * - "6/8" -> { beats: 6, unit: 8, barLength: 3/4 (of a whole note) }
+ *
+ * @param {string} text
+ * @returns {{beats: number, unit: number, barLength: {num: number, den: number}} | null}
+ */
+export function parseTimeSignature(text) {
+  const m = String(text ?? "").match(
+    /^\s*(\d{1,2})\s*\/\s*(1|2|4|8|16|32)\s*$/,
+  );
+  if (!m) return null;
+  const beats = Number(m[1]);
+  const unit = Number(m[2]);
+  if (beats < 1) return null;
+  return { beats, unit, barLength: rat(beats, unit) };
+}
+
+/**
+ * beatsIn
+ * - a duration expressed in beats of the time signature's unit (3/8 in 4/4 -> 1.5)
+ */
+export function beatsIn(duration, timeSig) {
+  return ratToNumber(mulRat(duration, rat(timeSig.unit)));
+}
+
+/**
+ * analyzeBars
+ * - walks all word cells in song order (rows flow into each other)
+ * - a bar line sits on the right border of a cell or the left border of the
+ *   next one; the start of the song counts as a bar line
+ * - after the last bar line nothing is checked (the song is not finished there)
+ *
+ * status per bar:
+ * - "ok" | "over" | "under"
+ * - "pickup": an under-filled first bar (opmaat), not an error
+ * - "empty": no rhythm entered in this bar
+ * - "unknown": the bar has rhythm tokens that cannot be read
+ *
+ * @param {{rows: string[][], inputValues: object, borders: object, timeSignature: string}} args
+ * @returns {{bars: Array<{index: number, cells: string[], actual: object,
+ *   expected: object, status: string, unknown: string[]}>,
+ *   barOfCell: Record<string, number>, timeSig: object | null}}
+ */
+export function analyzeBars({ rows, inputValues, borders, timeSignature }) {
+  const timeSig = parseTimeSignature(timeSignature);
+  const bars = [];
+  const barOfCell = {};
+  if (!timeSig) return { bars, barOfCell, timeSig };
+
+  const cells = [];
+  rows.forEach((words, row) =>
+    words.forEach((_, col) => cells.push(`${row}:${col}`)),
+  );
+
+  let current = [];
+  const closeBar = () => {
+    if (!current.length) return;
+    let actual = ZERO;
+    let hasRhythm = false;
+    const unknown = [];
+    for (const pos of current) {
+      const text = inputValues[`${pos}:rhythm`];
+      if (!text || !text.trim()) continue;
+      hasRhythm = true;
+      const r = rhythmDuration(text);
+      actual = addRat(actual, r.duration);
+      unknown.push(...r.unknown);
+    }
+
+    const cmp = compareRat(actual, timeSig.barLength);
+    let status = "ok";
+    if (!hasRhythm) status = "empty";
+    else if (unknown.length) status = "unknown";
+    else if (cmp > 0) status = "over";
+    else if (cmp < 0) status = bars.length === 0 ? "pickup" : "under";
+
+    const index = bars.length;
+    for (const pos of current) barOfCell[pos] = index;
+    bars.push({
+      index,
+      cells: current,
+      actual,
+      expected: timeSig.barLength,
+      status,
+      unknown,
+    });
+    current = [];
+  };
+
+  cells.forEach((pos) => {
+    if (borders[pos]?.left) closeBar();
+    current.push(pos);
+    if (borders[pos]?.right) closeBar();
+  });
+  // trailing cells: an open bar, left unchecked
+
+  return { bars, barOfCell, timeSig };
+}
+
+/**
+ * describeBar
+ * - tooltip text, e.g. "Maat 3: 3.5 van 4 tellen (te kort)"
+ */
+export function describeBar(bar, timeSig) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const actual = round(beatsIn(bar.actual, timeSig));
+  const expected = round(beatsIn(bar.expected, timeSig));
+  const base = `Maat ${bar.index + 1}: ${actual} van ${expected} tellen`;
+  switch (bar.status) {
+    case "over":
+      return `${base} (te lang)`;
+    case "under":
+      return `${base} (te kort)`;
+    case "pickup":
+      return `${base} (opmaat)`;
+    case "unknown":
+      return `${base} — onbekend ritme: ${bar.unknown.join(", ")}`;
+    default:
+      return base;
+  }
+}
@@ -0,0 +1,135 @@
+// src/utils/barLines.js
+// Notatie op de lijnen van de woordcellen (borders). Naast { left, right }
+// kan een cel bijhouden:
+// - leftStyle / rightStyle: "double" | "final" | "repeatStart" | "repeatEnd"
+//   (geen stijl = gewone maatstreep)
+// - repeat: hoe vaak een herhaling gespeeld wordt (standaard 2)
+// - ending: volta ("1", "2", "1, 2") vanaf deze cel; endingSpan = aantal
+//   cellen, zonder = tot de volgende maatstreep
+// - mark: segno, coda, D.C., D.S. ... (zie BAR_MARKS)
+// - voordracht boven het woord: dynamiek, crescendo, fermate ... (zie
+//   cellMarks.js)
+// left/right blijven de maatstrepen zelf: maatcontrole, afspelen en export
+// lezen enkel die.
+
+import { stepCell } from "./gridEditing.js";
+
+export const BAR_STYLES = [
+  { style: "single", label: "Maatstreep" },
+  { style: "double", label: "Dubbele maatstreep" },
+  { style: "final", label: "Slotstreep" },
+  { style: "repeatStart", label: "Herhaling begin ‖:" },
+  { style: "repeatEnd", label: "Herhaling einde :‖" },
+];
+
+export const BAR_MARKS = [
+  { mark: "segno", label: "Segno", text: "𝄋" },
+  { mark: "coda", label: "Coda", text: "𝄌" },
+  { mark: "toCoda", label: "Naar coda", text: "To Coda 𝄌" },
+  { mark: "fine", label: "Fine", text: "Fine" },
+  { mark: "dc", label: "D.C.", text: "D.C." },
+  { mark: "dcAlFine", label: "D.C. al Fine", text: "D.C. al Fine" },
+  { mark: "ds", label: "D.S.", text: "D.S." },
+  { mark: "dsAlCoda", label: "D.S. al Coda", text: "D.S. al Coda" },
+];
+
+export const ENDINGS = ["1", "2", "3", "1, 2"];
+
+const NO_BORDER = { left: false, right: false };
+
+/** "single" | "double" | ... for a side with a line, null without */
+export function barStyle(state, side) {
+  if (!state?.[side]) return null;
+  return state[`${side}Style`] ?? "single";
+}
+
+/**
+ * withBarLine
+ * - the cell state with the line on `side` set to `style` (null = none)
+ */
+export function withBarLine(state, side, style) {
+  const next = { ...NO_BORDER, ...state, [side]: Boolean(style) };
+  if (style && style !== "single") next[`${side}Style`] = style;
+  else delete next[`${side}Style`];
+  return next;
+}
+
+/**
+ * withMarkup
+ * - merges markup fields (repeat, ending, mark, dynamic, ...); empty values
+ *   are dropped, and a span without its ending/hairpin too
+ */
+export function withMarkup(state, fields) {
+  const next = { ...NO_BORDER, ...state, ...fields };
+  for (const [field, value] of Object.entries(next)) {
+    if (field === "left" || field === "right") continue;
+    if (value === "" || value == null || value === false) delete next[field];
+  }
+  if (!next.ending) delete next.endingSpan;
+  if (!next.hairpin) delete next.hairpinSpan;
+  return next;
+}
+
+/** true when the state holds nothing (the key can go) */
+export const isEmptyBorder = (state) =>
+  !state || Object.entries(state).every(([, value]) => !value);
+
+/** "×3" for a repeat end played more than twice */
+export function repeatText(state) {
+  const repeats =
+    barStyle(state, "right") === "repeatEnd" ||
+    barStyle(state, "left") === "repeatEnd";
+  return repeats && state.repeat > 2 ? `×${state.repeat}` : "";
+}
+
+export const markText = (mark) =>
+  BAR_MARKS.find((m) => m.mark === mark)?.text ?? "";
+
+/**
+ * spanCells
+ * - the cells from `pos` on, in song order: `span` cells, or without a
+ *   span up to the next bar line (at most to the end of the row)
+ *
+ * @returns {string[]} "row:col" keys
+ */
+export function spanCells(rows, borders, pos, span) {
+  const [row, col] = pos.split(":").map(Number);
+  if (!rows[row] || col >= rows[row].length) return [];
+  const toBar = !(span > 0);
+  const covered = [];
+  for (let at = { row, col }; at; at = stepCell(rows, at, 1)) {
+    const key = `${at.row}:${at.col}`;
+    if (toBar && (at.row !== row || (covered.length && borders[key]?.left)))
+      break;
+    covered.push(key);
+    if (toBar ? borders[key]?.right : covered.length >= span) break;
+  }
+  return covered;
+}
+
+/**
+ * voltaCells
+ * - the cells under each ending bracket, in song order:
+ *   { "row:col": { label, first, last } }; label only on the first cell
+ * - without endingSpan an ending runs to the next bar line (at most to
+ *   the end of its row)
+ *
+ * @param {string[][]} rows
+ * @param {Record<string, object>} borders
+ * @returns {Record<string, {label: string, first: boolean, last: boolean}>}
+ */
+export function voltaCells(rows, borders) {
+  const cells = {};
+  for (const [pos, state] of Object.entries(borders)) {
+    if (!state?.ending) continue;
+    const covered = spanCells(rows, borders, pos, state.endingSpan);
+    covered.forEach((key, i) => {
+      cells[key] = {
+        label: i === 0 ? `${state.ending}.` : "",
+        first: i === 0,
+        last: i === covered.length - 1,
+      };
+    });
+  }
+  return cells;
+}
@@ -0,0 +1,96 @@
+// src/utils/benchmark.js
+// Meting van de typvertraging in het rooster (enkel in de dev-server).
+// Gebruik: open een leeg lied en typ in de console
+//
+//   await songGridBenchmark()
+//
+// Het lied krijgt 500 lijnen tekst; daarna worden akkoorden "getypt" in
+// cellen verspreid over het lied. Per toetsaanslag telt de tijd van het
+// input-event tot na de volgende paint.
+
+const nextPaint = () =>
+  new Promise((resolve) => requestAnimationFrame(() => setTimeout(resolve, 0)));
+
+// React only sees values set through the native setter
+function typeInto(el, value) {
+  const proto = Object.getPrototypeOf(el);
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * benchmarkSong
+ * - lyrics of `lines` lines (verses of four lines with a blank line)
+ */
+export function benchmarkSong(lines = 500) {
+  const out = [];
+  for (let i = 0; i < lines; i++) {
+    if (i > 0 && i % 4 === 0) out.push("");
+    out.push(`lijn ${i + 1} van het lange testlied met wat woorden erbij`);
+  }
+  return out.join("\n");
+}
+
+/**
+ * runKeystrokeBenchmark
+ * - fills the (empty) song with benchmarkSong(lines) and types `keys`
+ *   chords, each in a chord cell further down the song
+ * - the chord lane must be shown; the song text stays, undo removes it
+ *
+ * @returns {Promise<{lines: number, keystrokes: number, medianMs: number,
+ *   p95Ms: number, maxMs: number}>}
+ */
+export async function runKeystrokeBenchmark({ lines = 500, keys = 60 } = {}) {
+  const textarea = document.querySelector("textarea.textarea");
+  if (!textarea) throw new Error("Geen songtekst gevonden.");
+  if (textarea.value.trim()) {
+    throw new Error("Start de benchmark in een leeg lied.");
+  }
+
+  typeInto(textarea, benchmarkSong(lines));
+  await nextPaint();
+
+  if (!document.querySelector('input[data-type="chord"]')) {
+    throw new Error("Toon de akkoordenlijn.");
+  }
+
+  const chords = ["G", "Em", "C", "D"];
+  const times = [];
+  for (let i = 0; i < keys; i++) {
+    const row = Math.floor((i * lines) / keys);
+    // off-screen rows are empty boxes: scroll there first
+    document
+      .querySelector(`[data-row-block="${row}"]`)
+      ?.scrollIntoView({ block: "center" });
+    await nextPaint();
+    await nextPaint();
+    const el = document.querySelector(
+      `input[data-type="chord"][data-row="${row}"][data-col="0"]`,
+    );
+    if (!el) continue;
+    el.focus();
+    await nextPaint();
+
+    const start = performance.now();
+    typeInto(el, chords[i % chords.length]);
+    await nextPaint();
+    times.push(performance.now() - start);
+    el.blur();
+  }
+
+  const sorted = times.slice().sort((a, b) => a - b);
+  const round = (ms) => Math.round(ms * 10) / 10;
+  const result = {
+    lines,
+    keystrokes: sorted.length,
+    medianMs: round(percentile(sorted, 0.5)),
+    p95Ms: round(percentile(sorted, 0.95)),
+    maxMs: round(sorted.at(-1) ?? 0),
+  };
+  console.table(result);
+  return result;
+}
@@ -0,0 +1,105 @@
+// src/utils/benchmark.test.js
+// Typvertraging op een lied van 500 lijnen, zonder browser: het werk dat
+// App per toetsaanslag buiten React doet (tekst -> rijen, annotaties
+// meeverhuizen, maatcontrole, rij-slices) blijft binnen een budget, en een
+// akkoord typen verandert de props van één rij, niet van alle.
+// De meting in de browser zelf: songGridBenchmark() (benchmark.js).
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { analyzeBars } from "./barAnalysis.js";
+import { voltaCells } from "./barLines.js";
+import { benchmarkSong } from "./benchmark.js";
+import { hairpinCells } from "./cellMarks.js";
+import { chordTextsInOrder, inferKey } from "./chords.js";
+import { rowSlices } from "./layout.js";
+import { normalizeTextToRows } from "./lyrics.js";
+import { reconcileAnnotations } from "./reconcileRows.js";
+import { parseSections } from "./sections.js";
+
+const LINES = 500;
+// median per keystroke, with room for a slow CI core (measured on one:
+// about 50 ms for a chord, 115 ms for a letter in the lyrics)
+const CHORD_BUDGET_MS = 100;
+const LYRICS_BUDGET_MS = 200;
+
+// a chord on every other word, a rhythm on every word, a bar line per line
+function annotatedSong() {
+  const rawText = benchmarkSong(LINES);
+  const rows = normalizeTextToRows(rawText);
+  const inputValues = {};
+  const borders = {};
+  rows.forEach((words, row) => {
+    words.forEach((_, col) => {
+      inputValues[`${row}:${col}:rhythm`] = "4";
+      if (col % 2 === 0) inputValues[`${row}:${col}:chord`] = "G";
+    });
+    borders[`${row}:${words.length - 1}`] = { left: false, right: true };
+  });
+  return { rawText, rows, inputValues, borders };
+}
+
+// what App recomputes when inputValues change (a chord typed)
+function chordPass(rows, inputValues, borders) {
+  analyzeBars({ rows, inputValues, borders, timeSignature: "4/4" });
+  inferKey(chordTextsInOrder(inputValues));
+  return rowSlices(inputValues, rows.length);
+}
+
+// what App recomputes when the lyrics change: updateRawText re-keys the
+// annotations, then everything that depends on rows
+function lyricsPass(song, rawText) {
+  const result = reconcileAnnotations({
+    oldRows: song.rows,
+    newRows: normalizeTextToRows(rawText),
+    inputValues: song.inputValues,
+    borders: song.borders,
+  });
+  const rows = normalizeTextToRows(rawText);
+  parseSections(rawText);
+  chordPass(rows, result.inputValues, result.borders);
+  rowSlices(result.borders, rows.length);
+  rowSlices(voltaCells(rows, result.borders), rows.length);
+  rowSlices(hairpinCells(rows, result.borders), rows.length);
+}
+
+function median(run, times = 15) {
+  run(times); // warm up
+  const ms = [];
+  for (let i = 0; i < times; i++) {
+    const start = performance.now();
+    run(i);
+    ms.push(performance.now() - start);
+  }
+  return ms.sort((a, b) => a - b)[Math.floor(times / 2)];
+}
+
+describe(`keystroke on a ${LINES}-line song`, () => {
+  const song = annotatedSong();
+  const { rows, inputValues, borders } = song;
+  const typed = (i) => ({ ...inputValues, [`${i}:1:chord`]: "Em" });
+
+  test("typing a chord changes the props of one row", () => {
+    const before = chordPass(rows, inputValues, borders);
+    const after = chordPass(rows, typed(250), borders);
+    const changed = after.filter((slice, row) => slice !== before[row]);
+    assert.deepEqual(changed, [after[250]]);
+  });
+
+  test(`typing a chord takes less than ${CHORD_BUDGET_MS} ms`, () => {
+    const ms = median((i) => chordPass(rows, typed(i), borders));
+    assert.ok(ms < CHORD_BUDGET_MS, `${ms.toFixed(1)} ms`);
+  });
+
+  test(`typing in the lyrics takes less than ${LYRICS_BUDGET_MS} ms`, () => {
+    // letters added to a word halfway the song
+    const at = song.rawText.indexOf("woorden", song.rawText.length / 2);
+    const ms = median((i) =>
+      lyricsPass(
+        song,
+        `${song.rawText.slice(0, at)}${"x".repeat(i + 1)}${song.rawText.slice(at)}`,
+      ),
+    );
+    assert.ok(ms < LYRICS_BUDGET_MS, `${ms.toFixed(1)} ms`);
+  });
+});
@@ -0,0 +1,79 @@
+// src/utils/cellMarks.js
+// Voordracht boven een woord, in dezelfde celstatus als de maatstrepen
+// (borders, zie barLines.js):
+// - dynamic: "pp" ... "ff", "fp", "sfz"
+// - hairpin: "cresc" | "dim" vanaf deze cel; hairpinSpan = aantal cellen,
+//   zonder = tot de volgende maatstreep
+// - fermata: true
+// - stop: "nc" | "stop" | "break" (N.C., band stopt, break)
+// - cue: vrije tekst ("band out", "build")
+
+import { spanCells } from "./barLines.js";
+
+export const DYNAMICS = ["pp", "p", "mp", "mf", "f", "ff", "fp", "sfz"];
+
+export const HAIRPINS = [
+  { hairpin: "cresc", label: "Crescendo <" },
+  { hairpin: "dim", label: "Decrescendo >" },
+];
+
+export const STOPS = [
+  { stop: "nc", label: "N.C.", text: "N.C." },
+  { stop: "stop", label: "Stop", text: "Stop" },
+  { stop: "break", label: "Break", text: "Break" },
+];
+
+export const stopText = (stop) =>
+  STOPS.find((s) => s.stop === stop)?.text ?? "";
+
+/** true when the cell has a marking above its word */
+export const hasCellMarks = (state) =>
+  Boolean(
+    state?.dynamic ||
+    state?.hairpin ||
+    state?.fermata ||
+    state?.stop ||
+    state?.cue,
+  );
+
+/**
+ * cellMarkTexts
+ * - the text markings of a cell, left to right: dynamic, stop, cue
+ *   (the fermata and hairpins are drawn, not written)
+ *
+ * @returns {Array<{kind: "dynamic"|"stop"|"cue", text: string}>}
+ */
+export function cellMarkTexts(state) {
+  const out = [];
+  if (state?.dynamic) out.push({ kind: "dynamic", text: state.dynamic });
+  if (state?.stop) out.push({ kind: "stop", text: stopText(state.stop) });
+  if (state?.cue) out.push({ kind: "cue", text: state.cue });
+  return out;
+}
+
+/**
+ * hairpinCells
+ * - every cell under a crescendo/decrescendo: how far the wedge is open at
+ *   its left and right edge (0 = closed, 1 = fully open), so a hairpin over
+ *   several cells (and line groups) draws as one wedge
+ *
+ * @param {string[][]} rows
+ * @param {Record<string, object>} borders
+ * @returns {Record<string, {hairpin: string, from: number, to: number}>}
+ */
+export function hairpinCells(rows, borders) {
+  const cells = {};
+  for (const [pos, state] of Object.entries(borders)) {
+    if (!state?.hairpin) continue;
+    const covered = spanCells(rows, borders, pos, state.hairpinSpan);
+    covered.forEach((key, i) => {
+      const a = i / covered.length;
+      const b = (i + 1) / covered.length;
+      cells[key] =
+        state.hairpin === "cresc"
+          ? { hairpin: "cresc", from: a, to: b }
+          : { hairpin: "dim", from: 1 - a, to: 1 - b };
+    });
+  }
+  return cells;
+}
@@ -0,0 +1,366 @@
+// src/utils/chordDiagrams.js
+// Akkoordschema's voor gitaar en ukelele uit een eigen, kleine bibliotheek:
+// - open greepvormen voor de gewone akkoorden in de eerste posities
+// - verschuifbare vormen (barré) voor de rest, vanaf de grondtoon
+// Een greep is een lijst fretten per snaar (laag -> hoog), -1 = niet spelen.
+// layoutChordDiagram geeft de geometrie; preview (SVG) en PDF tekenen die.
+
+import {
+  capoShapeText,
+  chordIntervals,
+  formatChord,
+  parseChordCell,
+  parseNote,
+} from "./chords.js";
+
+export const DIAGRAM_INSTRUMENTS = [
+  { value: "off", label: "Geen" },
+  { value: "guitar", label: "Gitaar" },
+  { value: "ukulele", label: "Ukelele" },
+];
+
+const X = -1;
+
+// intervals above the root (mod 12) -> shape type
+const TYPES = {
+  "0,4,7": "",
+  "0,3,7": "m",
+  "0,4,7,10": "7",
+  "0,3,7,10": "m7",
+  "0,4,7,11": "maj7",
+  "0,5,7": "sus4",
+  "0,2,7": "sus2",
+  "0,3,6": "dim",
+  "0,3,6,9": "dim7",
+  "0,3,6,10": "m7b5",
+  "0,4,8": "aug",
+  "0,4,7,9": "6",
+  "0,3,7,9": "m6",
+};
+
+// open: type -> root name -> frets; movable: frets relative to the fret of
+// the root (`root` = pitch class of that shape played at fret 0)
+const INSTRUMENTS = {
+  guitar: {
+    tuning: [40, 45, 50, 55, 59, 64], // E A D G B E
+    open: {
+      "": {
+        C: [X, 3, 2, 0, 1, 0],
+        D: [X, X, 0, 2, 3, 2],
+        E: [0, 2, 2, 1, 0, 0],
+        G: [3, 2, 0, 0, 0, 3],
+        A: [X, 0, 2, 2, 2, 0],
+      },
+      m: {
+        D: [X, X, 0, 2, 3, 1],
+        E: [0, 2, 2, 0, 0, 0],
+        A: [X, 0, 2, 2, 1, 0],
+      },
+      7: {
+        C: [X, 3, 2, 3, 1, 0],
+        D: [X, X, 0, 2, 1, 2],
+        E: [0, 2, 0, 1, 0, 0],
+        G: [3, 2, 0, 0, 0, 1],
+        A: [X, 0, 2, 0, 2, 0],
+        B: [X, 2, 1, 2, 0, 2],
+      },
+      m7: {
+        D: [X, X, 0, 2, 1, 1],
+        E: [0, 2, 0, 0, 0, 0],
+        A: [X, 0, 2, 0, 1, 0],
+      },
+      maj7: {
+        C: [X, 3, 2, 0, 0, 0],
+        D: [X, X, 0, 2, 2, 2],
+        F: [X, X, 3, 2, 1, 0],
+        A: [X, 0, 2, 1, 2, 0],
+      },
+      sus4: {
+        D: [X, X, 0, 2, 3, 3],
+        E: [0, 2, 2, 2, 0, 0],
+        A: [X, 0, 2, 2, 3, 0],
+      },
+      sus2: {
+        D: [X, X, 0, 2, 3, 0],
+        A: [X, 0, 2, 2, 0, 0],
+      },
+    },
+    movable: [
+      {
+        root: 4, // E shape, root on the low E string
+        shapes: {
+          "": [0, 2, 2, 1, 0, 0],
+          m: [0, 2, 2, 0, 0, 0],
+          7: [0, 2, 0, 1, 0, 0],
+          m7: [0, 2, 0, 0, 0, 0],
+          maj7: [0, X, 1, 1, 0, X],
+          sus4: [0, 2, 2, 2, 0, 0],
+          m6: [0, 2, 2, 0, 2, 0],
+        },
+      },
+      {
+        root: 9, // A shape, root on the A string
+        shapes: {
+          "": [X, 0, 2, 2, 2, 0],
+          m: [X, 0, 2, 2, 1, 0],
+          7: [X, 0, 2, 0, 2, 0],
+          m7: [X, 0, 2, 0, 1, 0],
+          maj7: [X, 0, 2, 1, 2, 0],
+          sus4: [X, 0, 2, 2, 3, 0],
+          sus2: [X, 0, 2, 2, 0, 0],
+          dim: [X, 0, 1, 2, 1, X],
+          dim7: [X, 0, 1, 2, 1, 2],
+          m7b5: [X, 0, 1, 0, 1, X],
+          aug: [X, 0, 3, 2, 2, X],
+          6: [X, 0, 2, 2, 2, 2],
+        },
+      },
+    ],
+  },
+  ukulele: {
+    tuning: [67, 60, 64, 69], // G C E A (high G)
+    open: {
+      "": {
+        C: [0, 0, 0, 3],
+        D: [2, 2, 2, 0],
+        F: [2, 0, 1, 0],
+        G: [0, 2, 3, 2],
+        A: [2, 1, 0, 0],
+        Bb: [3, 2, 1, 1],
+      },
+      m: {
+        D: [2, 2, 1, 0],
+        E: [0, 4, 3, 2],
+        G: [0, 2, 3, 1],
+        A: [2, 0, 0, 0],
+      },
+      7: {
+        C: [0, 0, 0, 1],
+        D: [2, 2, 2, 3],
+        E: [1, 2, 0, 2],
+        G: [0, 2, 1, 2],
+        A: [0, 1, 0, 0],
+        B: [2, 3, 2, 2],
+      },
+      m7: {
+        D: [2, 2, 1, 3],
+        E: [0, 2, 0, 2],
+        A: [0, 0, 0, 0],
+      },
+      maj7: {
+        C: [0, 0, 0, 2],
+        G: [0, 2, 2, 2],
+        A: [1, 1, 0, 0],
+      },
+    },
+    movable: [
+      {
+        root: 0, // C shape
+        shapes: {
+          "": [0, 0, 0, 3],
+          m: [0, 3, 3, 3],
+          7: [0, 0, 0, 1],
+          maj7: [0, 0, 0, 2],
+          sus4: [0, 0, 1, 3],
+          sus2: [0, 2, 3, 3],
+          dim: [5, 3, 2, 3],
+          aug: [1, 0, 0, 3],
+          6: [0, 0, 0, 0],
+        },
+      },
+      {
+        root: 7, // G shape
+        shapes: {
+          "": [0, 2, 3, 2],
+          m: [0, 2, 3, 1],
+          7: [0, 2, 1, 2],
+          m7: [0, 2, 1, 1],
+          maj7: [0, 2, 2, 2],
+          sus4: [0, 2, 3, 3],
+          sus2: [0, 2, 3, 0],
+        },
+      },
+      {
+        root: 9, // A shape
+        shapes: {
+          "": [2, 1, 0, 0],
+          m: [2, 0, 0, 0],
+          7: [0, 1, 0, 0],
+          m7: [0, 0, 0, 0],
+          maj7: [1, 1, 0, 0],
+          sus4: [2, 2, 0, 0],
+          dim: [2, 3, 5, 3],
+          m6: [2, 0, 2, 0],
+        },
+      },
+      {
+        root: 11, // B shape
+        shapes: {
+          m7b5: [2, 2, 1, 2],
+        },
+      },
+      {
+        root: 1, // C# shape
+        shapes: {
+          dim7: [0, 1, 0, 1],
+        },
+      },
+    ],
+  },
+};
+
+/**
+ * chordType
+ * - parsed chord -> shape type ("", "m", "7", ...) or null when the library
+ *   has no shapes for it (e.g. "C9", "C7sus4")
+ */
+export function chordType(chord) {
+  if (!chord || chord.noChord) return null;
+  const pcs = [...new Set(chordIntervals(chord).map((i) => i % 12))].sort(
+    (a, b) => a - b,
+  );
+  return TYPES[pcs.join(",")] ?? null;
+}
+
+/**
+ * chordShape
+ * - fingering for a parsed chord; a slash bass is ignored
+ * - an open shape when there is one, else the movable shape lowest on the neck
+ *
+ * @param {object} chord result of parseChord
+ * @param {"guitar"|"ukulele"} instrument
+ * @returns {{name: string, frets: number[]} | null}
+ */
+export function chordShape(chord, instrument) {
+  const lib = INSTRUMENTS[instrument];
+  const type = chordType(chord);
+  if (!lib || type === null) return null;
+  const name = formatChord({ ...chord, bass: null });
+
+  for (const [root, frets] of Object.entries(lib.open[type] ?? {})) {
+    if (parseNote(root).pc === chord.pc) return { name, frets };
+  }
+
+  let best = null;
+  for (const { root, shapes } of lib.movable) {
+    const shape = shapes[type];
+    if (!shape) continue;
+    const shift = (chord.pc - root + 12) % 12;
+    if (!best || shift < best.shift) best = { shift, shape };
+  }
+  if (!best) return null;
+  return {
+    name,
+    frets: best.shape.map((f) => (f === X ? X : f + best.shift)),
+  };
+}
+
+/**
+ * usedChords
+ * - distinct chords of some chord cells, in order of appearance (a slash
+ *   bass does not count as another chord)
+ *
+ * @param {string[]} chordTexts
+ * @returns {object[]} parsed chords
+ */
+export function usedChords(chordTexts) {
+  const seen = new Set();
+  const chords = [];
+  for (const text of chordTexts) {
+    for (const chord of parseChordCell(text).chords) {
+      if (chord.noChord) continue;
+      const name = formatChord({ ...chord, bass: null });
+      if (seen.has(name)) continue;
+      seen.add(name);
+      chords.push(chord);
+    }
+  }
+  return chords;
+}
+
+/**
+ * diagramsForRows
+ * - shapes for the chords of the lanes `chordLanes` in rows
+ *   [fromRow, toRow), in order of appearance; with a capo the shapes that
+ *   are fingered
+ * - chords the library does not know are left out
+ *
+ * @returns {Array<{name: string, frets: number[]}>}
+ */
+export function diagramsForRows({
+  rows,
+  inputValues,
+  fromRow,
+  toRow,
+  instrument,
+  capo = 0,
+  key,
+  chordLanes = ["chord"],
+}) {
+  const texts = [];
+  for (let row = fromRow; row < toRow; row++) {
+    (rows[row] ?? []).forEach((_, col) => {
+      for (const id of chordLanes) {
+        const text = inputValues[`${row}:${col}:${id}`];
+        if (text) texts.push(capo > 0 ? capoShapeText(text, capo, key) : text);
+      }
+    });
+  }
+  return usedChords(texts)
+    .map((chord) => chordShape(chord, instrument))
+    .filter(Boolean);
+}
+
+export const DIAGRAM_FRETS = 4;
+
+/**
+ * layoutChordDiagram
+ * - geometry of one diagram, `size` = distance between two strings
+ * - the window starts at the nut unless the shape sits higher up the neck;
+ *   then `baseFret` is the fret number written next to the first fret
+ *
+ * @returns {{width: number, height: number, top: number, strings: number[],
+ *   frets: number[], nut: boolean, baseFret: number,
+ *   dots: Array<{x: number, y: number}>,
+ *   marks: Array<{x: number, y: number, muted: boolean}>}}
+ */
+export function layoutChordDiagram(shape, { size }) {
+  const strings = shape.frets.length;
+  const fretted = shape.frets.filter((f) => f > 0);
+  const high = Math.max(0, ...fretted);
+  const baseFret = high <= DIAGRAM_FRETS ? 1 : Math.min(...fretted);
+
+  const fretGap = size * 1.25;
+  const top = size * 1.1; // room for the open/muted marks
+  const left = size * 0.9; // room for the fret number
+  const width = left + size * (strings - 1) + size * 0.6;
+  const height = top + fretGap * DIAGRAM_FRETS + size * 0.3;
+
+  const xs = shape.frets.map((_, i) => left + i * size);
+  const ys = Array.from(
+    { length: DIAGRAM_FRETS + 1 },
+    (_, i) => top + i * fretGap,
+  );
+
+  const dots = [];
+  const marks = [];
+  shape.frets.forEach((f, i) => {
+    if (f > 0) {
+      dots.push({ x: xs[i], y: top + (f - baseFret + 0.5) * fretGap });
+    } else {
+      marks.push({ x: xs[i], y: top - size * 0.55, muted: f === X });
+    }
+  });
+
+  return {
+    width,
+    height,
+    top,
+    strings: xs,
+    frets: ys,
+    nut: baseFret === 1,
+    baseFret,
+    dots,
+    marks,
+  };
+}
@@ -0,0 +1,322 @@
+// src/utils/chordPro.js
+// ChordPro <-> grid.
+// - "[C]Amazing [G]grace" : akkoord vóór de letter waar het valt
+// - "{title: ...}" enz.   : directives (metadata, secties, commentaar)
+//
+// Een akkoord hoort bij het woord waarin het staat, of (in witruimte) bij het
+// eerstvolgende woord. Een lijn met enkel akkoorden krijgt "."-woorden: dat is
+// ook wat je in de tekst typt voor een lege tekstcel.
+
+import { parseChord } from "./chords.js";
+import {
+  EMPTY_WORD,
+  joinSyllables,
+  normalizeTextToRows,
+  splitSyllables,
+} from "./lyrics.js";
+import { parseSections, sectionTitle } from "./sections.js";
+
+const DIRECTIVE_RE = /^\s*\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}\s*$/i;
+const CHORD_RE = /\[([^\]]*)\]/g;
+
+export const CHORDPRO_FILE_EXTENSION = ".cho";
+export const CHORDPRO_EXTENSIONS = [
+  ".cho",
+  ".chordpro",
+  ".chopro",
+  ".crd",
+  ".pro",
+];
+
+const META_DIRECTIVES = {
+  title: "title",
+  t: "title",
+  artist: "artist",
+  subtitle: "artist",
+  st: "artist",
+  key: "key",
+  tempo: "tempo",
+  capo: "capo",
+  time: "timeSignature",
+};
+
+/**
+ * isChordPro
+ * - true when the text has a directive line or at least one [chord] that
+ *   parses as a chord (so "[Chorus]" alone does not count)
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isChordPro(text) {
+  const src = String(text ?? "");
+  if (src.split(/\r?\n/).some((line) => DIRECTIVE_RE.test(line))) return true;
+  for (const m of src.matchAll(CHORD_RE)) {
+    if (parseChord(m[1])) return true;
+  }
+  return false;
+}
+
+/**
+ * isChordProFile
+ * - by file name (extension)
+ *
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isChordProFile(fileName) {
+  const name = String(fileName ?? "").toLowerCase();
+  return CHORDPRO_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+/**
+ * splitChordProLine
+ * - "[C]Amazing [G]grace" -> lyric "Amazing grace",
+ *   chords [{ chord: "C", offset: 0 }, { chord: "G", offset: 8 }]
+ * - offsets are character positions in the lyric
+ *
+ * @param {string} line
+ * @returns {{lyric: string, chords: Array<{chord: string, offset: number}>}}
+ */
+export function splitChordProLine(line) {
+  const chords = [];
+  let lyric = "";
+  let last = 0;
+  for (const m of line.matchAll(CHORD_RE)) {
+    lyric += line.slice(last, m.index);
+    const chord = m[1].trim();
+    if (chord) chords.push({ chord, offset: lyric.length });
+    last = m.index + m[0].length;
+  }
+  lyric += line.slice(last);
+  return { lyric, chords };
+}
+
+/**
+ * chordsToColumns
+ * - maps chord offsets onto the cells of the (trimmed, whitespace-split)
+ *   lyric, the same way normalizeTextToRows splits it
+ * - a chord inside a word splits it into syllables there
+ *   ("hal[G]lelujah" -> "hal-lelujah", G on the second cell)
+ *
+ * @param {string} lyric
+ * @param {Array<{chord: string, offset: number}>} chords
+ * @returns {{words: string[], columns: Record<number, string[]>}}
+ */
+export function chordsToColumns(lyric, chords) {
+  const words = [];
+  const columns = {};
+  const add = (col, chord) => (columns[col] ??= []).push(chord);
+
+  const matches = [...lyric.matchAll(/\S+/g)];
+  if (!matches.length) {
+    // chord-only line (intro, instrumental): one empty cell per chord
+    chords.forEach(({ chord }, i) => {
+      words.push(EMPTY_WORD);
+      add(i, chord);
+    });
+    return { words, columns };
+  }
+
+  let next = 0; // next chord to place
+  let firstCell = 0; // first cell of the current word
+  matches.forEach((m, w) => {
+    const word = m[0];
+    const isLast = w === matches.length - 1;
+    const mine = [];
+    while (
+      next < chords.length &&
+      (isLast || chords[next].offset < m.index + word.length)
+    ) {
+      mine.push({ ...chords[next], at: chords[next].offset - m.index });
+      next++;
+    }
+
+    const cuts = [
+      ...new Set(
+        mine.map((c) => c.at).filter((at) => at > 0 && at < word.length),
+      ),
+    ];
+    // hyphens already in the lyric stay hyphens ("well-known" is one cell)
+    const pieces = [...cuts, word.length].map((cut, i) =>
+      word
+        .slice(i ? cuts[i - 1] : 0, cut)
+        .replace(/(?<=[^-~])([-~])(?=[^-~])/g, "\\$1"),
+    );
+    words.push(
+      pieces.reduce((acc, piece, i) =>
+        i === 0 || /[-~]$/.test(acc) ? acc + piece : `${acc}-${piece}`,
+      ),
+    );
+
+    // first cell of every piece
+    const pieceCells = [];
+    let cells = 0;
+    for (const piece of pieces) {
+      pieceCells.push(firstCell + cells);
+      cells += splitSyllables(piece).length;
+    }
+    for (const { chord, at } of mine) {
+      if (at >= word.length) add(firstCell + cells - 1, chord);
+      else add(pieceCells[cuts.filter((cut) => cut <= at).length], chord);
+    }
+    firstCell += cells;
+  });
+  return { words, columns };
+}
+
+const SECTION_DIRECTIVES = {
+  start_of_verse: "Verse",
+  sov: "Verse",
+  start_of_chorus: "Chorus",
+  soc: "Chorus",
+  start_of_bridge: "Bridge",
+  sob: "Bridge",
+};
+const SECTION_ENDS = [
+  "end_of_verse",
+  "eov",
+  "end_of_chorus",
+  "eoc",
+  "end_of_bridge",
+  "eob",
+];
+
+// section directive -> textarea lines
+function sectionDirective(name, value) {
+  if (SECTION_DIRECTIVES[name]) {
+    return ["", `[${value || SECTION_DIRECTIVES[name]}]`];
+  }
+  if (SECTION_ENDS.includes(name)) return [""];
+  // {chorus}: play the chorus again
+  if (name === "chorus") return ["", `[${value || "Chorus"}]`, ""];
+  return null;
+}
+
+// section kind -> ChordPro environment
+const ENVIRONMENTS = { verse: "verse", chorus: "chorus", bridge: "bridge" };
+
+/**
+ * parseChordPro
+ * - returns the lyrics as textarea text, the chord line as inputValues
+ *   (`${row}:${col}:chord`) and song metadata from the directives
+ *
+ * @param {string} text
+ * @returns {{rawText: string, inputValues: Record<string, string>, meta: object}}
+ */
+export function parseChordPro(text) {
+  const meta = {};
+  const lines = [];
+  const inputValues = {};
+  let row = 0;
+
+  for (const line of String(text ?? "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")) {
+    const directive = line.match(DIRECTIVE_RE);
+    if (directive) {
+      const field = META_DIRECTIVES[directive[1].toLowerCase()];
+      const value = directive[2] ?? "";
+      if (field === "tempo" || field === "capo") {
+        const n = parseInt(value, 10);
+        if (Number.isFinite(n)) meta[field] = n;
+      } else if (field && value) {
+        meta[field] = value;
+      }
+      // sections become markers (see sections.js); other directives
+      // (comments, ...) are not part of the grid
+      const section = sectionDirective(directive[1].toLowerCase(), value);
+      if (section) lines.push(...section);
+      continue;
+    }
+
+    const { lyric, chords } = splitChordProLine(line);
+    if (!lyric.trim() && !chords.length) {
+      if (lines.length && lines.at(-1) !== "") lines.push("");
+      continue;
+    }
+
+    const { words, columns } = chordsToColumns(lyric, chords);
+    for (const [col, list] of Object.entries(columns)) {
+      inputValues[`${row}:${col}:chord`] = list.join(" ");
+    }
+    lines.push(words.join(" "));
+    row++;
+  }
+
+  const rawText = lines
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return { rawText, inputValues, meta };
+}
+
+/**
+ * toChordPro
+ * - grid -> ChordPro text; chords go in front of their word (syllable)
+ * - hyphenate: the song's automatic hyphenation, so the cells match the grid
+ *
+ * @param {{rawText: string, inputValues: object, meta?: object,
+ *   hyphenate?: (word: string) => string[]}} song
+ * @returns {string}
+ */
+export function toChordPro({ rawText, inputValues, meta = {}, hyphenate }) {
+  const out = [];
+  if (meta.title) out.push(`{title: ${meta.title}}`);
+  if (meta.artist) out.push(`{artist: ${meta.artist}}`);
+  if (meta.key) out.push(`{key: ${meta.key}}`);
+  if (meta.timeSignature) out.push(`{time: ${meta.timeSignature}}`);
+  if (meta.tempo) out.push(`{tempo: ${meta.tempo}}`);
+  if (meta.capo) out.push(`{capo: ${meta.capo}}`);
+  if (out.length) out.push("");
+
+  const rows = normalizeTextToRows(rawText, { hyphenate });
+  const chordsAt = (row, col) =>
+    String(inputValues[`${row}:${col}:chord`] ?? "")
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((c) => `[${c}]`)
+      .join("");
+  // syllables of one word are joined again: "[C]hal[G]lelujah"; a line of
+  // only empty words is a chord line ("[G] [C]"), elsewhere an empty word
+  // keeps its "." so its chord does not move to the next word
+  const rowLine = (cells, row) => {
+    const chordLine = cells.every((cell) => cell === EMPTY_WORD);
+    return joinSyllables(cells)
+      .map(({ text, cols }) => {
+        if (text === EMPTY_WORD && chordLine) {
+          return chordsAt(row, cols[0]) || text;
+        }
+        return cols
+          .map((col, i) => {
+            const cell = cells[col];
+            const syllable = i < cols.length - 1 ? cell.slice(0, -1) : cell;
+            return `${chordsAt(row, col)}${syllable}`;
+          })
+          .join("");
+      })
+      .join(" ");
+  };
+
+  parseSections(rawText).forEach((section, i) => {
+    if (i > 0) out.push("");
+    const env = ENVIRONMENTS[section.kind];
+    if (section.refOf !== null) {
+      out.push(
+        section.kind === "chorus"
+          ? `{chorus: ${sectionTitle(section)}}`
+          : `{comment: ${sectionTitle(section)}}`,
+      );
+      return;
+    }
+    if (env) out.push(`{start_of_${env}: ${sectionTitle(section)}}`);
+    else if (section.label) out.push(`{comment: ${sectionTitle(section)}}`);
+    for (let row = section.startRow; row < section.endRow; row++) {
+      out.push(rowLine(rows[row], row));
+    }
+    if (env) out.push(`{end_of_${env}}`);
+  });
+
+  return `${out.join("\n")}\n`;
+}
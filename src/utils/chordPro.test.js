@@ -0,0 +1,110 @@
+// src/utils/chordPro.test.js
+// ChordPro -> grid -> ChordPro -> grid moet hetzelfde lied opleveren.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseChordPro, toChordPro } from "./chordPro.js";
+
+// parse, export the grid again and parse that: both grids must be equal
+function roundTrip(text) {
+  const first = parseChordPro(text);
+  const exported = toChordPro(first);
+  const second = parseChordPro(exported);
+  assert.deepEqual(second, first, `opnieuw ingelezen:\n${exported}`);
+  return first;
+}
+
+describe("ChordPro round trip", () => {
+  test("chords in front of words and inside a word", () => {
+    const song = roundTrip("[C]Amazing [G]grace how [Am]sweet the [F]sound");
+    assert.equal(song.rawText, "Amazing grace how sweet the sound");
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "C",
+      "0:1:chord": "G",
+      "0:3:chord": "Am",
+      "0:5:chord": "F",
+    });
+  });
+
+  test("a chord inside a word splits it into syllables", () => {
+    const song = roundTrip("[C]hal[G]le[Am]lu[F]jah");
+    assert.equal(song.rawText, "hal-le-lu-jah");
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "C",
+      "0:1:chord": "G",
+      "0:2:chord": "Am",
+      "0:3:chord": "F",
+    });
+  });
+
+  test("several chords on one syllable", () => {
+    const song = roundTrip("[C][G/B]Oh [Am][G][F]yeah");
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "C G/B",
+      "0:1:chord": "Am G F",
+    });
+  });
+
+  test("directives: metadata and sections", () => {
+    const song = roundTrip(
+      [
+        "{title: Amazing Grace}",
+        "{artist: John Newton}",
+        "{key: G}",
+        "{time: 3/4}",
+        "{tempo: 90}",
+        "{capo: 2}",
+        "{start_of_verse: Verse 1}",
+        "[G]Amazing grace",
+        "{end_of_verse}",
+        "{start_of_chorus}",
+        "[C]how sweet the [G]sound",
+        "{end_of_chorus}",
+        "{chorus}",
+      ].join("\n"),
+    );
+    assert.deepEqual(song.meta, {
+      title: "Amazing Grace",
+      artist: "John Newton",
+      key: "G",
+      timeSignature: "3/4",
+      tempo: 90,
+      capo: 2,
+    });
+    assert.equal(
+      song.rawText,
+      "[Verse 1]\nAmazing grace\n\n[Chorus]\nhow sweet the sound\n\n[Chorus]",
+    );
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "G",
+      "1:0:chord": "C",
+      "1:3:chord": "G",
+    });
+  });
+
+  test("empty words: chord-only lines and chords after the lyric", () => {
+    const song = roundTrip("[G] [C] [D]\nAmazing grace [Em]");
+    assert.equal(song.rawText, ". . .\nAmazing grace");
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "G",
+      "0:1:chord": "C",
+      "0:2:chord": "D",
+      "1:1:chord": "Em",
+    });
+  });
+
+  test("an empty word between lyrics keeps its chord", () => {
+    const song = roundTrip("Amazing [D]. grace");
+    assert.equal(song.rawText, "Amazing . grace");
+    assert.deepEqual(song.inputValues, { "0:1:chord": "D" });
+  });
+
+  test("hyphens in the lyric stay one cell", () => {
+    const song = roundTrip("a [C]well-known [G]song");
+    assert.equal(song.rawText, "a well\\-known song");
+    assert.deepEqual(song.inputValues, {
+      "0:1:chord": "C",
+      "0:2:chord": "G",
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// src/utils/chordSheet.js
+// Platte tekst "akkoorden boven de tekst" (monospace), zoals in mails en
+// op de meeste websites:
+//
+//   G          C/E        D
+//   Amazing grace how sweet the sound
+//
+// Een akkoord hoort bij het woord (of de lettergreep) onder zijn eerste
+// teken; boven een spatie hoort het bij het volgende woord.
+
+import { parseChord } from "./chords.js";
+import {
+  EMPTY_WORD,
+  escapeSyllableMarks,
+  isContinued,
+  normalizeTextToRows,
+} from "./lyrics.js";
+import { parseSectionMarker, parseSections, sectionTitle } from "./sections.js";
+
+export const CHORD_SHEET_FILE_EXTENSION = ".txt";
+
+const TAB_WIDTH = 8;
+
+// bar lines, slashes and repeat marks between the chords
+const FILLER_RE = /^(\|+|\/+|\.+|:?\|\|?:?|\(?x\d+\)?|\d+x)$/i;
+
+const SECTION_LINE_RE =
+  /^\s*((?:pre-?)?chorus|verse|couplet|refrein|bridge|intro|outro|instrumental|solo|interlude|tag|coda)(\s+\d+)?\s*:?\s*$/i;
+
+const META_LINE_RE =
+  /^\s*(title|titel|artist|artiest|key|toonsoort|capo|tempo|time|maat)\s*:\s*(.+?)\s*$/i;
+
+const META_FIELDS = {
+  title: "title",
+  titel: "title",
+  artist: "artist",
+  artiest: "artist",
+  key: "key",
+  toonsoort: "key",
+  capo: "capo",
+  tempo: "tempo",
+  time: "timeSignature",
+  maat: "timeSignature",
+};
+
+const expandTabs = (line) =>
+  line.replace(/([^\t]*)\t/g, (_, before) => {
+    const pad = TAB_WIDTH - (before.length % TAB_WIDTH);
+    return before + " ".repeat(pad);
+  });
+
+/**
+ * chordLineChords
+ * - "G    C/E  | D" -> [{ chord: "G", offset: 0 }, { chord: "C/E", offset: 5 }, ...]
+ * - null when the line is not a chord line (a token that is no chord)
+ *
+ * @param {string} line
+ * @returns {Array<{chord: string, offset: number}> | null}
+ */
+export function chordLineChords(line) {
+  const chords = [];
+  for (const m of expandTabs(line).matchAll(/\S+/g)) {
+    if (FILLER_RE.test(m[0])) continue;
+    const text = m[0].replace(/^\((.+)\)$/, "$1");
+    if (!parseChord(text)) return null;
+    chords.push({ chord: text, offset: m.index });
+  }
+  return chords.length ? chords : null;
+}
+
+/**
+ * isChordsOverLyrics
+ * - true when some chord line is directly followed by a lyric line
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isChordsOverLyrics(text) {
+  const lines = String(text ?? "").split(/\r?\n/);
+  return lines.some(
+    (line, i) =>
+      chordLineChords(line) &&
+      lines[i + 1]?.trim() &&
+      !chordLineChords(lines[i + 1]),
+  );
+}
+
+/**
+ * chordsToCells
+ * - lyric line + chords at character offsets -> the row's words and the
+ *   chords per cell; the lyric is not cut: every word is one cell (its
+ *   hyphens escaped, as parseChordPro does) and a chord goes to the word
+ *   under it
+ * - chord-only line (intro, instrumental): one empty cell per chord
+ *
+ * @param {string} lyric
+ * @param {Array<{chord: string, offset: number}>} chords
+ * @returns {{words: string[], columns: Record<number, string[]>}}
+ */
+export function chordsToCells(lyric, chords) {
+  const columns = {};
+  const add = (col, chord) => (columns[col] ??= []).push(chord);
+
+  const matches = [...lyric.matchAll(/\S+/g)];
+  if (!matches.length) {
+    chords.forEach(({ chord }, i) => add(i, chord));
+    return { words: chords.map(() => EMPTY_WORD), columns };
+  }
+
+  // end offset (exclusive) of every word in the line
+  const ends = matches.map((m) => m.index + m[0].length);
+  for (const { chord, offset } of chords) {
+    const col = ends.findIndex((end) => offset < end);
+    add(col === -1 ? ends.length - 1 : col, chord);
+  }
+  return { words: matches.map((m) => escapeSyllableMarks(m[0])), columns };
+}
+
+function sectionMarker(line) {
+  if (parseSectionMarker(line.trim())) return line.trim();
+  const m = line.match(SECTION_LINE_RE);
+  if (!m) return null;
+  const name = m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
+  return `[${name}${m[2] ?? ""}]`;
+}
+
+/**
+ * parseChordsOverLyrics
+ * - same result as parseChordPro: the lyrics as textarea text, the chords as
+ *   inputValues (`${row}:${col}:chord`) and song info from "Key: G" lines
+ * - a chord line without lyric line below becomes a row of "." cells
+ * - "Chorus:" / "[Chorus]" lines become section markers
+ *
+ * @param {string} text
+ * @returns {{rawText: string, inputValues: Record<string, string>, meta: object}}
+ */
+export function parseChordsOverLyrics(text) {
+  const meta = {};
+  const lines = [];
+  const inputValues = {};
+  let row = 0;
+
+  const src = String(text ?? "")
+    .replace(/\r\n/g, "\n")
+    .split("\n");
+  const addRow = (lyric, chords) => {
+    const { words, columns } = chordsToCells(lyric, chords);
+    for (const [col, list] of Object.entries(columns)) {
+      inputValues[`${row}:${col}:chord`] = list.join(" ");
+    }
+    lines.push(words.join(" "));
+    row++;
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const line = src[i];
+    if (!line.trim()) {
+      if (lines.length && lines.at(-1) !== "") lines.push("");
+      continue;
+    }
+
+    const marker = sectionMarker(line);
+    if (marker) {
+      if (lines.length && lines.at(-1) !== "") lines.push("");
+      lines.push(marker);
+      continue;
+    }
+
+    const info = line.match(META_LINE_RE);
+    if (info && !row) {
+      const field = META_FIELDS[info[1].toLowerCase()];
+      const n = parseInt(info[2], 10);
+      if (field === "tempo" || field === "capo") {
+        if (Number.isFinite(n)) meta[field] = n;
+      } else {
+        meta[field] = info[2];
+      }
+      continue;
+    }
+
+    const chords = chordLineChords(line);
+    if (!chords) {
+      addRow(line, []);
+      continue;
+    }
+    const below = src[i + 1];
+    if (below?.trim() && !chordLineChords(below) && !sectionMarker(below)) {
+      addRow(expandTabs(below), chords);
+      i++;
+    } else {
+      addRow("", chords);
+    }
+  }
+
+  const rawText = lines
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return { rawText, inputValues, meta };
+}
+
+/**
+ * toChordsOverLyrics
+ * - grid -> monospace chords-over-lyrics text
+ * - columnWidths(row): the width of each cell in characters (App derives it
+ *   from the preview layout, so the text looks like the grid); a cell is
+ *   always wide enough for its chord and syllable plus a space
+ * - hyphenate: the song's automatic hyphenation, so the cells match the grid
+ *
+ * @param {{rawText: string, inputValues: object, meta?: object,
+ *   columnWidths?: (row: number) => number[],
+ *   hyphenate?: (word: string) => string[]}} song
+ * @returns {string}
+ */
+export function toChordsOverLyrics({
+  rawText,
+  inputValues,
+  meta = {},
+  columnWidths = () => [],
+  hyphenate,
+}) {
+  const out = [];
+  if (meta.title) out.push(`Title: ${meta.title}`);
+  if (meta.artist) out.push(`Artist: ${meta.artist}`);
+  if (meta.key) out.push(`Key: ${meta.key}`);
+  if (meta.capo) out.push(`Capo: ${meta.capo}`);
+  if (out.length) out.push("");
+
+  const rows = normalizeTextToRows(rawText, { hyphenate });
+  const rowLines = (cells, row) => {
+    const widths = columnWidths(row);
+    const chordOnly = cells.every((cell) => cell === EMPTY_WORD);
+    let chordLine = "";
+    let lyricLine = "";
+    cells.forEach((cell, col) => {
+      const chord = String(inputValues[`${row}:${col}:chord`] ?? "").trim();
+      const lyric = cell === EMPTY_WORD ? "" : cell;
+      // a syllable that continues stays glued to the next one when it can
+      const gap = isContinued(cell) && !chord ? 0 : 1;
+      const width = Math.max(
+        widths[col] ?? 0,
+        chord ? chord.length + 1 : 0,
+        lyric.length + gap,
+      );
+      // the chord starts exactly above its syllable
+      const start = Math.max(chordLine.length, lyricLine.length);
+      chordLine = chord ? chordLine.padEnd(start) + chord : chordLine;
+      lyricLine = lyricLine.padEnd(start) + lyric;
+      lyricLine = lyricLine.padEnd(start + width);
+    });
+    return chordOnly
+      ? [chordLine]
+      : [chordLine.trimEnd(), lyricLine.trimEnd()].filter(Boolean);
+  };
+
+  parseSections(rawText).forEach((section, i) => {
+    if (i > 0) out.push("");
+    if (section.label) out.push(`[${sectionTitle(section)}]`);
+    if (section.refOf !== null) return;
+    for (let row = section.startRow; row < section.endRow; row++) {
+      out.push(...rowLines(rows[row], row));
+    }
+  });
+
+  return `${out.join("\n")}\n`;
+}
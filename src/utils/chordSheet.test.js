@@ -0,0 +1,42 @@
+// src/utils/chordSheet.test.js
+// Akkoorden boven de tekst -> grid: elk akkoord op het woord eronder.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseChordsOverLyrics, toChordsOverLyrics } from "./chordSheet.js";
+import { normalizeTextToRows } from "./lyrics.js";
+
+describe("parseChordsOverLyrics", () => {
+  test("a chord belongs to the word under its first character", () => {
+    const song = parseChordsOverLyrics(
+      ["Key: G", "", "G          C/E   D", "Amazing grace how sweet"].join(
+        "\n",
+      ),
+    );
+    assert.equal(song.rawText, "Amazing grace how sweet");
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "G",
+      "0:1:chord": "C/E",
+      "0:3:chord": "D",
+    });
+    assert.deepEqual(song.meta, { key: "G" });
+  });
+
+  test("a hyphenated word stays one cell", () => {
+    const song = parseChordsOverLyrics(
+      ["G    D         C", "a well-known tune"].join("\n"),
+    );
+    assert.deepEqual(normalizeTextToRows(song.rawText), [
+      ["a", "well-known", "tune"],
+    ]);
+    assert.deepEqual(song.inputValues, {
+      "0:0:chord": "G",
+      "0:1:chord": "D",
+      "0:2:chord": "C",
+    });
+    // and comes back the same
+    const again = parseChordsOverLyrics(toChordsOverLyrics(song));
+    assert.deepEqual(again.inputValues, song.inputValues);
+    assert.equal(again.rawText, song.rawText);
+  });
+});
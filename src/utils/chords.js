@@ -0,0 +1,496 @@
+// src/utils/chords.js
+// Akkoorden begrijpen: parsen (grondtoon, kruis/mol, kwaliteit, extensies,
+// slash-bas), transponeren en correct spellen in de doeltoonsoort.
+
+const LETTER_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+export const SHARP_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+export const FLAT_NAMES = [
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "Gb",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+];
+// C major / A minor: the accidentals you usually meet in that key
+const NATURAL_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+];
+
+// conventional key names per pitch class (used for the key selects)
+export const MAJOR_KEYS = [
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+];
+export const MINOR_KEYS = [
+  "Cm",
+  "C#m",
+  "Dm",
+  "Ebm",
+  "Em",
+  "Fm",
+  "F#m",
+  "Gm",
+  "G#m",
+  "Am",
+  "Bbm",
+  "Bm",
+];
+
+const NO_CHORD = /^(N\.?C\.?|-|%)$/i;
+
+const QUALITIES = [
+  // order matters: "maj" before "m"; "ma" only before a number ("Cma7",
+  // but "Cmadd9" is minor)
+  { re: /^(maj|Maj|MA|ma(?=\d)|M|Δ)/, quality: "maj" },
+  { re: /^(min|mi|m|-)(?!aj|a\d)/, quality: "m" },
+  { re: /^(dim|°|o)/, quality: "dim" },
+  { re: /^ø/, quality: "m7b5" },
+  { re: /^(aug|\+)/, quality: "aug" },
+  { re: /^(sus2|sus4|sus)/, quality: "sus" },
+];
+
+// "6/9" and "69" before the plain numbers; a major seventh after a minor
+// quality ("Gm(maj7)", "CmM9")
+const EXTENSION =
+  /^(\(|\)|,|6\/?9|(?:maj|Maj|MA|ma|M|Δ)(?:7|9|11|13)|add(?:b|#)?\d{1,2}|(?:b|#)\d{1,2}|\d{1,2}|sus[24]?|no3|alt)/;
+const SIX_NINE = /^6\/?9$/;
+const MAJOR_EXTENSION = /^(?:maj|Maj|MA|ma|M|Δ)(\d+)$/;
+const MAJOR_SEVENTH = /^maj\d/;
+
+// the slash before a bass note; the one in "6/9" belongs to the chord
+export const BASS_SLASH_RE = /(?<!6)\/|\/(?!9)/;
+
+function normalizeAccidentals(s) {
+  return s.replace(/♯/g, "#").replace(/♭/g, "b");
+}
+
+/**
+ * parseNote
+ * - "F#" -> { letter: "F", accidental: "#", pc: 6 }
+ *
+ * @param {string} text
+ * @returns {{letter: string, accidental: string, pc: number, rest: string} | null}
+ */
+export function parseNote(text) {
+  const m = normalizeAccidentals(String(text ?? "")).match(
+    /^([A-Ga-g])(#{1,2}|b{1,2})?/,
+  );
+  if (!m) return null;
+  const letter = m[1].toUpperCase();
+  const accidental = m[2] ?? "";
+  const shift = accidental.startsWith("#")
+    ? accidental.length
+    : -accidental.length;
+  return {
+    letter,
+    accidental,
+    pc: (LETTER_PC[letter] + shift + 12) % 12,
+    rest: normalizeAccidentals(text).slice(m[0].length),
+  };
+}
+
+/**
+ * parseChord
+ * - "F#m7b5/C" -> { root: "F", accidental: "#", pc: 6, quality: "m",
+ *                   extensions: ["7", "b5"], suffix: "m7b5",
+ *                   bass: { root: "C", accidental: "", pc: 0 } }
+ * - "C6/9" -> extensions ["6", "add9"], "Gm(maj7)" -> quality "m",
+ *   extensions ["maj7"]
+ * - "N.C." -> { noChord: true }
+ * - anything else -> null
+ *
+ * @param {string} text
+ * @returns {object|null}
+ */
+export function parseChord(text) {
+  const src = String(text ?? "").trim();
+  if (!src) return null;
+  if (NO_CHORD.test(src)) return { noChord: true, text: src };
+
+  // root must be an uppercase letter, so lyrics-like words ("am", "be") fail
+  if (!/^[A-G]/.test(src)) return null;
+
+  const [main, bassText, ...extra] = src.split(BASS_SLASH_RE);
+  if (extra.length) return null;
+
+  const root = parseNote(main);
+  if (!root) return null;
+
+  let rest = root.rest;
+  const suffix = rest;
+
+  let quality = "";
+  for (const q of QUALITIES) {
+    const m = rest.match(q.re);
+    if (m) {
+      quality = q.quality;
+      rest = rest.slice(m[0].length);
+      break;
+    }
+  }
+
+  const extensions = [];
+  while (rest.length) {
+    const m = rest.match(EXTENSION);
+    if (!m) return null;
+    const [ext] = m;
+    const major = ext.match(MAJOR_EXTENSION);
+    if (SIX_NINE.test(ext)) extensions.push("6", "add9");
+    else if (major) extensions.push(`maj${major[1]}`);
+    else if (!/^[(),]$/.test(ext)) extensions.push(ext);
+    rest = rest.slice(ext.length);
+  }
+
+  let bass = null;
+  if (bassText !== undefined) {
+    const b = parseNote(bassText);
+    if (!b || b.rest) return null;
+    bass = { root: b.letter, accidental: b.accidental, pc: b.pc };
+  }
+
+  return {
+    root: root.letter,
+    accidental: root.accidental,
+    pc: root.pc,
+    quality,
+    extensions,
+    suffix,
+    bass,
+  };
+}
+
+/**
+ * parseChordCell
+ * - a chord cell may hold several chords ("C G/B")
+ *
+ * @param {string} text
+ * @returns {{chords: object[], invalid: string[]}}
+ */
+export function parseChordCell(text) {
+  const tokens = String(text ?? "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const chords = [];
+  const invalid = [];
+  for (const tok of tokens) {
+    const chord = parseChord(tok);
+    if (chord) chords.push(chord);
+    else invalid.push(tok);
+  }
+  return { chords, invalid };
+}
+
+/**
+ * parseKey
+ * - "Bb" -> { pc: 10, minor: false, name: "Bb" }, "F#m" -> { pc: 6, minor: true }
+ *
+ * @param {string} key
+ * @returns {{pc: number, minor: boolean, name: string} | null}
+ */
+export function parseKey(key) {
+  const note = parseNote(key);
+  if (!note) return null;
+  const tail = note.rest.trim();
+  const minor = /^(m|min|minor|mineur|mol|klein)$/i.test(tail);
+  if (tail && !minor && !/^(maj|major|majeur|dur|groot)$/i.test(tail)) {
+    return null;
+  }
+  return {
+    pc: note.pc,
+    minor,
+    name: `${note.letter}${note.accidental}${minor ? "m" : ""}`,
+  };
+}
+
+/**
+ * keyFifths
+ * - "D" -> 2, "Bb" -> -2, "F#m" -> 3 (minor keys count from the relative major)
+ * - the spelling decides between enharmonic keys: "F#" -> 6, "Gb" -> -6
+ */
+export function keyFifths(key) {
+  const parsed = parseKey(key);
+  if (!parsed) return null;
+  const major = (parsed.pc + (parsed.minor ? 3 : 0)) % 12;
+  let fifths = (major * 7) % 12;
+  if (fifths > 6) fifths -= 12;
+  const accidental = parsed.name.slice(1, 2);
+  if (accidental === "#" && fifths < 0) fifths += 12;
+  if (accidental === "b" && fifths > 0) fifths -= 12;
+  return fifths;
+}
+
+/**
+ * keyName
+ * - conventional name for a key, e.g. keyName(10, false) -> "Bb"
+ */
+export function keyName(pc, minor) {
+  const p = ((pc % 12) + 12) % 12;
+  return minor ? MINOR_KEYS[p] : MAJOR_KEYS[p];
+}
+
+/**
+ * spellingForKey
+ * - the 12 note names to use in a key: flats in flat keys, sharps in sharp keys
+ *
+ * @param {string} key
+ * @returns {string[]}
+ */
+export function spellingForKey(key) {
+  const k = parseKey(key);
+  if (!k) return NATURAL_NAMES;
+
+  // spell from the key's own accidental when it has one ("Gb" vs "F#")
+  const acc = normalizeAccidentals(key).match(/^[A-Ga-g](#|b)/)?.[1];
+  if (acc === "#") return SHARP_NAMES;
+  if (acc === "b") return FLAT_NAMES;
+
+  const majorPc = k.minor ? (k.pc + 3) % 12 : k.pc;
+  if (majorPc === 0) return NATURAL_NAMES;
+  const majorName = MAJOR_KEYS[majorPc];
+  if (majorName === "F" || majorName.includes("b")) return FLAT_NAMES;
+  return SHARP_NAMES;
+}
+
+/**
+ * formatChord
+ * - parsed chord (or noChord marker) -> text, keeping the suffix as typed
+ */
+export function formatChord(chord) {
+  if (!chord) return "";
+  if (chord.noChord) return chord.text;
+  const bass = chord.bass ? `/${chord.bass.root}${chord.bass.accidental}` : "";
+  return `${chord.root}${chord.accidental}${chord.suffix}${bass}`;
+}
+
+function spellPc(pc, names) {
+  const name = names[((pc % 12) + 12) % 12];
+  return { root: name[0], accidental: name.slice(1) };
+}
+
+/**
+ * transposeChord
+ * - moves a parsed chord by N semitones, spelling notes with `names`
+ *   (see spellingForKey); the suffix is kept as typed
+ *
+ * @param {object} chord result of parseChord
+ * @param {number} semitones
+ * @param {string[]} [names]
+ * @returns {object}
+ */
+export function transposeChord(chord, semitones, names = NATURAL_NAMES) {
+  if (!chord || chord.noChord) return chord;
+  const pc = (chord.pc + semitones + 120) % 12;
+  const next = { ...chord, ...spellPc(pc, names), pc };
+  if (chord.bass) {
+    const bassPc = (chord.bass.pc + semitones + 120) % 12;
+    next.bass = { ...spellPc(bassPc, names), pc: bassPc };
+  }
+  return next;
+}
+
+/**
+ * transposeChordText
+ * - transposes every chord in a chord cell; unparseable tokens stay untouched
+ *
+ * @param {string} text
+ * @param {number} semitones
+ * @param {string[]} [names]
+ * @returns {string}
+ */
+export function transposeChordText(text, semitones, names = NATURAL_NAMES) {
+  const raw = String(text ?? "");
+  if (!raw.trim()) return raw;
+  return raw
+    .trim()
+    .split(/\s+/)
+    .map((tok) => {
+      const chord = parseChord(tok);
+      return chord ? formatChord(transposeChord(chord, semitones, names)) : tok;
+    })
+    .join(" ");
+}
+
+/**
+ * capoShapeText
+ * - the chords to finger with a capo on fret `capo` ("G" with capo 3 -> "E"),
+ *   spelled for the shape key (the song key minus the capo)
+ *
+ * @param {string} text chord cell
+ * @param {number} capo
+ * @param {string} [key]
+ * @returns {string}
+ */
+export function capoShapeText(text, capo, key) {
+  const k = parseKey(key);
+  const names = k ? spellingForKey(keyName(k.pc - capo, k.minor)) : SHARP_NAMES;
+  return transposeChordText(text, -capo, names);
+}
+
+/**
+ * inferKey
+ * - best guess when the song has no key yet: the first chord's root
+ *   (+ "m" when it is a minor chord)
+ *
+ * @param {string[]} chordTexts chord cells in song order
+ * @returns {string} key name or ""
+ */
+export function inferKey(chordTexts) {
+  for (const text of chordTexts) {
+    const first = parseChordCell(text).chords.find((c) => !c.noChord);
+    if (first) return keyName(first.pc, first.quality === "m");
+  }
+  return "";
+}
+
+/**
+ * chordTextsInOrder
+ * - the filled cells of the chord lanes `laneIds` (`${row}:${col}:${id}` in
+ *   inputValues) in song order: row, column, then lane; what inferKey reads
+ *
+ * @param {Record<string, string>} inputValues
+ * @param {string[]} [laneIds]
+ * @returns {string[]}
+ */
+export function chordTextsInOrder(inputValues, laneIds = ["chord"]) {
+  return Object.entries(inputValues)
+    .map(([key, value]) => {
+      const [row, col, lane] = key.split(":");
+      return [[Number(row), Number(col), laneIds.indexOf(lane)], value];
+    })
+    .filter(([[, , lane], value]) => lane !== -1 && value)
+    .sort(([[r1, c1, l1]], [[r2, c2, l2]]) => r1 - r2 || c1 - c2 || l1 - l2)
+    .map(([, value]) => value);
+}
+
+/**
+ * semitonesBetweenKeys
+ * - smallest move (-5..+6) from one key to another
+ */
+export function semitonesBetweenKeys(fromKey, toKey) {
+  const a = parseKey(fromKey);
+  const b = parseKey(toKey);
+  if (!a || !b) return 0;
+  // compare tonics of the same mode: Am -> Em is +7 (= -5)
+  const d = (((b.pc - a.pc) % 12) + 12) % 12;
+  return d > 6 ? d - 12 : d;
+}
+
+const QUALITY_TRIADS = {
+  "": [0, 4, 7],
+  maj: [0, 4, 7],
+  m: [0, 3, 7],
+  dim: [0, 3, 6],
+  aug: [0, 4, 8],
+  m7b5: [0, 3, 6, 10],
+};
+
+/**
+ * chordIntervals
+ * - semitones above the root: "Cm7" -> [0, 3, 7, 10], "Csus4" -> [0, 5, 7]
+ *
+ * @param {object} chord result of parseChord
+ * @returns {number[]}
+ */
+export function chordIntervals(chord) {
+  if (!chord || chord.noChord) return [];
+  const set = new Set(QUALITY_TRIADS[chord.quality] ?? QUALITY_TRIADS[""]);
+
+  if (chord.quality === "sus") {
+    set.delete(4);
+    set.add(/^sus2/.test(chord.suffix) ? 2 : 5);
+  }
+
+  const majorSeventh =
+    chord.quality === "maj" ||
+    chord.extensions.some((e) => MAJOR_SEVENTH.test(e));
+  const seventh = majorSeventh ? 11 : chord.quality === "dim" ? 9 : 10;
+  for (const ext of chord.extensions) {
+    const add = ext.startsWith("add");
+    const m = ext.replace(/^(add|maj)/, "").match(/^(b|#)?(\d{1,2})$/);
+    if (!m) {
+      // sus2 / sus4 / no3 written after an extension ("C7sus4")
+      if (ext.startsWith("sus") || ext === "no3") {
+        set.delete(3);
+        set.delete(4);
+        if (ext === "sus2") set.add(2);
+        else if (ext !== "no3") set.add(5);
+      }
+      continue;
+    }
+    const shift = m[1] === "#" ? 1 : m[1] === "b" ? -1 : 0;
+    const degree = Number(m[2]);
+    if (degree === 5) {
+      set.delete(7);
+      set.add(7 + shift);
+      continue;
+    }
+    const base = { 2: 2, 4: 5, 6: 9, 7: seventh, 9: 14, 11: 17, 13: 21 }[
+      degree
+    ];
+    if (base === undefined) continue;
+    set.add(base + shift);
+    // a plain 9/11/13 implies the seventh, "add9" does not
+    if (degree > 7 && !add && !m[1]) set.add(seventh);
+  }
+
+  return [...set].sort((a, b) => a - b);
+}
+
+/**
+ * chordPitches
+ * - MIDI note numbers for a simple close voicing: root around C3 (48),
+ *   slash bass an octave lower
+ *
+ * @param {object} chord result of parseChord
+ * @returns {number[]}
+ */
+export function chordPitches(chord) {
+  if (!chord || chord.noChord) return [];
+  const root = 48 + chord.pc;
+  const notes = chordIntervals(chord).map((i) => root + i);
+  const bass = chord.bass ? 36 + chord.bass.pc : root - 12;
+  return [bass, ...notes];
+}
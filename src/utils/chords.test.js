@@ -0,0 +1,92 @@
+// src/utils/chords.test.js
+// Akkoorden lezen: voorbeelden voor de parser, transponeren en de volgorde
+// van de akkoordcellen.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  chordIntervals,
+  chordTextsInOrder,
+  formatChord,
+  inferKey,
+  parseChord,
+  transposeChordText,
+} from "./chords.js";
+
+describe("parseChord", () => {
+  const parsed = (text) => {
+    const chord = parseChord(text);
+    return chord && [chord.quality, chord.extensions, chord.bass?.pc ?? null];
+  };
+
+  test("qualities, extensions and slash bass", () => {
+    assert.deepEqual(parsed("C"), ["", [], null]);
+    assert.deepEqual(parsed("Am7"), ["m", ["7"], null]);
+    assert.deepEqual(parsed("F#m7b5/C"), ["m", ["7", "b5"], 0]);
+    assert.deepEqual(parsed("Bbmaj7"), ["maj", ["7"], null]);
+    assert.deepEqual(parsed("Cma7"), ["maj", ["7"], null]);
+    assert.deepEqual(parsed("CM7"), ["maj", ["7"], null]);
+    assert.deepEqual(parsed("CΔ7"), ["maj", ["7"], null]);
+    assert.deepEqual(parsed("Cmadd9"), ["m", ["add9"], null]);
+    assert.deepEqual(parsed("Dsus4"), ["sus", [], null]);
+    assert.deepEqual(parsed("Cm(add9)"), ["m", ["add9"], null]);
+    assert.deepEqual(parsed("E7(#9)"), ["", ["7", "#9"], null]);
+    assert.deepEqual(parsed("G/B"), ["", [], 11]);
+  });
+
+  test("six-nine chords", () => {
+    assert.deepEqual(parsed("C6/9"), ["", ["6", "add9"], null]);
+    assert.deepEqual(parsed("C69"), ["", ["6", "add9"], null]);
+    assert.deepEqual(parsed("Am6/9"), ["m", ["6", "add9"], null]);
+    assert.deepEqual(parsed("C6/9/E"), ["", ["6", "add9"], 4]);
+    assert.deepEqual(chordIntervals(parseChord("C6/9")), [0, 4, 7, 9, 14]);
+  });
+
+  test("minor chords with a major seventh", () => {
+    assert.deepEqual(parsed("Gm(maj7)"), ["m", ["maj7"], null]);
+    assert.deepEqual(parsed("CmM9"), ["m", ["maj9"], null]);
+    assert.deepEqual(parsed("Cm(ma7)"), ["m", ["maj7"], null]);
+    assert.deepEqual(chordIntervals(parseChord("Gm(maj7)")), [0, 3, 7, 11]);
+  });
+
+  test("no chord", () => {
+    assert.deepEqual(parseChord("N.C."), { noChord: true, text: "N.C." });
+  });
+
+  test("words and broken chords are no chords", () => {
+    for (const text of ["", "am", "Hello", "C/9", "G/B/D", "Cx7", "C7/"]) {
+      assert.equal(parseChord(text), null, text);
+    }
+  });
+
+  test("transposing keeps the suffix as typed", () => {
+    assert.equal(formatChord(parseChord("C6/9")), "C6/9");
+    assert.equal(transposeChordText("C6/9 Gm(maj7)", 2), "D6/9 Am(maj7)");
+    assert.equal(transposeChordText("Cma7", 7), "Gma7");
+    assert.equal(transposeChordText("C6/9/E", 5), "F6/9/A");
+  });
+});
+
+describe("chordTextsInOrder", () => {
+  const inputValues = {
+    "1:0:chord": "C",
+    "0:2:chord": "D",
+    "0:0:bass": "G/B",
+    "0:0:chord": "G",
+    "0:1:note": "A4",
+    "0:3:chord": "",
+  };
+
+  test("the built-in chord lane, row by row", () => {
+    assert.deepEqual(chordTextsInOrder(inputValues), ["G", "D", "C"]);
+  });
+
+  test("every chord lane, in lane order within a cell", () => {
+    const texts = chordTextsInOrder(inputValues, ["bass", "chord"]);
+    assert.deepEqual(texts, ["G/B", "G", "D", "C"]);
+    assert.equal(
+      inferKey(chordTextsInOrder({ "0:0:bass": "Em" }, ["bass"])),
+      "Em",
+    );
+  });
+});
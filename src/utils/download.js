@@ -0,0 +1,24 @@
+// src/utils/download.js
+
+/**
+ * downloadFile
+ * - lets the browser save `content` as a file called `fileName`
+ *
+ * @param {string} fileName
+ * @param {string|Blob|Uint8Array} content
+ * @param {string} [type]
+ */
+export function downloadFile(fileName, content, type = "text/plain") {
+  const blob =
+    content instanceof Blob
+      ? content
+      : new Blob([content], {
+          type: typeof content === "string" ? `${type};charset=utf-8` : type,
+        });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -1,14 +1,28 @@
 // DROP-IN: src/utils/formatRhythm.js
 // Eenvoudigste/robuste aanpak: input blijft “code”, jij toont ernaast (of in PDF) de mooie versie.
 // Geen cursor-gedoe, geen inline styling, geen verrassingen.
+//
+// parseRhythm maakt van de code een AST (noten/rusten met duur als breuk),
+// formatRhythm en de maatcontrole bouwen daarop verder.
+//
+// Syntax per token (scheiding: spatie, komma of |):
+//   4  8  16 ...      noot (1, 2, 4, 8, 16, 32)
+//   r4 r8 ...         rust
+//   8.  4..           gepunteerd (elk punt = helft van de vorige waarde erbij)
+//   8-8  4.-8         overbinding (elk deel mag eigen punten hebben)
+//   3:8               tuplet: 3 achtsten in de tijd van 2
+//   >4                accent (vooraan)
+//   4x                staccato (achteraan)
+
+import { addRat, mulRat, rat, sumRat, ZERO } from "./rational.js";
 
 const NOTE_MAP = {
   1: "𝅝", // whole note
-  2: "𝅗𝅥", // half note
+  2: "𝅗𝅥", // half note
   4: "♩", // quarter note
   8: "♪", // eighth note
-  16: "𝅘𝅥𝅯", // sixteenth note
-  32: "𝅘𝅥𝅰", // thirty-second note
+  16: "𝅘𝅥𝅯", // sixteenth note
+  32: "𝅘𝅥𝅰", // thirty-second note
 };
 
 const REST_MAP = {
@@ -17,92 +31,185 @@ const REST_MAP = {
   4: "𝄽", // quarter rest
   8: "𝄾", // eighth rest
   16: "𝄿", // sixteenth rest
-  // 32nd rest exists but isn't consistently supported in fonts; add later if you want.
+  32: "𝅀", // thirty-second rest
 };
 
+const SUPERSCRIPT = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+const ELEMENT_RE = /^(r?)(1|2|4|8|16|32)(\.*)$/i;
+const TUPLET_RE = /^([2-9]):(1|2|4|8|16|32)$/;
+
 function tokenizeRhythm(input) {
-  // allow: spaces, commas, pipes as separators
-  return String(input ?? "")
-    .trim()
-    .split(/[,\s|]+/g)
-    .filter(Boolean);
+  // allow: spaces, commas, pipes as separators; keep offsets for spans
+  const src = String(input ?? "");
+  const out = [];
+  for (const m of src.matchAll(/[^,\s|]+/g)) {
+    out.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+// value 8 with 1 dot -> 3/16
+function dottedDuration(value, dots) {
+  // each dot adds half of the previous value: 1 + 1/2 + 1/4 ... = 2 - 1/2^dots
+  return mulRat(rat(1, value), rat(2 ** (dots + 1) - 1, 2 ** dots));
+}
+
+// largest power of two below count: 3 -> 2, 5 -> 4, 6 -> 4
+function tupletNormal(count) {
+  let n = 1;
+  while (n * 2 < count) n *= 2;
+  return n;
 }
 
-function parseToken(tokenRaw) {
-  let t = tokenRaw.trim();
-  if (!t) return null;
-
-  // accent/staccato support (optional, simple)
-  const accent = t.includes(">");
-  t = t.replace(/>/g, "");
-
-  const stacc = t.includes("x"); // use 'x' as staccato marker
-  t = t.replace(/x/g, "");
-
-  // dotted support: any number of dots at end
-  const dots = (t.match(/\.+$/)?.[0] ?? "").length;
-  t = t.replace(/\.+$/g, "");
-
-  // tie support: keep literal '-' in output as a tie marker
-  // Example: "8-8" -> "♪–♪" (en-dash looks nicer than hyphen)
-  if (t.includes("-")) {
-    const parts = t.split("-").filter(Boolean);
-    const rendered = parts.map((p) =>
-      renderSingle(p, { dots: 0, accent: false, stacc: false }),
-    );
-    if (rendered.every(Boolean)) {
-      return {
-        text: rendered.join("–"),
-        meta: { dots: 0, accent, stacc },
-      };
-    }
-    // fall through if not parseable
+function parseToken({ text, start, end }) {
+  const error = (message) => ({
+    type: "error",
+    text,
+    message,
+    span: { start, end },
+  });
+
+  let from = 0;
+  let to = text.length;
+
+  const accent = text[from] === ">";
+  if (accent) from++;
+  const staccato = to > from && text[to - 1] === "x";
+  if (staccato) to--;
+
+  const body = text.slice(from, to);
+  if (!body) return error(`"${text}" bevat geen notenwaarde`);
+
+  const tuplet = body.match(TUPLET_RE);
+  if (tuplet) {
+    const count = Number(tuplet[1]);
+    const value = Number(tuplet[2]);
+    const normal = tupletNormal(count);
+    if (count === normal) return error(`"${body}" is geen tuplet`);
+    return {
+      type: "tuplet",
+      count,
+      normal,
+      value,
+      accent,
+      staccato,
+      // `count` notes of 1/value in the time of `normal`
+      duration: rat(normal, value),
+      span: { start, end },
+    };
   }
 
-  const single = renderSingle(t, { dots, accent, stacc });
-  if (!single) return null;
+  const elements = [];
+  let offset = start + from;
+  for (const part of body.split("-")) {
+    const span = { start: offset, end: offset + part.length };
+    offset = span.end + 1; // skip the "-"
+
+    if (!part) return error(`Overbinding "${body}" mist een notenwaarde`);
+    const m = part.match(ELEMENT_RE);
+    if (!m) return error(`Onbekende notenwaarde "${part}"`);
+
+    const value = Number(m[2]);
+    const dots = m[3].length;
+    elements.push({
+      kind: m[1] ? "rest" : "note",
+      value,
+      dots,
+      duration: dottedDuration(value, dots),
+      span,
+    });
+  }
+
+  if (elements.length > 1 && elements.some((e) => e.kind === "rest")) {
+    return error(`Een rust kan niet overgebonden worden ("${body}")`);
+  }
+
+  return {
+    type: "event",
+    kind: elements[0].kind,
+    elements,
+    tied: elements.length > 1,
+    accent,
+    staccato,
+    duration: sumRat(elements.map((e) => e.duration)),
+    span: { start, end },
+  };
+}
 
-  // apply dots to last glyph if possible
-  const dotText = dots > 0 ? "·".repeat(dots) : ""; // safer than '.' for readability
-  // If you prefer classic dotted notation visual: use '.' instead of '·'
-  // const dotText = dots > 0 ? ".".repeat(dots) : "";
+/**
+ * parseRhythm
+ * - input: "r4 8.-16 3:8 >4x"
+ * - output: tokens in order (type "event" | "tuplet" | "error"), the errors
+ *   again on their own, and the total duration of the readable tokens
+ * - durations are fractions of a whole note ({num, den}, see rational.js)
+ *
+ * @param {string} input
+ * @returns {{tokens: object[], errors: object[], duration: {num: number, den: number}}}
+ */
+export function parseRhythm(input) {
+  const tokens = tokenizeRhythm(input).map(parseToken);
+  const errors = tokens.filter((t) => t.type === "error");
+  const duration = tokens
+    .filter((t) => t.type !== "error")
+    .reduce((sum, t) => addRat(sum, t.duration), ZERO);
+  return { tokens, errors, duration };
+}
 
-  const prefix = accent ? ">" : "";
-  const suffix = stacc ? "·" : ""; // staccato marker (simple)
-  return { text: `${prefix}${single}${dotText}${suffix}` };
+function renderElement(el) {
+  const glyph = el.kind === "rest" ? REST_MAP[el.value] : NOTE_MAP[el.value];
+  // '·' is easier to read than '.' next to the glyphs
+  return `${glyph}${"·".repeat(el.dots)}`;
 }
 
-function renderSingle(t, { dots, accent, stacc }) {
-  // rests: r4, r8, r16...
-  const restMatch = t.match(/^r(1|2|4|8|16)$/i);
-  if (restMatch) return REST_MAP[restMatch[1]] ?? null;
+function renderToken(token) {
+  if (token.type === "error") return token.text; // stays visible (no data loss)
 
-  // notes: 1,2,4,8,16,32
-  const noteMatch = t.match(/^(1|2|4|8|16|32)$/);
-  if (noteMatch) return NOTE_MAP[noteMatch[1]] ?? null;
+  const prefix = token.accent ? ">" : "";
+  const suffix = token.staccato ? "·" : ""; // staccato marker (simple)
+
+  if (token.type === "tuplet") {
+    const glyphs = NOTE_MAP[token.value].repeat(token.count);
+    return `${prefix}${glyphs}${SUPERSCRIPT[token.count]}${suffix}`;
+  }
 
-  // fallback: if someone types a literal music symbol already, keep it
-  // if (/^[♩♪𝅝𝅗𝅥𝅘𝅥𝅯𝅘𝅥𝅰𝄻𝄼𝄽𝄾𝄿]+$/.test(t)) return t;
+  // ties: en-dash looks nicer than hyphen
+  return `${prefix}${token.elements.map(renderElement).join("–")}${suffix}`;
+}
 
-  return null;
+/**
+ * renderRhythm
+ * - parsed rhythm (see parseRhythm) -> display string
+ *
+ * @param {{tokens: object[]}} parsed
+ * @returns {string}
+ */
+export function renderRhythm(parsed) {
+  return parsed.tokens.map(renderToken).join(" ");
 }
 
 /**
  * formatRhythm
  * - input: "r4 8. 16 8-8 >4"
- * - output: "𝄽 ♪· 𝅘𝅥𝅯 ♪–♪ >♩"
+ * - output: "𝄽 ♪· 𝅘𝅥𝅯 ♪–♪ >♩"
  *
  * @param {string} input
  * @returns {string}
  */
 export function formatRhythm(input) {
-  const tokens = tokenizeRhythm(input);
-  if (!tokens.length) return "";
+  return renderRhythm(parseRhythm(input));
+}
 
-  const out = [];
-  for (const tok of tokens) {
-    const parsed = parseToken(tok);
-    out.push(parsed?.text ?? tok); // unknown token stays visible (no data loss)
-  }
-  return out.join(" ");
+/**
+ * rhythmDuration
+ * - total length of a rhythm cell as a fraction of a whole note
+ * - "4 8. 16" -> { duration: 1/2, unknown: [] }, "8-8" -> 1/4
+ * - tokens that cannot be read end up in `unknown` (not counted)
+ *
+ * @param {string} input
+ * @returns {{duration: {num: number, den: number}, unknown: string[]}}
+ */
+export function rhythmDuration(input) {
+  const { duration, errors } = parseRhythm(input);
+  return { duration, unknown: errors.map((e) => e.text) };
 }
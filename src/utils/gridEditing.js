@@ -0,0 +1,128 @@
+// src/utils/gridEditing.js
+// Toetsenbordnavigatie en bewerkingen op meerdere cellen tegelijk.
+// Een positie is { row, col }; "songvolgorde" = rij per rij, links naar rechts.
+// Een selectie ligt altijd binnen één lijn (een annotatielijn of word);
+// op de woordlijn gelden bewerkingen voor alle annotaties van die woorden.
+
+export const ANNOTATION_TYPES = ["chord", "rhythm", "note"];
+
+const key = ({ row, col }, type) => `${row}:${col}:${type}`;
+
+const before = (a, b) => a.row < b.row || (a.row === b.row && a.col < b.col);
+
+/**
+ * stepCell
+ * - next (delta 1) or previous (delta -1) cell in song order
+ * - skips empty rows; null past the first/last cell
+ */
+export function stepCell(rows, pos, delta) {
+  let { row, col } = pos;
+  col += delta;
+  while (row >= 0 && row < rows.length) {
+    if (col >= 0 && col < rows[row].length) return { row, col };
+    row += delta;
+    if (row < 0 || row >= rows.length) return null;
+    col = delta > 0 ? 0 : rows[row].length - 1;
+  }
+  return null;
+}
+
+/**
+ * rowCell
+ * - same column `dRow` rows further (clamped to that row's length)
+ */
+export function rowCell(rows, pos, dRow) {
+  const row = pos.row + dRow;
+  if (row < 0 || row >= rows.length || !rows[row].length) return null;
+  return { row, col: Math.min(pos.col, rows[row].length - 1) };
+}
+
+/**
+ * cellsBetween
+ * - all cells from a to b (inclusive, either order) in song order
+ */
+export function cellsBetween(rows, a, b) {
+  const [from, to] = before(b, a) ? [b, a] : [a, b];
+  const cells = [];
+  for (let pos = from; pos; pos = stepCell(rows, pos, 1)) {
+    cells.push(pos);
+    if (pos.row === to.row && pos.col === to.col) break;
+  }
+  return cells;
+}
+
+/** annotation types a lane stands for ("word" = all lanes of the song) */
+export const typesOfLane = (lane, laneIds = ANNOTATION_TYPES) =>
+  lane === "word" ? laneIds : [lane];
+
+/**
+ * copyCells
+ * - [{ chord, rhythm, note }] (only the requested types) per cell
+ */
+export function copyCells(inputValues, cells, types) {
+  return cells.map((pos) =>
+    Object.fromEntries(types.map((t) => [t, inputValues[key(pos, t)] ?? ""])),
+  );
+}
+
+/**
+ * clipboardText
+ * - one lane: values separated by tabs (spreadsheet style)
+ */
+export function clipboardText(clip, type) {
+  return clip.map((cell) => cell[type] ?? "").join("\t");
+}
+
+/**
+ * parseClipboardText
+ * - "C\tG\tAm" -> [{ [type]: "C" }, ...]; newlines separate cells too
+ */
+export function parseClipboardText(text, type) {
+  return String(text ?? "")
+    .replace(/\r?\n$/, "")
+    .split(/\t|\r?\n/)
+    .map((value) => ({ [type]: value.trim() }));
+}
+
+/**
+ * pasteCells
+ * - writes the clip cell by cell from `start` on, in song order
+ * - cells past the end of the song are dropped
+ */
+export function pasteCells(rows, inputValues, start, clip, types) {
+  const next = { ...inputValues };
+  let pos = start;
+  for (const cell of clip) {
+    if (!pos) break;
+    for (const t of types) {
+      if (t in cell) next[key(pos, t)] = cell[t];
+    }
+    pos = stepCell(rows, pos, 1);
+  }
+  return next;
+}
+
+export function clearCells(inputValues, cells, types) {
+  const next = { ...inputValues };
+  for (const pos of cells) {
+    for (const t of types) delete next[key(pos, t)];
+  }
+  return next;
+}
+
+/**
+ * fillRight
+ * - repeats the first cell's value(s) over the rest of the selection
+ */
+export function fillRight(inputValues, cells, types) {
+  if (cells.length < 2) return inputValues;
+  const [first] = copyCells(inputValues, cells.slice(0, 1), types);
+  const next = { ...inputValues };
+  for (const pos of cells.slice(1)) {
+    for (const t of types) {
+      if (first[t]) next[key(pos, t)] = first[t];
+      else delete next[key(pos, t)];
+    }
+  }
+  return next;
+}
@@ -0,0 +1,111 @@
+// src/utils/history.js
+// Undo/redo over de inhoud van een lied: { rawText, inputValues, borders }.
+// Elke stap is een volledige snapshot; de objecten worden nooit gemuteerd,
+// dus stappen delen gewoon referenties met elkaar.
+//
+// Snel na elkaar typen in hetzelfde veld (zelfde `group`) wordt één stap.
+
+export const HISTORY_LIMIT = 100;
+export const GROUP_WINDOW_MS = 1000;
+
+export const snapshotOf = ({ rawText, inputValues, borders }) => ({
+  rawText,
+  inputValues,
+  borders,
+});
+
+const sameSnapshot = (a, b) =>
+  a.rawText === b.rawText &&
+  a.inputValues === b.inputValues &&
+  a.borders === b.borders;
+
+/**
+ * createHistory
+ *
+ * @param {{rawText: string, inputValues: object, borders: object}} present
+ */
+export function createHistory(present) {
+  return {
+    past: [],
+    present: snapshotOf(present),
+    future: [],
+    group: null,
+    at: 0,
+  };
+}
+
+/**
+ * recordHistory
+ * - adds `next` as a new step (and drops the redo steps)
+ * - same non-null group within GROUP_WINDOW_MS: replaces the last step
+ * - keeps at most `limit` undo steps
+ */
+export function recordHistory(
+  history,
+  next,
+  { group = null, now = Date.now(), limit = HISTORY_LIMIT } = {},
+) {
+  const present = snapshotOf(next);
+  if (sameSnapshot(present, history.present)) return history;
+
+  const merge =
+    group !== null &&
+    group === history.group &&
+    now - history.at < GROUP_WINDOW_MS &&
+    history.past.length > 0;
+
+  return {
+    past: merge
+      ? history.past
+      : [...history.past, history.present].slice(-limit),
+    present,
+    future: [],
+    group,
+    at: now,
+  };
+}
+
+export function undoHistory(history) {
+  if (!history.past.length) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    group: null,
+    at: 0,
+  };
+}
+
+export function redoHistory(history) {
+  if (!history.future.length) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    group: null,
+    at: 0,
+  };
+}
+
+/**
+ * restoreHistory
+ * - stored history (see songLibrary.js) is only valid when its present step
+ *   is still the song's content; otherwise start over from `present`
+ */
+export function restoreHistory(stored, present) {
+  const fresh = createHistory(present);
+  if (
+    !stored ||
+    !Array.isArray(stored.past) ||
+    !Array.isArray(stored.future) ||
+    JSON.stringify(snapshotOf(stored.present ?? {})) !==
+      JSON.stringify(fresh.present)
+  ) {
+    return fresh;
+  }
+  return {
+    ...fresh,
+    past: stored.past.slice(-HISTORY_LIMIT),
+    future: stored.future.slice(0, HISTORY_LIMIT),
+  };
+}
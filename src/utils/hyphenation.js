@@ -0,0 +1,50 @@
+// src/utils/hyphenation.js
+// Automatisch afbreken in lettergrepen (Liang-patronen uit het "hyphen"
+// pakket, lokaal gebundeld). De patronen zijn groot, dus elke taal wordt pas
+// geladen wanneer een lied ze nodig heeft.
+
+export const HYPHENATION_LANGUAGES = [
+  { value: "off", label: "uit" },
+  { value: "nl", label: "Nederlands" },
+  { value: "en", label: "Engels" },
+];
+
+const LOADERS = {
+  nl: () => import("hyphen/nl"),
+  en: () => import("hyphen/en-us"),
+};
+
+const SOFT_HYPHEN = "\u00ad";
+const cache = new Map();
+
+/**
+ * loadHyphenator
+ * - resolves to (word) => syllables, e.g. "vaderland" -> ["va", "der", "land"]
+ * - "off" / unknown language -> null
+ * - a language pack that fails to load rejects, and is tried again on the
+ *   next call
+ *
+ * @param {string} lang
+ * @returns {Promise<((word: string) => string[]) | null>}
+ */
+export function loadHyphenator(lang) {
+  const load = LOADERS[lang];
+  if (!load) return Promise.resolve(null);
+  if (!cache.has(lang)) {
+    cache.set(
+      lang,
+      load().then(
+        (mod) => {
+          const { hyphenateSync } = mod.default ?? mod;
+          return (word) =>
+            hyphenateSync(word, { hyphenChar: SOFT_HYPHEN }).split(SOFT_HYPHEN);
+        },
+        (error) => {
+          cache.delete(lang);
+          throw error;
+        },
+      ),
+    );
+  }
+  return cache.get(lang);
+}
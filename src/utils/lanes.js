@@ -0,0 +1,102 @@
+// src/utils/lanes.js
+// Annotatielijnen per lied (boven de woorden). Elke lijn heeft een type dat
+// bepaalt hoe haar cellen gelezen en getoond worden; de waarden staan in
+// inputValues onder `${row}:${col}:${lane.id}`.
+// De vaste lijnen "chord", "rhythm" en "note" voeden transponeren, de
+// maatcontrole, afspelen en de exports: die kunnen hernoemd, verplaatst en
+// verborgen worden, maar niet verwijderd.
+
+export const LANE_TYPES = [
+  { type: "text", label: "Vrije tekst", placeholder: "Text" },
+  { type: "chord", label: "Akkoorden", placeholder: "Chord" },
+  { type: "rhythm", label: "Ritme", placeholder: "Rhythm" },
+  { type: "note", label: "Noten", placeholder: "Note" },
+];
+
+// visible: shown in the grid; print: in the PDF when also visible
+export const DEFAULT_LANES = [
+  { id: "chord", name: "Akkoorden", type: "chord", visible: true, print: true },
+  { id: "rhythm", name: "Ritme", type: "rhythm", visible: false, print: true },
+  { id: "note", name: "Noten", type: "note", visible: false, print: true },
+];
+
+const BUILT_IN = new Set(DEFAULT_LANES.map((lane) => lane.id));
+const TYPES = new Set(LANE_TYPES.map((t) => t.type));
+
+export const isBuiltInLane = (id) => BUILT_IN.has(id);
+
+export const laneTypeInfo = (type) =>
+  LANE_TYPES.find((t) => t.type === type) ?? LANE_TYPES[0];
+
+/**
+ * normalizeLanes
+ * - stored lanes -> a valid list: known types, unique ids without ":",
+ *   a name for every lane; built-in lanes that are missing come last
+ *   (hidden), and keep their own type
+ *
+ * @param {unknown} lanes
+ * @returns {Array<{id: string, name: string, type: string, visible: boolean,
+ *   print: boolean}>}
+ */
+export function normalizeLanes(lanes) {
+  const out = [];
+  const seen = new Set();
+  for (const lane of Array.isArray(lanes) ? lanes : []) {
+    const id = String(lane?.id ?? "");
+    if (!id || id.includes(":") || id === "word" || seen.has(id)) continue;
+    seen.add(id);
+    const builtIn = DEFAULT_LANES.find((l) => l.id === id);
+    const type = builtIn?.type ?? (TYPES.has(lane.type) ? lane.type : "text");
+    out.push({
+      id,
+      name: String(lane.name ?? "").trim() || builtIn?.name || id,
+      type,
+      visible: lane.visible !== false,
+      print: lane.print !== false,
+    });
+  }
+  for (const lane of DEFAULT_LANES) {
+    if (seen.has(lane.id)) continue;
+    out.push(Array.isArray(lanes) ? { ...lane, visible: false } : { ...lane });
+  }
+  return out;
+}
+
+/**
+ * createLane
+ * - a new (visible, printed) lane with an id no other lane has
+ */
+export function createLane(lanes, name = "Nieuwe lijn", type = "text") {
+  const ids = new Set(lanes.map((lane) => lane.id));
+  let n = lanes.length + 1;
+  while (ids.has(`lane${n}`)) n++;
+  return { id: `lane${n}`, name, type, visible: true, print: true };
+}
+
+/** lanes with the lane `id` moved `delta` places up (-1) or down (1) */
+export function moveLane(lanes, id, delta) {
+  const from = lanes.findIndex((lane) => lane.id === id);
+  const to = from + delta;
+  if (from === -1 || to < 0 || to >= lanes.length) return lanes;
+  const next = lanes.slice();
+  const [lane] = next.splice(from, 1);
+  next.splice(to, 0, lane);
+  return next;
+}
+
+export const visibleLanes = (lanes) => lanes.filter((lane) => lane.visible);
+
+export const printedLanes = (lanes) =>
+  lanes.filter((lane) => lane.visible && lane.print);
+
+/** ids of the chord-type lanes, in lane order (built-in "chord" included) */
+export const chordLaneIds = (lanes) =>
+  lanes.filter((lane) => lane.type === "chord").map((lane) => lane.id);
+
+/** inputValues without the cells of lane `id` */
+export function withoutLaneValues(inputValues, id) {
+  const suffix = `:${id}`;
+  return Object.fromEntries(
+    Object.entries(inputValues).filter(([key]) => !key.endsWith(suffix)),
+  );
+}
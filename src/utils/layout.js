@@ -0,0 +1,109 @@
+// src/utils/layout.js
+// Layout helpers shared by the preview (px) and the PDF renderer (mm).
+
+/**
+ * Packs column indices into multiple lines so that each "row line"
+ * fits into maxRowPx (no horizontal scrollbars).
+ * Units are up to the caller: px in the preview, mm in the PDF.
+ */
+export function packColumns(widths, maxRowPx) {
+  const lines = [];
+  let current = [];
+  let currentW = 0;
+
+  for (let i = 0; i < widths.length; i++) {
+    const w = widths[i];
+
+    if (current.length === 0) {
+      current.push(i);
+      currentW = w;
+      continue;
+    }
+
+    if (currentW + w <= maxRowPx) {
+      current.push(i);
+      currentW += w;
+      continue;
+    }
+
+    lines.push(current);
+    current = [i];
+    currentW = w;
+  }
+
+  if (current.length) lines.push(current);
+  return lines;
+}
+
+const MEASURE_CACHE_LIMIT = 20000;
+const measureCache = new Map(); // `${font}\n${text}` -> px
+
+/**
+ * measureTextPx
+ * - rendered width of a text in a CSS font (canvas), plus a little slack
+ * - cached by font and text: a layout pass measures the same words and
+ *   chords again and again
+ */
+export function measureTextPx(text, font) {
+  const s = String(text ?? "");
+  const key = `${font}\n${s}`;
+  const cached = measureCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const canvas =
+    measureTextPx._c || (measureTextPx._c = document.createElement("canvas"));
+  const ctx = canvas.getContext("2d");
+  ctx.font = font;
+  const px = Math.ceil(ctx.measureText(s).width) + 4;
+  if (measureCache.size >= MEASURE_CACHE_LIMIT) measureCache.clear();
+  measureCache.set(key, px);
+  return px;
+}
+
+// bounded memo: equal content -> the very same object
+function interner(limit) {
+  const cache = new Map();
+  return (key, make) => {
+    let value = cache.get(key);
+    if (value === undefined) {
+      if (cache.size >= limit) cache.clear();
+      value = make();
+      cache.set(key, value);
+    }
+    return value;
+  };
+}
+
+const internSlice = interner(20000);
+
+/**
+ * rowSlices
+ * - per-row slices of a `${row}:${col}...` keyed object (inputValues,
+ *   borders): [{ "col:type": value }, ...]
+ * - equal slices are the same object across calls, so memoized rows see
+ *   unchanged props and skip rendering
+ *
+ * @param {Record<string, unknown>} values
+ * @param {number} rowCount
+ * @returns {object[]}
+ */
+export function rowSlices(values, rowCount) {
+  const slices = Array.from({ length: rowCount }, () => ({}));
+  for (const [key, value] of Object.entries(values)) {
+    const at = key.indexOf(":");
+    const row = Number(key.slice(0, at));
+    if (row >= 0 && row < rowCount) slices[row][key.slice(at + 1)] = value;
+  }
+  return slices.map((slice) => internSlice(JSON.stringify(slice), () => slice));
+}
+
+const internLayout = interner(5000);
+
+/**
+ * cachedLayout
+ * - `compute()` once per distinct `key` (the row's content plus everything
+ *   else its layout depends on); the same layout object after that
+ */
+export function cachedLayout(key, compute) {
+  return internLayout(key, compute);
+}
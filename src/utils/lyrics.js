@@ -0,0 +1,139 @@
+// src/utils/lyrics.js
+// Songtekst -> rijen en cellen. Alle importers/exporters gebruiken dezelfde
+// splitsing als de preview, anders kloppen de `${row}:${col}` keys niet.
+//
+// Een cel is een woord, of een lettergreep van een woord:
+// - "hal-le-lu-jah" of "hal~le~lu~jah" -> "hal-", "le-", "lu-", "jah"
+// - "\-" is een gewoon streepje ("well\-known" blijft één cel)
+// - automatisch afbreken (zie hyphenation.js) splitst woorden zonder markering
+// Een lettergreep die doorloopt in de volgende cel eindigt op "-".
+
+import { parseSectionMarker } from "./sections.js";
+
+export const SYLLABLE_HYPHEN = "-";
+
+// placeholder word for a cell without lyrics
+export const EMPTY_WORD = ".";
+
+const ESCAPED = { "\\-": "\uE000", "\\~": "\uE001" };
+const SYLLABLE_MARK_RE = /(?<=[^-~])[-~](?=[^-~])/;
+
+/**
+ * splitSyllables
+ * - explicit markers first; `hyphenate(word) -> string[]` only for words
+ *   without markers
+ *
+ * @param {string} word
+ * @param {(word: string) => string[]} [hyphenate]
+ * @returns {string[]} cells; all but the last end on "-"
+ */
+export function splitSyllables(word, hyphenate) {
+  let protectedWord = word;
+  for (const [escaped, mark] of Object.entries(ESCAPED)) {
+    protectedWord = protectedWord.split(escaped).join(mark);
+  }
+
+  let parts = protectedWord.split(SYLLABLE_MARK_RE).filter(Boolean);
+  if (parts.length === 1 && hyphenate && word !== EMPTY_WORD) {
+    parts = hyphenate(parts[0]).filter(Boolean);
+  }
+
+  return parts.map((part, i) => {
+    const text = part.replace(/\uE000/g, "-").replace(/\uE001/g, "~");
+    return i < parts.length - 1 ? `${text}${SYLLABLE_HYPHEN}` : text;
+  });
+}
+
+/**
+ * escapeSyllableMarks
+ * - the "-" and "~" that would split a word get a "\" so the word stays
+ *   one cell ("well-known" -> "well\-known"); a trailing "word-" is left
+ *   as it is
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeSyllableMarks(text) {
+  return text
+    .split(/(\s+)/)
+    .map((word) => word.replace(new RegExp(SYLLABLE_MARK_RE, "g"), "\\$&"))
+    .join("");
+}
+
+/** true for a syllable that continues in the next cell ("hal-") */
+export const isContinued = (cell) =>
+  cell.length > 1 && cell.endsWith(SYLLABLE_HYPHEN);
+
+/**
+ * joinSyllables
+ * - cells of one row -> words: [{ text: "halleluja", cols: [0, 1, 2, 3] }]
+ */
+export function joinSyllables(cells) {
+  const words = [];
+  let current = null;
+  cells.forEach((cell, col) => {
+    if (!current) current = { text: "", cols: [] };
+    current.cols.push(col);
+    if (isContinued(cell)) {
+      current.text += cell.slice(0, -SYLLABLE_HYPHEN.length);
+    } else {
+      current.text += cell;
+      words.push(current);
+      current = null;
+    }
+  });
+  if (current) words.push(current);
+  return words;
+}
+
+/**
+ * Split text into rows; each line -> row; each row -> cells (whitespace
+ * split, then syllables)
+ * - blank lines and section markers ("[Chorus]") are not rows
+ *
+ * @param {string} text
+ * @param {{hyphenate?: (word: string) => string[]}} [options]
+ * @returns {string[][]}
+ */
+export function normalizeTextToRows(text, { hyphenate } = {}) {
+  return text
+    .replace(/\r\n/g, "\n")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l.length > 0 && !parseSectionMarker(l))
+    .map((l) =>
+      l
+        .split(/\s+/)
+        .filter(Boolean)
+        .flatMap((word) => splitSyllables(word, hyphenate)),
+    );
+}
+
+/**
+ * mapSyllablePositions
+ * - same text, other syllable splitting (e.g. automatic hyphenation turned
+ *   on/off): old `${row}:${col}` -> new `${row}:${col}`
+ * - a syllable maps to the same syllable of the same word, or to the word's
+ *   last cell when there are fewer; when several old cells land on one new
+ *   cell only the first is mapped (the others become orphans)
+ *
+ * @returns {Map<string, string>}
+ */
+export function mapSyllablePositions(oldRows, newRows) {
+  const map = new Map();
+  const taken = new Set();
+  oldRows.forEach((oldCells, row) => {
+    const newWords = joinSyllables(newRows[row] ?? []);
+    joinSyllables(oldCells).forEach((word, w) => {
+      const target = newWords[w];
+      if (!target) return;
+      word.cols.forEach((col, s) => {
+        const pos = `${row}:${target.cols[Math.min(s, target.cols.length - 1)]}`;
+        if (taken.has(pos)) return;
+        taken.add(pos);
+        map.set(`${row}:${col}`, pos);
+      });
+    });
+  });
+  return map;
+}
@@ -0,0 +1,131 @@
+// src/utils/midiExport.js
+// Grid -> MIDI-bestand (zie smf.js), voor een DAW of oefen-apps.
+// - track 1: tempo, maatsoort, toonsoort en titel
+// - track 2: melodie (notenlijn + ritme) met de tekst als lyric-events
+// - track 3: akkoorden, aangehouden tot het volgende akkoord
+// De tijdlijn is dezelfde als bij afspelen (playback.js), met herhalingen.
+
+import { chordPitches, keyFifths, parseKey } from "./chords.js";
+import { EMPTY_WORD, normalizeTextToRows } from "./lyrics.js";
+import { melodyEvents } from "./notes.js";
+import { buildPlaybackSchedule } from "./playback.js";
+import {
+  addRat,
+  compareRat,
+  mulRat,
+  rat,
+  ratToNumber,
+  ZERO,
+} from "./rational.js";
+import { parseSections, playOrder } from "./sections.js";
+import {
+  DEFAULT_DIVISION,
+  keySignatureEvent,
+  lyricEvent,
+  noteOff,
+  noteOn,
+  programChange,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent,
+  writeMidiFile,
+} from "./smf.js";
+
+export const MIDI_FILE_EXTENSION = ".mid";
+export const MIDI_MIME_TYPE = "audio/midi";
+
+const MELODY_CHANNEL = 0;
+const CHORD_CHANNEL = 1;
+const MELODY_PROGRAM = 0; // General MIDI: acoustic grand piano
+const CHORD_PROGRAM = 24; // General MIDI: nylon guitar
+const VELOCITY = 90;
+const ACCENT_VELOCITY = 112;
+const CHORD_VELOCITY = 64;
+
+const toTicks = (duration) =>
+  Math.round(ratToNumber(duration) * 4 * DEFAULT_DIVISION);
+
+/**
+ * toMidi
+ * - grid -> Standard MIDI File (format 1)
+ * - a melody cell without rhythm shares one beat over its pitches
+ *
+ * @param {{rawText: string, inputValues: object, meta?: object,
+ *   hyphenate?: (word: string) => string[]}} song
+ * @returns {Uint8Array}
+ */
+export function toMidi({ rawText, inputValues, meta = {}, hyphenate }) {
+  const rows = normalizeTextToRows(rawText, { hyphenate });
+  const schedule = buildPlaybackSchedule({
+    rows,
+    inputValues,
+    timeSignature: meta.timeSignature,
+    order: playOrder(parseSections(rawText)),
+  });
+  const { timeSig } = schedule;
+
+  const conductor = [
+    trackNameEvent(0, meta.title || "Song Grid"),
+    timeSignatureEvent(0, timeSig.beats, timeSig.unit),
+  ];
+  const tempo = Number(meta.tempo);
+  if (tempo > 0) conductor.push(tempoEvent(0, tempo));
+  const fifths = keyFifths(meta.key);
+  if (fifths !== null) {
+    conductor.push(keySignatureEvent(0, fifths, parseKey(meta.key).minor));
+  }
+
+  const melody = [
+    trackNameEvent(0, "Melodie"),
+    programChange(0, MELODY_CHANNEL, MELODY_PROGRAM),
+  ];
+  const beat = rat(1, timeSig.unit);
+  for (const { pos, start } of schedule.cells) {
+    const [row, col] = pos.split(":").map(Number);
+    const text = rows[row]?.[col];
+    if (text && text !== EMPTY_WORD) {
+      melody.push(lyricEvent(toTicks(start), text));
+    }
+
+    const { events, length } = melodyEvents(
+      inputValues[`${pos}:note`],
+      inputValues[`${pos}:rhythm`],
+    );
+    const unmeasured = compareRat(length, ZERO) === 0;
+    const share = events.length ? mulRat(beat, rat(1, events.length)) : beat;
+    events.forEach((event, i) => {
+      if (!event.note) return;
+      const offset = unmeasured ? mulRat(share, rat(i)) : event.offset;
+      const duration = unmeasured ? share : event.duration;
+      const from = addRat(start, offset);
+      const key = event.note.midi;
+      melody.push(
+        noteOn(
+          toTicks(from),
+          MELODY_CHANNEL,
+          key,
+          event.accent ? ACCENT_VELOCITY : VELOCITY,
+        ),
+        noteOff(toTicks(addRat(from, duration)), MELODY_CHANNEL, key),
+      );
+    });
+  }
+
+  const chords = [
+    trackNameEvent(0, "Akkoorden"),
+    programChange(0, CHORD_CHANNEL, CHORD_PROGRAM),
+  ];
+  for (const span of schedule.chordSpans) {
+    if (!span.chord) continue;
+    const from = toTicks(span.start);
+    const to = toTicks(addRat(span.start, span.duration));
+    for (const key of chordPitches(span.chord)) {
+      chords.push(
+        noteOn(from, CHORD_CHANNEL, key, CHORD_VELOCITY),
+        noteOff(to, CHORD_CHANNEL, key),
+      );
+    }
+  }
+
+  return writeMidiFile([conductor, melody, chords]);
+}
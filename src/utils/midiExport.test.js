@@ -0,0 +1,72 @@
+// src/utils/midiExport.test.js
+// Grid -> MIDI: de drie tracks en hun events, op byteniveau.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { toMidi } from "./midiExport.js";
+
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+// the data of every track chunk (without "MTrk" and its length)
+function readTracks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const tracks = [];
+  for (let at = 14; at < bytes.length; at += 8 + view.getUint32(at + 4)) {
+    assert.deepEqual([...bytes.slice(at, at + 4)], ascii("MTrk"));
+    tracks.push([...bytes.slice(at + 8, at + 8 + view.getUint32(at + 4))]);
+  }
+  return tracks;
+}
+
+const includes = (data, sequence) =>
+  data.some((_, i) => sequence.every((b, k) => data[i + k] === b));
+
+describe("toMidi", () => {
+  const bytes = toMidi({
+    rawText: "Amazing grace .",
+    inputValues: {
+      "0:0:note": "D4",
+      "0:0:rhythm": "4",
+      "0:0:chord": "G",
+      "0:1:note": "G4",
+      "0:1:rhythm": "2",
+    },
+    meta: { title: "Grace", key: "G", tempo: 120, timeSignature: "3/4" },
+  });
+  const [conductor, melody, chords] = readTracks(bytes);
+
+  test("format 1 with a conductor, melody and chord track", () => {
+    assert.deepEqual(
+      [...bytes.slice(0, 14)],
+      [...ascii("MThd"), 0, 0, 0, 6, 0, 1, 0, 3, 0x01, 0xe0],
+    );
+    for (const data of [conductor, melody, chords]) {
+      assert.deepEqual(data.slice(-4), [0x00, 0xff, 0x2f, 0x00]);
+    }
+  });
+
+  test("conductor: title, time signature, tempo and key", () => {
+    assert.ok(includes(conductor, [0xff, 0x03, 5, ...ascii("Grace")]));
+    assert.ok(includes(conductor, [0xff, 0x58, 0x04, 3, 2, 24, 8]));
+    assert.ok(includes(conductor, [0xff, 0x51, 0x03, 0x07, 0xa1, 0x20]));
+    assert.ok(includes(conductor, [0xff, 0x59, 0x02, 1, 0]));
+  });
+
+  test("melody: lyrics on the words, notes for their length", () => {
+    assert.ok(includes(melody, [0xff, 0x05, 7, ...ascii("Amazing")]));
+    assert.ok(includes(melody, [0xff, 0x05, 5, ...ascii("grace")]));
+    // the empty word "." is no lyric
+    assert.ok(!includes(melody, [0xff, 0x05, 1, ...ascii(".")]));
+    // D4 on, a quarter (480 ticks = 0x83 0x60) later off, G4 on
+    assert.ok(includes(melody, [0x90, 62]));
+    assert.ok(includes(melody, [0x83, 0x60, 0x80, 62, 0]));
+    assert.ok(includes(melody, [0x90, 67]));
+  });
+
+  test("chords: the chord notes on their own channel", () => {
+    // G major on channel 2: pitch classes G, B and D
+    for (const pc of [7, 11, 2]) {
+      assert.ok(chords.some((b, i) => b === 0x91 && chords[i + 1] % 12 === pc));
+    }
+  });
+});
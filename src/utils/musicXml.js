@@ -0,0 +1,492 @@
+// src/utils/musicXml.js
+// Grid -> MusicXML (score-partwise 4.0), om verder te werken in MuseScore e.d.
+// - één partij: de melodielijn; ritme zonder toonhoogte wordt een slash-noot
+// - akkoordlijn -> <harmony>, tekst -> <lyric> op de eerste noot van de cel
+// - lijnen (borders) -> maatstrepen (zonder lijnen: maten volgens de
+//   maatsoort), sectienamen -> <rehearsal>
+// - akkoordextensies die <kind> niet zegt (b9, #11, add9) -> <degree>
+// Een cel zonder ritme duurt één tel (per toonhoogte, als er noten staan).
+
+import { parseTimeSignature } from "./barAnalysis.js";
+import { keyFifths, parseChordCell, parseKey } from "./chords.js";
+import { EMPTY_WORD, isContinued, normalizeTextToRows } from "./lyrics.js";
+import { melodyEvents } from "./notes.js";
+import {
+  addRat,
+  compareRat,
+  mulRat,
+  rat,
+  ratToNumber,
+  ZERO,
+} from "./rational.js";
+import { parseSections, sectionTitle } from "./sections.js";
+
+export const MUSICXML_FILE_EXTENSION = ".musicxml";
+export const MUSICXML_MIME_TYPE = "application/vnd.recordare.musicxml+xml";
+
+const DEFAULT_TIME_SIGNATURE = "4/4";
+const PART_NAME = "Zang";
+
+const NOTE_TYPES = {
+  1: "whole",
+  2: "half",
+  4: "quarter",
+  8: "eighth",
+  16: "16th",
+  32: "32nd",
+};
+
+// rhythm notes without a pitch: slash on the middle line
+const SLASH_PITCH = { step: "B", alter: 0, octave: 4 };
+
+const ALTER = { "": 0, "#": 1, "##": 2, b: -1, bb: -2 };
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// tiny element tree: el("note", {}, [el("rest")]) / el("step", {}, "C")
+const el = (name, attrs = {}, children = []) => ({ name, attrs, children });
+
+function renderXml(node, depth = 0) {
+  const pad = "  ".repeat(depth);
+  const attrs = Object.entries(node.attrs)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+    .join("");
+  const { children } = node;
+  if (typeof children === "string" || typeof children === "number") {
+    return `${pad}<${node.name}${attrs}>${escapeXml(children)}</${node.name}>`;
+  }
+  const list = children.filter(Boolean);
+  if (!list.length) return `${pad}<${node.name}${attrs}/>`;
+  return [
+    `${pad}<${node.name}${attrs}>`,
+    ...list.map((child) => renderXml(child, depth + 1)),
+    `${pad}</${node.name}>`,
+  ].join("\n");
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/**
+ * harmonyKind
+ * - parsed chord -> MusicXML <kind> value ("Am7" -> "minor-seventh",
+ *   "Bm7b5" -> "half-diminished", "Gm(maj7)" -> "major-minor")
+ */
+export function harmonyKind(chord) {
+  const has = (ext) => chord.extensions.includes(ext);
+  const top = ["13", "11", "9", "7", "6"].find(has);
+  switch (chord.quality) {
+    case "m7b5":
+      return "half-diminished";
+    case "sus":
+      return /^sus2/.test(chord.suffix)
+        ? "suspended-second"
+        : "suspended-fourth";
+    case "dim":
+      return has("7") ? "diminished-seventh" : "diminished";
+    case "aug":
+      return has("7") ? "augmented-seventh" : "augmented";
+    case "m":
+      if (has("7") && has("b5")) return "half-diminished";
+      if (chord.extensions.some((e) => e.startsWith("maj"))) {
+        return "major-minor";
+      }
+      return (
+        {
+          13: "minor-13th",
+          11: "minor-11th",
+          9: "minor-ninth",
+          7: "minor-seventh",
+          6: "minor-sixth",
+        }[top] ?? "minor"
+      );
+    case "maj":
+      return (
+        {
+          13: "major-13th",
+          11: "major-11th",
+          9: "major-ninth",
+          7: "major-seventh",
+          6: "major-sixth",
+        }[top] ?? "major"
+      );
+    default:
+      if (chord.extensions.length === 1 && has("5")) return "power";
+      return (
+        {
+          13: "dominant-13th",
+          11: "dominant-11th",
+          9: "dominant-ninth",
+          7: "dominant",
+          6: "major-sixth",
+        }[top] ?? "major"
+      );
+  }
+}
+
+// highest degree each <kind> already holds (so "C13#11" alters the 11th,
+// "C7#11" adds one)
+const KIND_TOP_DEGREE = { ninth: 9, "11th": 11, "13th": 13 };
+const kindTopDegree = (kind) =>
+  Object.entries(KIND_TOP_DEGREE).find(([suffix]) =>
+    kind.endsWith(suffix),
+  )?.[1] ?? 7;
+
+/**
+ * harmonyDegrees
+ * - the extensions <kind> does not say: altered fifths, altered or added
+ *   9/11/13 ("C7b9", "C9#11", "Cadd9") and "no3"
+ *
+ * @returns {Array<{value: number, alter: number, type: "add"|"alter"|"subtract"}>}
+ */
+export function harmonyDegrees(chord, kind = harmonyKind(chord)) {
+  const degrees = [];
+  for (const ext of chord.extensions) {
+    if (ext === "no3") {
+      degrees.push({ value: 3, alter: 0, type: "subtract" });
+      continue;
+    }
+    // "maj9" on a minor chord: major-minor holds the seventh, not the 9th
+    const major = ext.match(/^maj(\d{1,2})$/);
+    if (major) {
+      const value = Number(major[1]);
+      if (value > 7) degrees.push({ value, alter: 0, type: "add" });
+      continue;
+    }
+    const m = ext.match(/^(add)?([b#]?)(\d{1,2})$/);
+    if (!m || (!m[1] && !m[2])) continue; // plain 7, 9, ... is in the kind
+    const value = Number(m[3]);
+    const alter = { b: -1, "#": 1 }[m[2]] ?? 0;
+    if (kind === "half-diminished" && value === 5 && alter === -1) continue;
+    const present = value === 5 || (value > 7 && value <= kindTopDegree(kind));
+    degrees.push({ value, alter, type: m[1] || !present ? "add" : "alter" });
+  }
+  return degrees;
+}
+
+function harmonyNode(chord, offset) {
+  const offsetNode = offset ? el("offset", {}, offset) : null;
+  if (chord.noChord) {
+    return el("harmony", {}, [
+      el("root", {}, [el("root-step", { text: "" }, "C")]),
+      el("kind", { text: "N.C." }, "none"),
+      offsetNode,
+    ]);
+  }
+  const alter = ALTER[chord.accidental] ?? 0;
+  const bassAlter = chord.bass ? (ALTER[chord.bass.accidental] ?? 0) : 0;
+  const kind = harmonyKind(chord);
+  return el("harmony", {}, [
+    el("root", {}, [
+      el("root-step", {}, chord.root),
+      alter ? el("root-alter", {}, alter) : null,
+    ]),
+    el("kind", { text: chord.suffix }, kind),
+    chord.bass &&
+      el("bass", {}, [
+        el("bass-step", {}, chord.bass.root),
+        bassAlter ? el("bass-alter", {}, bassAlter) : null,
+      ]),
+    ...harmonyDegrees(chord, kind).map((d) =>
+      el("degree", {}, [
+        el("degree-value", {}, d.value),
+        el("degree-alter", {}, d.alter),
+        el("degree-type", {}, d.type),
+      ]),
+    ),
+    offsetNode,
+  ]);
+}
+
+/**
+ * cellEvents
+ * - melody/rhythm events of one cell; a cell without rhythm lasts one beat
+ *   per pitch (or one beat of slash when there is nothing at all)
+ */
+function cellEvents(inputValues, pos, timeSig) {
+  const melody = melodyEvents(
+    inputValues[`${pos}:note`],
+    inputValues[`${pos}:rhythm`],
+  );
+  if (compareRat(melody.length, ZERO) > 0) return melody;
+
+  const beat = rat(1, timeSig.unit);
+  const element = { value: timeSig.unit, dots: 0, duration: beat };
+  const pitches = melody.events.length
+    ? melody.events
+    : [{ note: null, rest: false, accent: false, staccato: false }];
+  return {
+    events: pitches.map((e, i) => ({
+      ...e,
+      value: timeSig.unit,
+      dots: 0,
+      offset: mulRat(beat, rat(i)),
+      duration: beat,
+      elements: [element],
+      tuplet: null,
+    })),
+    length: mulRat(beat, rat(pitches.length)),
+  };
+}
+
+function syllabic(rows, row, col) {
+  const before = col > 0 && isContinued(rows[row][col - 1]);
+  const after = isContinued(rows[row][col]);
+  if (before) return after ? "middle" : "end";
+  return after ? "begin" : "single";
+}
+
+/**
+ * toMusicXml
+ * - grid -> MusicXML text (score-partwise)
+ * - hyphenate: the song's automatic hyphenation, so the cells match the grid
+ *
+ * @param {{rawText: string, inputValues: object, borders: object,
+ *   meta?: object, hyphenate?: (word: string) => string[]}} song
+ * @returns {string}
+ */
+export function toMusicXml({
+  rawText,
+  inputValues,
+  borders,
+  meta = {},
+  hyphenate,
+}) {
+  const timeSig =
+    parseTimeSignature(meta.timeSignature) ??
+    parseTimeSignature(DEFAULT_TIME_SIGNATURE);
+  const rows = normalizeTextToRows(rawText, { hyphenate });
+
+  const rehearsals = new Map();
+  for (const section of parseSections(rawText)) {
+    if (section.refOf === null && section.label) {
+      rehearsals.set(section.startRow, sectionTitle(section));
+    }
+  }
+
+  // cells -> measures, split at the bar lines; a song without any bar line
+  // is split by the time signature instead (at the first cell that fills
+  // the bar)
+  const withBars = rows.some((cells, row) =>
+    cells.some((_, col) => {
+      const border = borders[`${row}:${col}`];
+      return border?.left || border?.right;
+    }),
+  );
+  const measures = [];
+  let current = { cells: [], length: ZERO, barline: false };
+  const closeMeasure = (barline) => {
+    if (!current.cells.length) return;
+    measures.push({ ...current, barline });
+    current = { cells: [], length: ZERO, barline: false };
+  };
+  rows.forEach((cells, row) =>
+    cells.forEach((text, col) => {
+      const pos = `${row}:${col}`;
+      if (borders[pos]?.left) closeMeasure(true);
+      const { events, length } = cellEvents(inputValues, pos, timeSig);
+      const { chords } = parseChordCell(inputValues[`${pos}:chord`]);
+      current.cells.push({ pos, row, col, text, events, length, chords });
+      current.length = addRat(current.length, length);
+      if (borders[pos]?.right) closeMeasure(true);
+      else if (
+        !withBars &&
+        compareRat(current.length, timeSig.barLength) >= 0
+      ) {
+        closeMeasure(true);
+      }
+    }),
+  );
+  closeMeasure(false);
+
+  // divisions per quarter note: every duration and chord offset a whole number
+  const quarters = [rat(1, 4)];
+  for (const m of measures) {
+    for (const cell of m.cells) {
+      cell.events.forEach((e) =>
+        e.elements.forEach((part) => quarters.push(part.duration)),
+      );
+      cell.chords.forEach((_, i) =>
+        quarters.push(mulRat(cell.length, rat(i, cell.chords.length))),
+      );
+    }
+  }
+  const divisions = quarters
+    .map((d) => mulRat(d, rat(4)).den)
+    .reduce((a, b) => (a * b) / gcd(a, b), 1);
+  const toDivisions = (d) => Math.round(ratToNumber(d) * 4 * divisions);
+
+  const noteNode = (event, part, i, last, lyric) => {
+    const pitch = event.note ?? SLASH_PITCH;
+    const slash = !event.note && !event.rest;
+    const tied = event.elements.length > 1;
+    const articulations =
+      i === 0
+        ? [event.accent && el("accent"), event.staccato && el("staccato")]
+        : [];
+    const notations = [
+      tied && i > 0 && el("tied", { type: "stop" }),
+      tied && !last && el("tied", { type: "start" }),
+      event.tuplet?.index === 0 && el("tuplet", { type: "start" }),
+      event.tuplet?.index === event.tuplet?.actual - 1 &&
+        el("tuplet", { type: "stop" }),
+      articulations.some(Boolean) && el("articulations", {}, articulations),
+    ];
+    return el("note", {}, [
+      event.rest
+        ? el("rest")
+        : el("pitch", {}, [
+            el("step", {}, pitch.step),
+            pitch.alter ? el("alter", {}, pitch.alter) : null,
+            el("octave", {}, pitch.octave),
+          ]),
+      el("duration", {}, toDivisions(part.duration)),
+      tied && i > 0 && el("tie", { type: "stop" }),
+      tied && !last && el("tie", { type: "start" }),
+      el("voice", {}, 1),
+      NOTE_TYPES[part.value] && el("type", {}, NOTE_TYPES[part.value]),
+      ...Array.from({ length: part.dots }, () => el("dot")),
+      event.tuplet &&
+        el("time-modification", {}, [
+          el("actual-notes", {}, event.tuplet.actual),
+          el("normal-notes", {}, event.tuplet.normal),
+        ]),
+      slash && el("notehead", {}, "slash"),
+      notations.some(Boolean) && el("notations", {}, notations),
+      lyric,
+    ]);
+  };
+
+  const cellNodes = (cell) => {
+    const nodes = [];
+    if (cell.col === 0 && rehearsals.has(cell.row)) {
+      nodes.push(
+        el("direction", { placement: "above" }, [
+          el("direction-type", {}, [
+            el("rehearsal", {}, rehearsals.get(cell.row)),
+          ]),
+        ]),
+      );
+    }
+    cell.chords.forEach((chord, i) => {
+      const offset = mulRat(cell.length, rat(i, cell.chords.length));
+      nodes.push(harmonyNode(chord, toDivisions(offset)));
+    });
+
+    // the lyric goes on the first sounding note (or the first event)
+    let lyric = null;
+    const text = isContinued(cell.text) ? cell.text.slice(0, -1) : cell.text;
+    if (text !== EMPTY_WORD) {
+      lyric = el("lyric", { number: 1 }, [
+        el("syllabic", {}, syllabic(rows, cell.row, cell.col)),
+        el("text", {}, text),
+      ]);
+    }
+    const carrier = Math.max(
+      0,
+      cell.events.findIndex((e) => !e.rest),
+    );
+
+    cell.events.forEach((event, e) => {
+      event.elements.forEach((part, i) =>
+        nodes.push(
+          noteNode(
+            event,
+            part,
+            i,
+            i === event.elements.length - 1,
+            e === carrier && i === 0 ? lyric : null,
+          ),
+        ),
+      );
+    });
+    return nodes;
+  };
+
+  const attributes = el("attributes", {}, [
+    el("divisions", {}, divisions),
+    el("key", {}, [
+      el("fifths", {}, keyFifths(meta.key) ?? 0),
+      el("mode", {}, parseKey(meta.key)?.minor ? "minor" : "major"),
+    ]),
+    el("time", {}, [
+      el("beats", {}, timeSig.beats),
+      el("beat-type", {}, timeSig.unit),
+    ]),
+    el("clef", {}, [el("sign", {}, "G"), el("line", {}, 2)]),
+  ]);
+  const tempo = Number(meta.tempo);
+  const tempoNode =
+    tempo > 0 &&
+    el("direction", { placement: "above" }, [
+      el("direction-type", {}, [
+        el("metronome", {}, [
+          el("beat-unit", {}, "quarter"),
+          el("per-minute", {}, tempo),
+        ]),
+      ]),
+      el("sound", { tempo }),
+    ]);
+
+  if (!measures.length) {
+    measures.push({ cells: [], length: ZERO, barline: false, empty: true });
+  }
+  // an under-filled first bar is a pickup (opmaat): measure 0
+  const pickup =
+    measures.length > 1 &&
+    compareRat(measures[0].length, timeSig.barLength) < 0;
+
+  const measureNodes = measures.map((m, i) => {
+    const last = i === measures.length - 1;
+    return el(
+      "measure",
+      {
+        number: pickup ? i : i + 1,
+        implicit: pickup && i === 0 ? "yes" : undefined,
+      },
+      [
+        i === 0 && attributes,
+        i === 0 && tempoNode,
+        ...m.cells.flatMap(cellNodes),
+        m.empty &&
+          el("note", {}, [
+            el("rest", { measure: "yes" }),
+            el("duration", {}, toDivisions(timeSig.barLength)),
+            el("voice", {}, 1),
+          ]),
+        (m.barline || last) &&
+          el("barline", { location: "right" }, [
+            el("bar-style", {}, last ? "light-heavy" : "regular"),
+          ]),
+      ],
+    );
+  });
+
+  const score = el("score-partwise", { version: "4.0" }, [
+    meta.title && el("work", {}, [el("work-title", {}, meta.title)]),
+    el("identification", {}, [
+      meta.artist && el("creator", { type: "composer" }, meta.artist),
+      el("encoding", {}, [
+        el("software", {}, "song-grid"),
+        el("encoding-date", {}, new Date().toISOString().slice(0, 10)),
+      ]),
+    ]),
+    el("part-list", {}, [
+      el("score-part", { id: "P1" }, [el("part-name", {}, PART_NAME)]),
+    ]),
+    el("part", { id: "P1" }, measureNodes),
+  ]);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    renderXml(score),
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,276 @@
+// src/utils/musicXml.test.js
+// Structuur van de MusicXML-export, getoetst zoals het schema (XSD) het
+// vraagt: welke elementen, in welke volgorde, en maten die kloppen.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseChord } from "./chords.js";
+import { harmonyDegrees, harmonyKind, toMusicXml } from "./musicXml.js";
+
+// --- a tiny XML reader: well-formedness + element tree ---
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const unescape = (text) =>
+  text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+
+function parseXml(xml) {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const TOKEN_RE =
+    /<\?[^]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  for (const m of xml.matchAll(TOKEN_RE)) {
+    const [, closing, name, rawAttrs, selfClosing, text] = m;
+    const parent = stack.at(-1);
+    if (text !== undefined) {
+      if (text.trim()) parent.text += unescape(text);
+      continue;
+    }
+    if (!name) continue; // declaration / doctype
+    if (closing) {
+      assert.equal(name, parent.name, `</${name}> sluit <${parent.name}>`);
+      stack.pop();
+      continue;
+    }
+    const attrs = {};
+    for (const [, key, value] of rawAttrs.matchAll(/([\w-]+)="([^"]*)"/g)) {
+      attrs[key] = unescape(value);
+    }
+    const node = { name, attrs, children: [], text: "" };
+    parent.children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  assert.equal(stack.length, 1, `niet gesloten: <${stack.at(-1).name}>`);
+  assert.equal(root.children.length, 1, "precies één root-element");
+  return root.children[0];
+}
+
+const childrenNamed = (node, name) =>
+  node.children.filter((c) => c.name === name);
+const child = (node, name) => childrenNamed(node, name)[0];
+
+// children must appear in schema order; "?" at most once, "+" at least once
+function assertSequence(node, spec) {
+  const order = spec.map((s) => s.replace(/[?*+]$/, ""));
+  let at = 0;
+  for (const c of node.children) {
+    const i = order.indexOf(c.name, at);
+    assert.ok(
+      i >= 0,
+      `<${c.name}> mag niet (hier) in <${node.name}>: ${node.children
+        .map((x) => x.name)
+        .join(", ")}`,
+    );
+    at = i;
+  }
+  spec.forEach((s, i) => {
+    const count = childrenNamed(node, order[i]).length;
+    if (s.endsWith("?")) assert.ok(count <= 1, `<${order[i]}> hoogstens één`);
+    else if (s.endsWith("*")) return;
+    else assert.ok(count >= 1, `<${node.name}> mist <${order[i]}>`);
+  });
+}
+
+// the parts of the MusicXML 4.0 schema the export uses
+const SCORE = ["work?", "identification?", "part-list", "part+"];
+const ATTRIBUTES = ["divisions?", "key*", "time*", "clef*"];
+const NOTE = [
+  "pitch?",
+  "rest?",
+  "duration",
+  "tie*",
+  "voice?",
+  "type?",
+  "dot*",
+  "time-modification?",
+  "notehead?",
+  "notations*",
+  "lyric*",
+];
+const HARMONY = ["root", "kind", "bass?", "degree*", "offset?"];
+const DEGREE = ["degree-value", "degree-alter", "degree-type"];
+const LYRIC = ["syllabic?", "text"];
+const MEASURE_CONTENT = ["attributes", "direction", "harmony", "note"];
+
+function assertScore(xml) {
+  const score = parseXml(xml);
+  assert.equal(score.name, "score-partwise");
+  assert.equal(score.attrs.version, "4.0");
+  assertSequence(score, SCORE);
+
+  const partIds = childrenNamed(child(score, "part-list"), "score-part").map(
+    (p) => p.attrs.id,
+  );
+  const parts = childrenNamed(score, "part");
+  assert.deepEqual(
+    parts.map((p) => p.attrs.id),
+    partIds,
+  );
+
+  for (const part of parts) {
+    const measures = part.children;
+    assert.ok(measures.length > 0);
+    measures.forEach((measure, i) => {
+      assert.equal(measure.name, "measure");
+      assert.ok(measure.attrs.number, "maat zonder nummer");
+      measure.children.forEach((c, k) => {
+        if (c.name === "barline") {
+          assert.equal(k, measure.children.length - 1, "barline rechts");
+          assert.equal(c.attrs.location, "right");
+        } else {
+          assert.ok(MEASURE_CONTENT.includes(c.name), `<${c.name}> in maat`);
+        }
+      });
+      if (i === 0) {
+        const attributes = child(measure, "attributes");
+        assertSequence(attributes, ATTRIBUTES);
+        assertSequence(child(attributes, "key"), ["fifths", "mode?"]);
+        assertSequence(child(attributes, "time"), ["beats", "beat-type"]);
+      }
+      for (const note of childrenNamed(measure, "note")) {
+        assertSequence(note, NOTE);
+        assert.ok(
+          Boolean(child(note, "pitch")) !== Boolean(child(note, "rest")),
+          "een noot heeft een toonhoogte of is een rust",
+        );
+        for (const lyric of childrenNamed(note, "lyric")) {
+          assertSequence(lyric, LYRIC);
+        }
+      }
+      for (const harmony of childrenNamed(measure, "harmony")) {
+        assertSequence(harmony, HARMONY);
+        for (const degree of childrenNamed(harmony, "degree")) {
+          assertSequence(degree, DEGREE);
+        }
+      }
+    });
+  }
+  return score;
+}
+
+// duration of each measure, in quarter notes
+function measureLengths(score) {
+  const measures = child(score, "part").children;
+  const divisions = Number(
+    child(child(measures[0], "attributes"), "divisions").text,
+  );
+  return measures.map(
+    (m) =>
+      childrenNamed(m, "note").reduce(
+        (sum, note) => sum + Number(child(note, "duration").text),
+        0,
+      ) / divisions,
+  );
+}
+
+describe("MusicXML structure", () => {
+  test("a song with melody, rhythm, chords, sections and bar lines", () => {
+    const score = assertScore(
+      toMusicXml({
+        rawText: "[Verse]\nA-ma-zing grace\n\n[Chorus]\nhow sweet & the sound",
+        inputValues: {
+          "0:0:note": "D4",
+          "0:0:rhythm": "4",
+          "0:1:note": "G4 B4",
+          "0:1:rhythm": "8 8",
+          "0:1:chord": "G",
+          "0:2:note": "G4",
+          "0:2:rhythm": "4",
+          "0:3:note": "B4",
+          "0:3:rhythm": "2",
+          "0:3:chord": "Bm7b5 E7b9",
+          "1:0:chord": "C9#11/E",
+          "1:1:rhythm": "8",
+          "1:2:rhythm": "8",
+          "1:3:rhythm": "8",
+          "1:4:rhythm": "4.",
+        },
+        borders: {
+          "0:0": { left: false, right: true },
+          "0:3": { left: false, right: true },
+          "1:4": { left: false, right: true },
+        },
+        meta: { title: "Amazing <Grace>", key: "G", tempo: 90 },
+      }),
+    );
+    const measures = child(score, "part").children;
+    assert.equal(measures.length, 3);
+    // the first bar is a pickup
+    assert.equal(measures[0].attrs.number, "0");
+    assert.equal(measures[0].attrs.implicit, "yes");
+    assert.deepEqual(measureLengths(score), [1, 4, 4]);
+    const kinds = measures
+      .flatMap((m) => childrenNamed(m, "harmony"))
+      .map((h) => child(h, "kind").text);
+    assert.deepEqual(kinds, [
+      "major",
+      "half-diminished",
+      "dominant",
+      "dominant-ninth",
+    ]);
+  });
+
+  test("without bar lines the time signature splits the measures", () => {
+    const score = assertScore(
+      toMusicXml({
+        rawText: "one two three four five six seven eight nine",
+        inputValues: {},
+        borders: {},
+        meta: { timeSignature: "3/4" },
+      }),
+    );
+    assert.deepEqual(measureLengths(score), [3, 3, 3]);
+  });
+
+  test("an empty song is one measure rest", () => {
+    const score = assertScore(
+      toMusicXml({ rawText: "", inputValues: {}, borders: {} }),
+    );
+    assert.deepEqual(measureLengths(score), [4]);
+  });
+});
+
+describe("harmony kinds and degrees", () => {
+  const harmony = (text) => {
+    const chord = parseChord(text);
+    return { kind: harmonyKind(chord), degrees: harmonyDegrees(chord) };
+  };
+
+  test("half-diminished", () => {
+    assert.deepEqual(harmony("Bm7b5"), {
+      kind: "half-diminished",
+      degrees: [],
+    });
+    assert.deepEqual(harmony("Bø"), { kind: "half-diminished", degrees: [] });
+  });
+
+  test("altered extensions become degrees", () => {
+    assert.deepEqual(harmony("C7b9").degrees, [
+      { value: 9, alter: -1, type: "add" },
+    ]);
+    assert.deepEqual(harmony("C7b5").degrees, [
+      { value: 5, alter: -1, type: "alter" },
+    ]);
+    assert.deepEqual(harmony("C9#11").degrees, [
+      { value: 11, alter: 1, type: "add" },
+    ]);
+    assert.deepEqual(harmony("C13#11").degrees, [
+      { value: 11, alter: 1, type: "alter" },
+    ]);
+    assert.deepEqual(harmony("Cadd9"), {
+      kind: "major",
+      degrees: [{ value: 9, alter: 0, type: "add" }],
+    });
+  });
+
+  test("six-nine and minor-major chords", () => {
+    assert.deepEqual(harmony("C6/9"), {
+      kind: "major-sixth",
+      degrees: [{ value: 9, alter: 0, type: "add" }],
+    });
+    assert.deepEqual(harmony("Gm(maj7)"), { kind: "major-minor", degrees: [] });
+    assert.deepEqual(harmony("CmM9"), {
+      kind: "major-minor",
+      degrees: [{ value: 9, alter: 0, type: "add" }],
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// src/utils/notes.js
+// Melodielijn: toonhoogtes per cel.
+// - letternamen met octaaf: C4 D#4 Bb3 (octaaf weg = 4)
+// - solfège (vaste do): do re mi fa sol la si/ti, ook met # / b en octaaf (sol3)
+// - r = rust
+// Duren komen uit de ritmelijn van dezelfde cel (zie melodyEvents).
+
+import { parseRhythm } from "./formatRhythm.js";
+import { addRat, rat, ZERO } from "./rational.js";
+
+const STEPS = ["C", "D", "E", "F", "G", "A", "B"];
+const STEP_PC = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const SOLFEGE = {
+  do: "C",
+  re: "D",
+  mi: "E",
+  fa: "F",
+  sol: "G",
+  so: "G",
+  la: "A",
+  si: "B",
+  ti: "B",
+};
+
+const ALTER = { "": 0, "#": 1, "♯": 1, "##": 2, x: 2, b: -1, "♭": -1, bb: -2 };
+
+const LETTER_RE = /^([A-Ga-g])(##|bb|#|b|♯|♭|x)?(-?\d)?$/;
+const SOLFEGE_RE = /^(do|re|mi|fa|sol|so|la|si|ti)(##|bb|#|b|♯|♭)?(-?\d)?$/i;
+
+export const DEFAULT_OCTAVE = 4;
+
+/**
+ * parseNote
+ * - "Bb3" / "sol#" -> { step: "B", alter: -1, octave: 3, midi: 58 }
+ * - "r" -> { rest: true }; unknown -> null
+ *
+ * @param {string} token
+ * @returns {{step: string, alter: number, octave: number, midi: number} | {rest: true} | null}
+ */
+export function parseNote(token) {
+  const text = String(token ?? "").trim();
+  if (/^r$/i.test(text)) return { rest: true };
+
+  let step;
+  let m = text.match(LETTER_RE);
+  if (m) {
+    step = m[1].toUpperCase();
+  } else {
+    m = text.match(SOLFEGE_RE);
+    if (!m) return null;
+    step = SOLFEGE[m[1].toLowerCase()];
+  }
+  const alter = ALTER[m[2] ?? ""];
+  const octave = m[3] === undefined ? DEFAULT_OCTAVE : Number(m[3]);
+  return {
+    step,
+    alter,
+    octave,
+    midi: (octave + 1) * 12 + STEP_PC[step] + alter,
+  };
+}
+
+/**
+ * parseNoteCell
+ * - "C4 D#4 r Bb3" -> notes in order + the tokens that are not notes
+ *
+ * @param {string} text
+ * @returns {{notes: object[], invalid: string[]}}
+ */
+export function parseNoteCell(text) {
+  const notes = [];
+  const invalid = [];
+  for (const token of String(text ?? "").split(/[\s,|]+/)) {
+    if (!token) continue;
+    const note = parseNote(token);
+    if (note) notes.push(note);
+    else invalid.push(token);
+  }
+  return { notes, invalid };
+}
+
+/** diatonic position (C0 = 0, D0 = 1, ...) for placing a note on a staff */
+export const diatonicIndex = (note) =>
+  note.octave * 7 + STEPS.indexOf(note.step);
+
+/**
+ * melodyEvents
+ * - pairs the cell's notes with the rhythm line of the same cell: every
+ *   rhythm note (tuplet notes one by one) takes the next pitch, rhythm rests
+ *   stay rests; note-cell rests ("r") take a rhythm note as a rest
+ * - without rhythm every pitch gets value 0 (= no duration, drawn stemless)
+ * - offsets/durations are fractions of a whole note; `elements` are the tied
+ *   parts ("4-8"), `tuplet` is { actual, normal, index } for tuplet notes
+ *
+ * @returns {{events: Array<{note: object|null, rest: boolean, value: number,
+ *   dots: number, offset: object, duration: object, elements: object[],
+ *   tuplet: object|null, accent: boolean, staccato: boolean}>,
+ *   length: object, unmatched: number}}
+ *   unmatched = pitches minus rhythm notes (negative: rhythm notes without pitch)
+ */
+export function melodyEvents(notesText, rhythmText) {
+  const { notes } = parseNoteCell(notesText);
+  const slots = [];
+  for (const token of parseRhythm(rhythmText).tokens) {
+    if (token.type === "event") {
+      const first = token.elements[0];
+      slots.push({
+        rest: token.kind === "rest",
+        value: first.value,
+        dots: first.dots,
+        duration: token.duration,
+        elements: token.elements,
+        tuplet: null,
+        accent: token.accent,
+        staccato: token.staccato,
+      });
+    } else if (token.type === "tuplet") {
+      const each = rat(token.normal, token.value * token.count);
+      for (let i = 0; i < token.count; i++) {
+        slots.push({
+          rest: false,
+          value: token.value,
+          dots: 0,
+          duration: each,
+          elements: [{ value: token.value, dots: 0, duration: each }],
+          tuplet: { actual: token.count, normal: token.normal, index: i },
+          accent: token.accent,
+          staccato: token.staccato,
+        });
+      }
+    }
+  }
+
+  if (!slots.length) {
+    return {
+      events: notes.map((note) => ({
+        note: note.rest ? null : note,
+        rest: Boolean(note.rest),
+        value: 0,
+        dots: 0,
+        offset: ZERO,
+        duration: ZERO,
+        elements: [],
+        tuplet: null,
+        accent: false,
+        staccato: false,
+      })),
+      length: ZERO,
+      unmatched: 0,
+    };
+  }
+
+  const events = [];
+  let offset = ZERO;
+  let next = 0;
+  let sounding = 0;
+  for (const slot of slots) {
+    let note = null;
+    let rest = slot.rest;
+    if (!slot.rest) {
+      sounding++;
+      const pitch = notes[next++];
+      note = pitch && !pitch.rest ? pitch : null;
+      rest = Boolean(pitch?.rest);
+    }
+    events.push({ ...slot, note, rest, offset });
+    offset = addRat(offset, slot.duration);
+  }
+  return { events, length: offset, unmatched: notes.length - sounding };
+}
@@ -0,0 +1,212 @@
+// src/utils/numberChords.js
+// Akkoorden als trap van de toonsoort: Nashville-nummers (1 4 5m 2/4) of
+// Romeinse cijfers (I IV V ii). Enkel weergave: de cellen bewaren altijd
+// letterakkoorden; getypte nummers worden omgezet (resolveNumberChordText).
+//
+// De trappen tellen vanaf de tonica met de grote toonladder, ook in mineur:
+// in Am is C de "b3" en G de "b7".
+
+import {
+  BASS_SLASH_RE,
+  capoShapeText,
+  FLAT_NAMES,
+  parseChord,
+  parseKey,
+  SHARP_NAMES,
+  spellingForKey,
+} from "./chords.js";
+
+export const CHORD_DISPLAYS = [
+  { value: "letters", label: "Letters (C F G)" },
+  { value: "nashville", label: "Nashville (1 4 5)" },
+  { value: "roman", label: "Romeins (I IV V)" },
+];
+
+// semitones above the tonic -> degree (with accidental)
+const DEGREES = [
+  "1",
+  "b2",
+  "2",
+  "b3",
+  "3",
+  "4",
+  "b5",
+  "5",
+  "b6",
+  "6",
+  "b7",
+  "7",
+];
+const SCALE = [0, 2, 4, 5, 7, 9, 11];
+const ROMAN = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+const NASHVILLE_RE = /^([b#♭♯]?)([1-7])(.*)$/;
+const ROMAN_RE = /^([b#♭♯]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/;
+const BASS_RE = /^([b#♭♯]?)([1-7])$/;
+
+// quality marker at the start of a suffix, as parseChord reads it
+const MINOR_PREFIX = /^(min|mi|m|-)(?!aj|a\d)/;
+const DIM_PREFIX = /^(dim|°|o)/;
+const HALF_DIM_PREFIX = /^ø/;
+const AUG_PREFIX = /^(aug|\+)/;
+
+const shiftOf = (acc) => (acc === "#" || acc === "♯" ? 1 : acc ? -1 : 0);
+
+function degreeOf(pc, tonic) {
+  return DEGREES[(((pc - tonic) % 12) + 12) % 12];
+}
+
+function romanOf(degree, lower) {
+  const [, acc, n] = degree.match(/^(b?)(\d)$/);
+  const numeral = ROMAN[Number(n) - 1];
+  return `${acc}${lower ? numeral.toLowerCase() : numeral}`;
+}
+
+/**
+ * toNumberChord
+ * - parsed chord -> "6m7" (nashville) or "vi7" (roman) in `key`
+ * - the suffix stays as typed; roman numerals show minor/diminished in the
+ *   numeral itself ("vi", "vii°")
+ *
+ * @param {object} chord result of parseChord
+ * @param {string} key
+ * @param {"nashville"|"roman"} style
+ * @returns {string|null} null without a usable key
+ */
+export function toNumberChord(chord, key, style) {
+  const k = parseKey(key);
+  if (!k || !chord) return null;
+  if (chord.noChord) return chord.text;
+
+  const degree = degreeOf(chord.pc, k.pc);
+  const bass = chord.bass ? `/${degreeOf(chord.bass.pc, k.pc)}` : "";
+  if (style !== "roman") return `${degree}${chord.suffix}${bass}`;
+
+  let suffix = chord.suffix;
+  let lower = false;
+  if (chord.quality === "m") {
+    lower = true;
+    suffix = suffix.replace(MINOR_PREFIX, "");
+  } else if (chord.quality === "dim") {
+    lower = true;
+    suffix = `°${suffix.replace(DIM_PREFIX, "")}`;
+  } else if (chord.quality === "m7b5") {
+    lower = true;
+    suffix = `ø${suffix.replace(HALF_DIM_PREFIX, "")}`;
+  } else if (chord.quality === "aug") {
+    suffix = `+${suffix.replace(AUG_PREFIX, "")}`;
+  }
+  return `${romanOf(degree, lower)}${suffix}${bass}`;
+}
+
+/**
+ * displayChordText
+ * - a chord cell as shown in the chosen display; tokens that are not chords
+ *   (or a song without key) stay as they are
+ * - letters with a capo: the concert chords, then the shapes to finger
+ *   ("G C (E A)"); numbers are the same with or without capo
+ */
+export function displayChordText(text, key, style, capo = 0) {
+  const raw = String(text ?? "");
+  if (!raw.trim()) return raw;
+  if (style !== "nashville" && style !== "roman") {
+    if (!(capo > 0)) return raw;
+    const shapes = capoShapeText(raw, capo, key);
+    return shapes === raw.trim() ? raw : `${raw.trim()} (${shapes})`;
+  }
+  return raw
+    .trim()
+    .split(/\s+/)
+    .map((tok) => toNumberChord(parseChord(tok), key, style) ?? tok)
+    .join(" ");
+}
+
+/**
+ * parseNumberChord
+ * - "5m", "6-", "2/4", "b7", "IV", "vi7", "vii°"
+ *   -> { semitones, shift, suffix, bass, bassShift }
+ *   (semitones above the tonic; bass likewise or null; shift = the degree's
+ *   accidental: -1 flat, 1 sharp, 0 none)
+ * - anything else -> null
+ */
+export function parseNumberChord(token) {
+  const [main, bassText, ...extra] = String(token ?? "")
+    .trim()
+    .split(BASS_SLASH_RE);
+  if (!main || extra.length) return null;
+
+  let bass = null;
+  let bassShift = 0;
+  if (bassText !== undefined) {
+    const b = bassText.match(BASS_RE);
+    if (!b) return null;
+    bassShift = shiftOf(b[1]);
+    bass = SCALE[Number(b[2]) - 1] + bassShift;
+  }
+
+  const n = main.match(NASHVILLE_RE);
+  if (n) {
+    return {
+      semitones: SCALE[Number(n[2]) - 1] + shiftOf(n[1]),
+      shift: shiftOf(n[1]),
+      suffix: n[3],
+      bass,
+      bassShift,
+    };
+  }
+
+  const r = main.match(ROMAN_RE);
+  if (!r) return null;
+  const numeral = r[2];
+  const lower = numeral === numeral.toLowerCase();
+  let suffix = r[3];
+  // lowercase = minor, unless the suffix already says minor or diminished
+  if (lower && !/^(m(?!aj|a\d)|-|°|o|dim|ø)/.test(suffix))
+    suffix = `m${suffix}`;
+  return {
+    semitones: SCALE[ROMAN.indexOf(numeral.toUpperCase())] + shiftOf(r[1]),
+    shift: shiftOf(r[1]),
+    suffix,
+    bass,
+    bassShift,
+  };
+}
+
+/**
+ * resolveNumberChord
+ * - number chord -> letter chord text in `key` ("5m" in G -> "Dm"), spelled
+ *   with the key's sharps or flats; a flat or sharp degree is spelled that
+ *   way ("b3" in G -> "Bb", "#4" in C -> "F#")
+ *
+ * @returns {string|null} null when it is no number chord or there is no key
+ */
+export function resolveNumberChord(token, key) {
+  const k = parseKey(key);
+  const parsed = parseNumberChord(token);
+  if (!k || !parsed) return null;
+  const keyNames = spellingForKey(key);
+  const name = (semitones, shift) => {
+    const names = shift < 0 ? FLAT_NAMES : shift > 0 ? SHARP_NAMES : keyNames;
+    return names[(((k.pc + semitones) % 12) + 12) % 12];
+  };
+  const bass =
+    parsed.bass === null ? "" : `/${name(parsed.bass, parsed.bassShift)}`;
+  const text = `${name(parsed.semitones, parsed.shift)}${parsed.suffix}${bass}`;
+  return parseChord(text) ? text : null;
+}
+
+/**
+ * resolveNumberChordText
+ * - every number chord in a chord cell -> letter chord; the rest stays
+ */
+export function resolveNumberChordText(text, key) {
+  const raw = String(text ?? "");
+  if (!raw.trim()) return raw;
+  return raw
+    .trim()
+    .split(/\s+/)
+    .map((tok) =>
+      parseChord(tok) ? tok : (resolveNumberChord(tok, key) ?? tok),
+    )
+    .join(" ");
+}
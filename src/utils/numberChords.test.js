@@ -0,0 +1,27 @@
+// src/utils/numberChords.test.js
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { resolveNumberChordText } from "./numberChords.js";
+
+describe("resolveNumberChordText", () => {
+  test("degrees of the scale use the key's spelling", () => {
+    assert.equal(resolveNumberChordText("1 4 5m 6m", "G"), "G C Dm Em");
+    assert.equal(resolveNumberChordText("I IV V", "F"), "F Bb C");
+    assert.equal(resolveNumberChordText("1 5 6m", "E"), "E B C#m");
+    assert.equal(resolveNumberChordText("16/9 4m(maj7)", "G"), "G6/9 Cm(maj7)");
+  });
+
+  test("a flat or sharp degree is spelled with that accidental", () => {
+    assert.equal(resolveNumberChordText("b3", "G"), "Bb");
+    assert.equal(resolveNumberChordText("b6", "D"), "Bb");
+    assert.equal(resolveNumberChordText("bVII", "E"), "D");
+    assert.equal(resolveNumberChordText("#4m7b5", "C"), "F#m7b5");
+    assert.equal(resolveNumberChordText("1/b7", "A"), "A/G");
+    assert.equal(resolveNumberChordText("1/#4", "F"), "F/B");
+  });
+
+  test("letter chords and other text stay", () => {
+    assert.equal(resolveNumberChordText("C b3 foo", "G"), "C Bb foo");
+  });
+});
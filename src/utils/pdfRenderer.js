@@ -0,0 +1,995 @@
+// src/utils/pdfRenderer.js
+// PDF rechtstreeks uit het datamodel (geen screenshots): tekst blijft
+// selecteerbaar en scherp, het ritme wordt als vectorafbeelding getekend.
+//
+// Lettertype: DejaVu Sans (ingebed) voor woorden, akkoorden en noten
+// (♭ ♯ ♩ ♪ en accenten inbegrepen). De muzieksymbolen buiten de BMP
+// (𝅘𝅥𝅯, 𝄽, ...) zitten in geen enkel gangbaar TTF-lettertype dat jsPDF aankan,
+// daarom tekenen we notenwaarden en rusten zelf.
+
+import fontBoldUrl from "dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url";
+import fontRegularUrl from "dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url";
+import jsPDF from "jspdf";
+import { barStyle, markText, repeatText, voltaCells } from "./barLines.js";
+import { cellMarkTexts, hairpinCells, hasCellMarks } from "./cellMarks.js";
+import { diagramsForRows, layoutChordDiagram } from "./chordDiagrams.js";
+import { parseRhythm } from "./formatRhythm.js";
+import { chordLaneIds } from "./lanes.js";
+import { packColumns } from "./layout.js";
+import { melodyEvents } from "./notes.js";
+import { displayChordText } from "./numberChords.js";
+import { sectionTitle } from "./sections.js";
+import { layoutStaff } from "./staff.js";
+
+const FONT = "DejaVuSans";
+const MM_PER_PT = 25.4 / 72;
+
+const BASE_FONT_SIZE = 11; // pt at fontScale 1
+const COLUMN_GUTTER = 8; // mm
+
+export const PAPER_FORMATS = [
+  { value: "a4", label: "A4" },
+  { value: "letter", label: "Letter" },
+  { value: "a5", label: "A5" },
+];
+
+export const DEFAULT_PDF_OPTIONS = {
+  format: "a4",
+  orientation: "portrait",
+  margins: { top: 12, bottom: 12, left: 10, right: 10 }, // mm
+  fontScale: 1,
+  columns: 1, // 1 | 2
+  showHeader: true,
+  pageNumbers: true,
+};
+
+/**
+ * normalizePdfOptions
+ * - fills in defaults (also for nested margins)
+ */
+export function normalizePdfOptions(options = {}) {
+  return {
+    ...DEFAULT_PDF_OPTIONS,
+    ...options,
+    margins: { ...DEFAULT_PDF_OPTIONS.margins, ...options.margins },
+  };
+}
+
+// --- fonts ---
+
+let fontDataPromise = null;
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function loadFontData() {
+  if (!fontDataPromise) {
+    fontDataPromise = Promise.all(
+      [fontRegularUrl, fontBoldUrl].map(async (url) => {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`Lettertype laden mislukt (${url})`);
+        return toBase64(await res.arrayBuffer());
+      }),
+    ).catch((err) => {
+      fontDataPromise = null; // allow a retry on the next export
+      throw err;
+    });
+  }
+  return fontDataPromise;
+}
+
+async function registerFonts(pdf) {
+  const [regular, bold] = await loadFontData();
+  pdf.addFileToVFS("DejaVuSans.ttf", regular);
+  pdf.addFont("DejaVuSans.ttf", FONT, "normal");
+  pdf.addFileToVFS("DejaVuSans-Bold.ttf", bold);
+  pdf.addFont("DejaVuSans-Bold.ttf", FONT, "bold");
+}
+
+// --- metrics ---
+
+function makeMetrics(fontSize) {
+  const textMm = fontSize * MM_PER_PT;
+  const laneHeight = textMm * 1.9;
+  const h = laneHeight * 0.62; // rhythm glyph box height
+  return {
+    fontSize,
+    laneHeight,
+    padX: textMm * 0.55,
+    minCol: textMm * 0.9,
+    groupGap: textMm * 1.1,
+    baseline: laneHeight * 0.68,
+    barLineWidth: 0.7,
+    staffSpacing: textMm * 0.42, // distance between staff lines
+    diagramSize: textMm * 0.75, // distance between chord diagram strings
+    diagramGap: textMm * 1.2,
+    rhythm: {
+      rx: h * 0.17,
+      ry: h * 0.12,
+      stem: h * 0.78,
+      flag: h * 0.28,
+      dot: h * 0.045,
+      dotGap: h * 0.2,
+      tokenGap: h * 0.35,
+      tieGap: h * 0.35,
+      headY: laneHeight * 0.72,
+    },
+  };
+}
+
+// --- rhythm (vector) ---
+
+const FLAGS = { 1: 0, 2: 0, 4: 0, 8: 1, 16: 2, 32: 3 };
+
+function elementWidth(el, r) {
+  const flagW = FLAGS[el.value] ? r.flag : 0;
+  const base = el.kind === "rest" ? r.rx * 2.6 : r.rx * 2 + flagW;
+  return base + el.dots * r.dotGap;
+}
+
+function tokenWidth(pdf, token, r, m) {
+  if (token.type === "error") {
+    pdf.setFont(FONT, "normal").setFontSize(m.fontSize);
+    return pdf.getTextWidth(token.text);
+  }
+  const accentW = token.accent ? r.rx * 2 : 0;
+  if (token.type === "tuplet") {
+    const one = elementWidth({ kind: "note", value: token.value, dots: 0 }, r);
+    return accentW + token.count * one + (token.count - 1) * r.rx * 0.6;
+  }
+  const parts = token.elements.map((el) => elementWidth(el, r));
+  return (
+    accentW + parts.reduce((a, b) => a + b, 0) + (parts.length - 1) * r.tieGap
+  );
+}
+
+function rhythmWidth(pdf, parsed, m) {
+  const r = m.rhythm;
+  const widths = parsed.tokens.map((t) => tokenWidth(pdf, t, r, m));
+  if (!widths.length) return 0;
+  return widths.reduce((a, b) => a + b, 0) + (widths.length - 1) * r.tokenGap;
+}
+
+function drawNote(pdf, value, x, y, r) {
+  const cx = x + r.rx;
+  pdf.ellipse(cx, y, r.rx, r.ry, value >= 4 ? "F" : "S");
+  if (value >= 2) {
+    const sx = cx + r.rx * 0.95;
+    pdf.line(sx, y, sx, y - r.stem);
+    for (let i = 0; i < FLAGS[value]; i++) {
+      const fy = y - r.stem + i * r.ry * 1.4;
+      pdf.line(sx, fy, sx + r.flag, fy + r.stem * 0.32);
+    }
+  }
+}
+
+function drawRest(pdf, value, x, y, r) {
+  const top = y - r.stem;
+  const w = r.rx * 2.2;
+  if (value === 1 || value === 2) {
+    const lineY = y - r.stem * 0.5;
+    pdf.line(x, lineY, x + w, lineY);
+    // whole rest hangs below the line, half rest sits on it
+    const blockY = value === 1 ? lineY : lineY - r.ry * 1.2;
+    pdf.rect(x + w * 0.2, blockY, w * 0.6, r.ry * 1.2, "F");
+    return;
+  }
+  if (value === 4) {
+    const z = r.rx * 0.9;
+    pdf.lines(
+      [
+        [z, r.stem * 0.25],
+        [-z, r.stem * 0.25],
+        [z, r.stem * 0.25],
+        [-z * 0.6, r.stem * 0.2],
+      ],
+      x + r.rx * 0.6,
+      top,
+    );
+    return;
+  }
+  // 8th, 16th, 32nd: slanted stem with one "ball" per flag
+  const sx = x + w * 0.75;
+  pdf.line(x + w * 0.35, y, sx, top + r.stem * 0.15);
+  for (let i = 0; i < FLAGS[value]; i++) {
+    const by = top + r.stem * 0.2 + i * r.ry * 1.8;
+    pdf.circle(x + w * 0.3, by, r.ry * 0.6, "F");
+    pdf.line(x + w * 0.3, by, sx - i * r.rx * 0.25, by - r.ry * 0.4);
+  }
+}
+
+function drawDots(pdf, count, x, y, r) {
+  for (let i = 0; i < count; i++) {
+    pdf.circle(x + r.dotGap * (i + 0.5), y - r.ry * 0.4, r.dot, "F");
+  }
+}
+
+function drawTie(pdf, x1, x2, y, r) {
+  const yy = y + r.ry * 1.8;
+  const w = x2 - x1;
+  // one cubic bezier, relative to (x1, yy)
+  pdf.lines([[w * 0.25, r.ry * 1.2, w * 0.75, r.ry * 1.2, w, 0]], x1, yy);
+}
+
+function drawRhythm(pdf, parsed, x, laneTop, m) {
+  const r = m.rhythm;
+  const y = laneTop + r.headY;
+  let cx = x;
+
+  pdf.setLineWidth(0.25);
+  for (const token of parsed.tokens) {
+    if (token.type === "error") {
+      pdf.setFont(FONT, "normal").setFontSize(m.fontSize);
+      pdf.text(token.text, cx, laneTop + m.baseline);
+      cx += tokenWidth(pdf, token, r, m) + r.tokenGap;
+      continue;
+    }
+
+    const start = cx;
+    if (token.accent) {
+      const ay = y - r.stem * 0.55;
+      pdf.lines(
+        [
+          [r.rx * 1.4, r.ry * 0.8],
+          [-r.rx * 1.4, r.ry * 0.8],
+        ],
+        cx,
+        ay - r.ry * 0.8,
+      );
+      cx += r.rx * 2;
+    }
+
+    if (token.type === "tuplet") {
+      const one = elementWidth(
+        { kind: "note", value: token.value, dots: 0 },
+        r,
+      );
+      const first = cx;
+      for (let i = 0; i < token.count; i++) {
+        drawNote(pdf, token.value, cx, y, r);
+        cx += one + (i < token.count - 1 ? r.rx * 0.6 : 0);
+      }
+      pdf.setFont(FONT, "normal").setFontSize(m.fontSize * 0.6);
+      pdf.text(String(token.count), (first + cx) / 2, y - r.stem - r.ry, {
+        align: "center",
+      });
+    } else {
+      token.elements.forEach((el, i) => {
+        if (i > 0) {
+          drawTie(pdf, cx - r.tieGap, cx + r.rx, y, r);
+        }
+        if (el.kind === "rest") drawRest(pdf, el.value, cx, y, r);
+        else drawNote(pdf, el.value, cx, y, r);
+        const w = elementWidth(el, r);
+        drawDots(pdf, el.dots, cx + w - el.dots * r.dotGap, y, r);
+        cx += w + (i < token.elements.length - 1 ? r.tieGap : 0);
+      });
+    }
+
+    if (token.staccato) {
+      pdf.circle(cx - r.rx * 1.2, y + r.ry * 2.6, r.dot * 1.2, "F");
+    }
+    cx = start + tokenWidth(pdf, token, r, m) + r.tokenGap;
+  }
+}
+
+// --- layout ---
+
+// the melody staff reads these lanes, printed or not
+const STAFF_LANES = ["note", "rhythm"];
+
+function measureCell(pdf, cell, lanes, m) {
+  pdf.setFont(FONT, "bold").setFontSize(m.fontSize);
+  let w = pdf.getTextWidth(cell.word);
+  pdf.setFont(FONT, "normal");
+  for (const lane of lanes) {
+    const value = cell.values[lane.id];
+    if (!value) continue;
+    const lw =
+      lane.type === "rhythm"
+        ? rhythmWidth(pdf, cell.rhythms[lane.id], m)
+        : pdf.getTextWidth(value);
+    w = Math.max(w, lw);
+  }
+  // the markings above the word, at the smaller size of the marks band
+  const marks = cellMarkTexts(cell.border);
+  if (marks.length || cell.border.fermata) {
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.8);
+    const texts = marks.map((mark) => pdf.getTextWidth(mark.text));
+    if (cell.border.fermata) texts.push(m.laneHeight * 0.5);
+    const gap = pdf.getTextWidth(" ");
+    w = Math.max(
+      w,
+      texts.reduce((a, b) => a + b + gap, -gap),
+    );
+  }
+  return Math.max(m.minCol, w + m.padX * 2);
+}
+
+/**
+ * layoutLineGroups
+ * - same rules as the preview: every row is packed into line groups that fit
+ *   the printable width; a line group never breaks across pages
+ * - with sections: a header before each labelled section, a little space
+ *   between blocks; a repeated section ("Chorus ×2") prints the rows of the
+ *   original again
+ */
+function layoutLineGroups(
+  pdf,
+  { rows, inputValues, borders, sections, chordDisplay, diagrams, info },
+  lanes,
+  width,
+  m,
+) {
+  const voltas = voltaCells(rows, borders);
+  const hairpins = hairpinCells(rows, borders);
+  const rowGroups = (rowIndex) => {
+    const cells = rows[rowIndex].map((word, colIndex) => {
+      const values = {};
+      const rhythms = {};
+      for (const id of STAFF_LANES) {
+        values[id] = inputValues[`${rowIndex}:${colIndex}:${id}`] ?? "";
+      }
+      for (const lane of lanes) {
+        const value = inputValues[`${rowIndex}:${colIndex}:${lane.id}`] ?? "";
+        values[lane.id] =
+          lane.type === "chord"
+            ? displayChordText(value, info?.key, chordDisplay, info?.capo)
+            : value;
+        if (lane.type === "rhythm") rhythms[lane.id] = parseRhythm(value);
+      }
+      return {
+        word,
+        values,
+        rhythms,
+        border: borders[`${rowIndex}:${colIndex}`] ?? {},
+        volta: voltas[`${rowIndex}:${colIndex}`] ?? null,
+        hairpin: hairpins[`${rowIndex}:${colIndex}`] ?? null,
+      };
+    });
+    const widths = cells.map((cell) => measureCell(pdf, cell, lanes, m));
+    const withNotes = lanes.some((lane) => lane.id === "note");
+    return packColumns(widths, width).map((colIdxs) => {
+      const group = {
+        cells: colIdxs.map((i) => ({ ...cells[i], width: widths[i] })),
+        height: (lanes.length + 1) * m.laneHeight,
+        staff: null,
+        markHeight: 0,
+      };
+      // endings, segno/coda, D.C./D.S., repeat counts and the markings
+      // above the words (dynamics, hairpins, ...) get a band on top
+      if (
+        group.cells.some(
+          (cell) =>
+            cell.volta ||
+            cell.hairpin ||
+            cell.border.mark ||
+            repeatText(cell.border) ||
+            hasCellMarks(cell.border),
+        )
+      ) {
+        group.markHeight = m.laneHeight * 0.9;
+        group.height += group.markHeight;
+      }
+      if (withNotes) {
+        group.staff = layoutGroupStaff(group.cells, m);
+        group.height += group.staff?.height ?? 0;
+      }
+      return group;
+    });
+  };
+
+  // chord diagrams of a section, split into strips that fit the width
+  const chordLanes = chordLaneIds(lanes);
+  const withDiagrams = diagrams && diagrams !== "off" && chordLanes.length > 0;
+  const diagramStrips = (section) => {
+    const strips = [];
+    let strip = [];
+    let x = 0;
+    const shapes = diagramsForRows({
+      rows,
+      inputValues,
+      fromRow: section.startRow,
+      toRow: section.endRow,
+      instrument: diagrams,
+      capo: info?.capo,
+      key: info?.key,
+      chordLanes,
+    });
+    for (const shape of shapes) {
+      const layout = layoutChordDiagram(shape, { size: m.diagramSize });
+      if (strip.length && x + layout.width > width) {
+        strips.push(strip);
+        strip = [];
+        x = 0;
+      }
+      strip.push({ shape, layout });
+      x += layout.width + m.diagramGap;
+    }
+    if (strip.length) strips.push(strip);
+    return strips.map((items) => ({
+      diagrams: items,
+      height: m.laneHeight + Math.max(...items.map((d) => d.layout.height)),
+    }));
+  };
+
+  const blocks = sections?.length
+    ? sections
+    : [{ label: "", startRow: 0, endRow: rows.length, refOf: null }];
+
+  const groups = [];
+  blocks.forEach((section, i) => {
+    const source = section.refOf === null ? section : blocks[section.refOf];
+    const title = sectionTitle(section);
+    if (title) {
+      groups.push({ header: title, height: m.laneHeight });
+    } else if (i > 0) {
+      groups.push({ header: "", height: m.groupGap });
+    }
+    if (withDiagrams && section.refOf === null) {
+      groups.push(...diagramStrips(section));
+    }
+    for (let row = source.startRow; row < source.endRow; row++) {
+      groups.push(...rowGroups(row));
+    }
+  });
+  return groups;
+}
+
+// melody staff under the notes lane (same geometry as the preview)
+function layoutGroupStaff(cells, m) {
+  let x = 0;
+  const staffCells = cells.map((cell) => {
+    const staffCell = {
+      x,
+      width: cell.width,
+      ...melodyEvents(cell.values.note, cell.values.rhythm),
+    };
+    x += cell.width;
+    return staffCell;
+  });
+  return layoutStaff(staffCells, { spacing: m.staffSpacing });
+}
+
+function drawStaff(pdf, staff, width, x0, y0) {
+  const s = staff.spacing;
+  pdf.setLineWidth(0.15);
+  for (const y of staff.lines) pdf.line(x0, y0 + y, x0 + width, y0 + y);
+
+  for (const h of staff.heads) {
+    const x = x0 + h.x;
+    const y = y0 + h.y;
+    for (const ly of h.ledgers) {
+      pdf.line(x - s * 1.1, y0 + ly, x + s * 1.1, y0 + ly);
+    }
+    if (h.accidental) {
+      pdf.setFont(FONT, "normal").setFontSize((s * 1.8) / MM_PER_PT);
+      pdf.text(h.accidental, x - s * 1.2, y + s * 0.45, { align: "right" });
+    }
+    pdf.setLineWidth(0.2);
+    pdf.ellipse(x, y, s * 0.65, s * 0.45, h.filled ? "F" : "S");
+    if (h.stem) {
+      const { stem } = h;
+      pdf.line(x0 + stem.x, y0 + stem.y1, x0 + stem.x, y0 + stem.y2);
+      const dir = stem.up ? 1 : -1;
+      for (let k = 0; k < h.flags; k++) {
+        const fy = y0 + stem.y2 + dir * k * s * 0.8;
+        pdf.line(x0 + stem.x, fy, x0 + stem.x + s, fy + dir * s * 1.2);
+      }
+    }
+    for (let k = 0; k < h.dots; k++) {
+      pdf.circle(x + s * (1.2 + k * 0.6), y, s * 0.18, "F");
+    }
+    pdf.setLineWidth(0.15);
+  }
+}
+
+function drawSectionHeader(pdf, group, x0, y0, m) {
+  if (!group.header) return;
+  pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.95);
+  pdf.text(group.header.toUpperCase(), x0 + m.padX, y0 + m.baseline);
+  pdf.setLineWidth(m.barLineWidth * 1.5);
+  pdf.line(x0, y0 + m.laneHeight * 0.2, x0, y0 + m.laneHeight * 0.85);
+}
+
+// chord diagrams (same geometry as the preview), name above each one
+function drawDiagramStrip(pdf, group, x0, y0, m) {
+  const s = m.diagramSize;
+  let x = x0;
+  for (const { shape, layout: d } of group.diagrams) {
+    const top = y0 + m.laneHeight;
+    const first = x + d.strings[0];
+    const last = x + d.strings[d.strings.length - 1];
+
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.9);
+    pdf.text(shape.name, (first + last) / 2, y0 + m.baseline, {
+      align: "center",
+    });
+
+    d.frets.forEach((fy, i) => {
+      pdf.setLineWidth(i === 0 && d.nut ? 0.8 : 0.2);
+      pdf.line(first, top + fy, last, top + fy);
+    });
+    pdf.setLineWidth(0.2);
+    for (const sx of d.strings) {
+      pdf.line(x + sx, top + d.frets[0], x + sx, top + d.frets.at(-1));
+    }
+    if (!d.nut) {
+      pdf.setFont(FONT, "normal").setFontSize(m.fontSize * 0.7);
+      pdf.text(String(d.baseFret), first - s * 0.35, top + d.top + s * 0.95, {
+        align: "right",
+      });
+    }
+    for (const mark of d.marks) {
+      const cx = x + mark.x;
+      const cy = top + mark.y;
+      const r = s * 0.25;
+      if (mark.muted) {
+        pdf.line(cx - r, cy - r, cx + r, cy + r);
+        pdf.line(cx - r, cy + r, cx + r, cy - r);
+      } else {
+        pdf.circle(cx, cy, r, "S");
+      }
+    }
+    for (const dot of d.dots) {
+      pdf.circle(x + dot.x, top + dot.y, s * 0.32, "F");
+    }
+    x += d.width + m.diagramGap;
+  }
+}
+
+// bar line at x; the extra strokes and repeat dots go `inward` (1 = to the
+// right, -1 = to the left) so they stay within the cell
+function drawBarLine(pdf, style, x, top, bottom, inward, m) {
+  if (!style) return;
+  const thin = m.barLineWidth;
+  const line = (at, width) => {
+    pdf.setLineWidth(width);
+    pdf.line(at, top, at, bottom);
+  };
+  if (style === "single") {
+    line(x, thin);
+    return;
+  }
+  const edge = style === "double" ? thin : thin * 2.5;
+  const gap = thin * 1.4;
+  line(x + (inward * edge) / 2, edge);
+  line(x + inward * (edge + gap + thin / 2), thin);
+  if (style === "repeatStart" || style === "repeatEnd") {
+    const dx = x + inward * (edge + gap * 2 + thin * 1.5);
+    const mid = (top + bottom) / 2;
+    for (const dy of [-1, 1]) {
+      pdf.circle(dx, mid + dy * m.laneHeight * 0.3, thin * 0.8, "F");
+    }
+  }
+}
+
+function drawCoda(pdf, cx, cy, r, m) {
+  pdf.setLineWidth(m.barLineWidth * 0.5);
+  pdf.ellipse(cx, cy, r * 0.75, r);
+  pdf.line(cx - r * 1.3, cy, cx + r * 1.3, cy);
+  pdf.line(cx, cy - r * 1.3, cx, cy + r * 1.3);
+}
+
+function drawSegno(pdf, cx, cy, r, m) {
+  pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 1.1);
+  pdf.text("S", cx, cy + r * 0.75, { align: "center" });
+  pdf.setLineWidth(m.barLineWidth * 0.5);
+  pdf.line(cx - r, cy + r, cx + r, cy - r);
+  pdf.circle(cx - r * 0.85, cy + r * 0.15, r * 0.14, "F");
+  pdf.circle(cx + r * 0.85, cy - r * 0.15, r * 0.14, "F");
+}
+
+// fermata: a half circle open at the bottom with a dot in it
+function drawFermata(pdf, cx, base, r, m) {
+  const k = 0.5523; // bezier approximation of a quarter circle
+  pdf.setLineWidth(m.barLineWidth * 0.6);
+  pdf.lines(
+    [
+      [0, -r * k, r * (1 - k), -r, r, -r],
+      [r * k, 0, r, r * (1 - k), r, r],
+    ],
+    cx - r,
+    base,
+    [1, 1],
+    "S",
+  );
+  pdf.circle(cx, base - r * 0.2, r * 0.16, "F");
+}
+
+// one cell's part of a hairpin; from/to = how far open at its edges (0..1)
+function drawHairpin(pdf, hairpin, x1, x2, cy, h, m) {
+  pdf.setLineWidth(m.barLineWidth * 0.5);
+  for (const dir of [-1, 1]) {
+    pdf.line(
+      x1,
+      cy + (dir * hairpin.from * h) / 2,
+      x2,
+      cy + (dir * hairpin.to * h) / 2,
+    );
+  }
+}
+
+// the band above a line group: ending brackets, navigation marks (segno and
+// coda at the start of the cell, the rest at the end), repeat counts and the
+// markings above the word (fermata, dynamic, stop, cue, hairpin)
+function drawBarMarks(pdf, group, x0, y0, m) {
+  const h = group.markHeight;
+  const r = h * 0.3;
+  const cy = y0 + h * 0.5;
+  const baseline = y0 + h * 0.72;
+  let x = x0;
+  for (const cell of group.cells) {
+    const right = x + cell.width;
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.8);
+
+    if (cell.volta) {
+      const top = y0 + h * 0.12;
+      pdf.setLineWidth(m.barLineWidth * 0.5);
+      pdf.line(x, top, right, top);
+      if (cell.volta.first) {
+        pdf.line(x, top, x, y0 + h);
+        pdf.text(cell.volta.label, x + m.padX * 0.6, baseline);
+      }
+      if (cell.volta.last) pdf.line(right, top, right, y0 + h);
+    }
+
+    const { mark } = cell.border;
+    // text at the end of the cell: the repeat count before a D.C./D.S.
+    let endText = repeatText(cell.border);
+    // the marks at the start of the cell go left to right from `at`
+    let at = x + m.padX;
+    if (cell.volta?.first) {
+      at += pdf.getTextWidth(`${cell.volta.label} `) - m.padX * 0.4;
+    }
+    if (mark === "segno" || mark === "coda") {
+      (mark === "segno" ? drawSegno : drawCoda)(pdf, at + r, cy, r, m);
+      at += r * 3;
+    }
+
+    if (cell.border.fermata) {
+      drawFermata(pdf, at + r, baseline, r, m);
+      at += r * 2.8;
+    }
+    for (const { kind, text } of cellMarkTexts(cell.border)) {
+      pdf.setFont(FONT, kind === "cue" ? "normal" : "bold");
+      pdf.setFontSize(m.fontSize * (kind === "dynamic" ? 0.9 : 0.8));
+      pdf.text(text, at, baseline);
+      at += pdf.getTextWidth(text) + pdf.getTextWidth(" ");
+    }
+    if (cell.hairpin) {
+      // a hairpin starting in a cell with text begins after that text
+      const start =
+        cell.hairpin.from === (cell.hairpin.hairpin === "cresc" ? 0 : 1);
+      drawHairpin(
+        pdf,
+        cell.hairpin,
+        start ? Math.max(x, at - m.padX) : x,
+        right,
+        cy,
+        h * 0.45,
+        m,
+      );
+    }
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.8);
+    if (mark === "toCoda") {
+      const codaX = right - m.padX - r;
+      drawCoda(pdf, codaX, cy, r, m);
+      endText = [endText, "To Coda"].filter(Boolean).join("  ");
+      pdf.setFont(FONT, "bold").setFontSize(m.fontSize * 0.8);
+      pdf.text(endText, codaX - r * 1.8, baseline, { align: "right" });
+    } else {
+      if (mark && mark !== "segno" && mark !== "coda") {
+        endText = [endText, markText(mark)].filter(Boolean).join("  ");
+      }
+      if (endText) {
+        pdf.text(endText, right - m.padX, baseline, { align: "right" });
+      }
+    }
+    x = right;
+  }
+}
+
+function drawGroup(pdf, group, lanes, x0, top, m) {
+  let x = x0;
+  const bottom = top + group.height;
+  if (group.markHeight) drawBarMarks(pdf, group, x0, top, m);
+  const y0 = top + group.markHeight;
+
+  for (const cell of group.cells) {
+    const tx = x + m.padX;
+    lanes.forEach((lane, i) => {
+      const value = cell.values[lane.id];
+      if (!value) return;
+      const laneTop = y0 + i * m.laneHeight;
+      if (lane.type === "rhythm") {
+        drawRhythm(pdf, cell.rhythms[lane.id], tx, laneTop, m);
+      } else {
+        pdf.setFont(FONT, "normal").setFontSize(m.fontSize);
+        pdf.text(value, tx, laneTop + m.baseline);
+      }
+    });
+
+    const wordTop =
+      y0 + lanes.length * m.laneHeight + (group.staff?.height ?? 0);
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize);
+    pdf.text(cell.word, tx, wordTop + m.baseline);
+
+    const { border } = cell;
+    drawBarLine(pdf, barStyle(border, "left"), x, y0, bottom, 1, m);
+    const rightX = x + cell.width;
+    drawBarLine(pdf, barStyle(border, "right"), rightX, y0, bottom, -1, m);
+    x += cell.width;
+  }
+
+  if (group.staff) {
+    const width = group.cells.reduce((sum, cell) => sum + cell.width, 0);
+    drawStaff(pdf, group.staff, width, x0, y0 + lanes.length * m.laneHeight);
+  }
+}
+
+// --- header / footer ---
+
+function headerInfoLine(info) {
+  const parts = [];
+  if (info.artist) parts.push(info.artist);
+  if (info.key) parts.push(`Toonsoort ${info.key}`);
+  if (info.tempo) parts.push(`♩ = ${info.tempo}`);
+  if (info.capo) parts.push(`Capo ${info.capo}`);
+  return parts.join("  ·  ");
+}
+
+// draws title + info line at (x, y); returns the height used
+function drawHeader(pdf, info, x, y, m) {
+  const titleSize = m.fontSize * 1.7;
+  const infoSize = m.fontSize * 0.95;
+  let h = titleSize * MM_PER_PT;
+
+  pdf.setFont(FONT, "bold").setFontSize(titleSize);
+  pdf.text(info.title || "", x, y + h * 0.8);
+
+  const line = headerInfoLine(info);
+  if (line) {
+    pdf.setFont(FONT, "normal").setFontSize(infoSize);
+    h += infoSize * MM_PER_PT * 1.4;
+    pdf.text(line, x, y + h * 0.9);
+  }
+  return h + m.groupGap * 1.5;
+}
+
+function drawPageNumbers(pdf, opts, m) {
+  const total = pdf.getNumberOfPages();
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const y = pageH - opts.margins.bottom / 2;
+  for (let i = 1; i <= total; i++) {
+    pdf.setPage(i);
+    pdf.setFont(FONT, "normal").setFontSize(m.fontSize * 0.8);
+    pdf.text(`${i} / ${total}`, pageW / 2, y, {
+      align: "center",
+      baseline: "middle",
+    });
+  }
+}
+
+// --- document ---
+
+async function createPdf(opts) {
+  const pdf = new jsPDF({
+    orientation: opts.orientation,
+    unit: "mm",
+    format: opts.format,
+  });
+  await registerFonts(pdf);
+  pdf.setTextColor(0);
+  pdf.setDrawColor(0);
+  pdf.setFillColor(0);
+  return pdf;
+}
+
+/**
+ * drawSong
+ * - draws one song starting at the top of the current page
+ * - flows line groups down the column(s), then onto new pages
+ */
+function drawSong(pdf, song, lanes, opts, m) {
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const { top, bottom, left, right } = opts.margins;
+  const width = pageW - left - right;
+  const maxY = pageH - bottom;
+
+  const columns = Math.max(1, opts.columns);
+  const colWidth = (width - COLUMN_GUTTER * (columns - 1)) / columns;
+  const colX = (i) => left + i * (colWidth + COLUMN_GUTTER);
+
+  let contentTop = top;
+  if (opts.showHeader && song.info) {
+    contentTop += drawHeader(pdf, song.info, left, top, m);
+  }
+
+  const groups = layoutLineGroups(pdf, song, lanes, colWidth, m);
+
+  let column = 0;
+  let y = contentTop;
+  let inColumn = 0;
+  groups.forEach((group, i) => {
+    // a section header (and chord diagrams) stays with the first line below
+    const kept = (g) => g && (g.header !== undefined || g.diagrams);
+    let needed = group.height;
+    for (let j = i; kept(groups[j]) && groups[j + 1]; j++) {
+      needed += m.groupGap + groups[j + 1].height;
+    }
+    if (inColumn > 0 && y + needed > maxY) {
+      column++;
+      inColumn = 0;
+      if (column >= columns) {
+        pdf.addPage();
+        column = 0;
+        contentTop = top;
+      }
+      y = contentTop;
+    }
+    if (group.header !== undefined) {
+      if (!group.header && inColumn === 0) return; // no gap at the top
+      drawSectionHeader(pdf, group, colX(column), y, m);
+      y += group.height;
+      return;
+    }
+    if (group.diagrams) {
+      drawDiagramStrip(pdf, group, colX(column), y, m);
+      y += group.height + m.groupGap;
+      return;
+    }
+    drawGroup(pdf, group, lanes, colX(column), y, m);
+    y += group.height + m.groupGap;
+    inColumn++;
+  });
+}
+
+/**
+ * renderSongPdf
+ * - song: { rows, inputValues, borders, sections?, chordDisplay?, diagrams?,
+ *   info: { title, artist, key, tempo, capo } }
+ * - lanes: the annotation lanes to print, top to bottom
+ *   [{ id, type }] (see printedLanes in lanes.js)
+ * - options: see DEFAULT_PDF_OPTIONS
+ *
+ * @returns {Promise<jsPDF>}
+ */
+export async function renderSongPdf(song, lanes, options = {}) {
+  const opts = normalizePdfOptions(options);
+  const m = makeMetrics(BASE_FONT_SIZE * opts.fontScale);
+  const pdf = await createPdf(opts);
+
+  drawSong(pdf, song, lanes, opts, m);
+  if (opts.pageNumbers) drawPageNumbers(pdf, opts, m);
+
+  return pdf;
+}
+
+// --- setlist booklet ---
+
+const SONG_OPTIONS = ["fontScale", "columns", "showHeader"];
+
+// table of contents lines, paginated; a set break is a subheading
+function layoutContents(entries, firstTop, top, maxY, m) {
+  const lineH = m.laneHeight;
+  const pages = [[]];
+  let y = firstTop;
+  let number = 0;
+  for (const entry of entries) {
+    const isBreak = entry.type === "break";
+    const height = isBreak ? lineH * 1.8 : lineH;
+    if (y + height > maxY && pages.at(-1).length) {
+      pages.push([]);
+      y = top;
+    }
+    if (!isBreak) number++;
+    pages.at(-1).push({ entry, number, y: isBreak ? y + lineH * 0.8 : y });
+    y += height;
+  }
+  return pages;
+}
+
+function drawContentsLine(pdf, line, page, left, right, m) {
+  const { entry, y } = line;
+  const baseline = y + m.baseline;
+  if (entry.type === "break") {
+    pdf.setFont(FONT, "bold").setFontSize(m.fontSize);
+    pdf.text((entry.label || "Pauze").toUpperCase(), left, baseline);
+    pdf.setLineWidth(0.2);
+    pdf.line(left, y + m.laneHeight, right, y + m.laneHeight);
+    return;
+  }
+
+  const title = `${line.number}. ${entry.song.info.title || ""}`;
+  pdf.setFont(FONT, "normal").setFontSize(m.fontSize);
+  pdf.text(title, left, baseline);
+  pdf.text(String(page), right, baseline, { align: "right" });
+  if (entry.note) {
+    const x = left + pdf.getTextWidth(title) + m.padX * 2;
+    pdf.setFontSize(m.fontSize * 0.85).setTextColor(110);
+    pdf.text(entry.note, x, baseline);
+    pdf.setTextColor(0);
+  }
+  pdf.link(left, y, right - left, m.laneHeight, { pageNumber: page });
+}
+
+/**
+ * renderSetlistPdf
+ * - one booklet: table of contents, then every song from a new page, page
+ *   numbers over the whole booklet and a bookmark per song (grouped under
+ *   the set break before it)
+ * - entries: see setlists.js bookletEntries
+ * - options: paper, margins and page numbers for the booklet; font size,
+ *   columns and header come from each song's own PDF settings
+ *
+ * @returns {Promise<jsPDF>}
+ */
+export async function renderSetlistPdf(name, entries, options = {}) {
+  if (!entries.some((entry) => entry.type === "song")) {
+    throw new Error("De setlist bevat geen liedjes.");
+  }
+  const opts = normalizePdfOptions(options);
+  const m = makeMetrics(BASE_FONT_SIZE * opts.fontScale);
+  const pdf = await createPdf(opts);
+
+  const pageW = pdf.internal.pageSize.getWidth();
+  const pageH = pdf.internal.pageSize.getHeight();
+  const { top, bottom, left, right } = opts.margins;
+  const contentTop = top + drawHeader(pdf, { title: name }, left, top, m);
+  const contents = layoutContents(entries, contentTop, top, pageH - bottom, m);
+  for (let i = 1; i < contents.length; i++) pdf.addPage();
+
+  const pages = new Map(); // entry -> first page
+  for (const entry of entries) {
+    if (entry.type !== "song") continue;
+    pdf.addPage();
+    pages.set(entry, pdf.getNumberOfPages());
+    const songOpts = { ...opts };
+    for (const key of SONG_OPTIONS) {
+      if (entry.pdfOptions?.[key] !== undefined) {
+        songOpts[key] = entry.pdfOptions[key];
+      }
+    }
+    const songM = makeMetrics(BASE_FONT_SIZE * songOpts.fontScale);
+    drawSong(pdf, entry.song, entry.lanes, songOpts, songM);
+  }
+
+  contents.forEach((lines, i) => {
+    pdf.setPage(i + 1);
+    for (const line of lines) {
+      const page = pages.get(line.entry);
+      drawContentsLine(pdf, line, page, left, pageW - right, m);
+    }
+  });
+
+  pdf.outline.add(null, "Inhoud", { pageNumber: 1 });
+  let parent = null;
+  entries.forEach((entry, i) => {
+    if (entry.type === "break") {
+      // a set break bookmarks the first song after it
+      const first = entries.slice(i + 1).find((e) => e.type === "song");
+      parent = first
+        ? pdf.outline.add(null, entry.label || "Pauze", {
+            pageNumber: pages.get(first),
+          })
+        : null;
+      return;
+    }
+    pdf.outline.add(parent, entry.song.info.title || "Naamloos lied", {
+      pageNumber: pages.get(entry),
+    });
+  });
+
+  if (opts.pageNumbers) drawPageNumbers(pdf, opts, m);
+  return pdf;
+}
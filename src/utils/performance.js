@@ -0,0 +1,80 @@
+// src/utils/performance.js
+// Podiumweergave: automatisch scrollen op het tempo van het lied.
+// De tijdlijn volgt de weergave: elke sectie (ook een herhaalde) staat één
+// keer op het scherm, "×2" duurt dubbel zo lang. Binnen een rij loopt de
+// scroll lineair; zonder ritme telt een cel voor één tel (zoals afspelen).
+
+import { buildPlaybackSchedule } from "./playback.js";
+import { ratToNumber, subRat } from "./rational.js";
+
+/**
+ * performanceTimeline
+ * - one block per rendered row, in screen order:
+ *   { section, row, start, duration } (seconds at `tempo` quarters/minute)
+ *
+ * @returns {Array<{section: number, row: number, start: number,
+ *   duration: number}>}
+ */
+export function performanceTimeline({
+  rows,
+  inputValues,
+  sections,
+  timeSignature,
+  tempo,
+}) {
+  const schedule = buildPlaybackSchedule({ rows, inputValues, timeSignature });
+  const secPerWhole = (4 * 60) / (Number(tempo) > 0 ? tempo : 100);
+
+  // first cell of every row -> row length in whole notes
+  const rowStart = {};
+  for (const { pos, start } of schedule.cells) {
+    const row = Number(pos.split(":")[0]);
+    if (!(row in rowStart)) rowStart[row] = start;
+  }
+  const startRows = Object.keys(rowStart).map(Number); // ascending
+  const rowLength = (row) => {
+    const start = rowStart[row];
+    if (!start) return 0;
+    const next = startRows.find((r) => r > row);
+    return ratToNumber(
+      subRat(next === undefined ? schedule.length : rowStart[next], start),
+    );
+  };
+
+  const blocks = [];
+  let t = 0;
+  sections.forEach((section, index) => {
+    const source = section.refOf === null ? section : sections[section.refOf];
+    for (let row = source.startRow; row < source.endRow; row++) {
+      const duration = rowLength(row) * secPerWhole * section.repeat;
+      blocks.push({ section: index, row, start: t, duration });
+      t += duration;
+    }
+  });
+  return blocks;
+}
+
+/**
+ * scrollAt / timeAtScroll
+ * - blocks: timeline blocks with their place on screen ({ top, height } in
+ *   px); the block that plays at time t scrolls through the reading line
+ */
+export function scrollAt(blocks, t) {
+  if (!blocks.length) return 0;
+  const block =
+    blocks.find((b) => t < b.start + b.duration) ?? blocks[blocks.length - 1];
+  const f = block.duration
+    ? Math.min(1, Math.max(0, (t - block.start) / block.duration))
+    : 1;
+  return block.top + f * block.height;
+}
+
+export function timeAtScroll(blocks, y) {
+  if (!blocks.length) return 0;
+  const block =
+    blocks.find((b) => y < b.top + b.height) ?? blocks[blocks.length - 1];
+  const f = block.height
+    ? Math.min(1, Math.max(0, (y - block.top) / block.height))
+    : 0;
+  return block.start + f * block.duration;
+}
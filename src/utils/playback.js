@@ -0,0 +1,141 @@
+// src/utils/playback.js
+// Afspeelschema: zet de grid (akkoorden + ritme) om in een tijdlijn.
+// Tijden en duren zijn breuken van een hele noot (zie rational.js);
+// audioPlayer.js rekent ze om naar seconden.
+
+import { parseChordCell } from "./chords.js";
+import { parseRhythm } from "./formatRhythm.js";
+import { parseTimeSignature } from "./barAnalysis.js";
+import { addRat, compareRat, mulRat, rat, subRat, ZERO } from "./rational.js";
+
+// rhythm tokens -> [{ offset, duration, rest, accent }] relative to the cell
+function rhythmNotes(text) {
+  const notes = [];
+  let offset = ZERO;
+  for (const token of parseRhythm(text).tokens) {
+    if (token.type === "event") {
+      notes.push({
+        offset,
+        duration: token.duration,
+        rest: token.kind === "rest",
+        accent: token.accent,
+      });
+      offset = addRat(offset, token.duration);
+    } else if (token.type === "tuplet") {
+      const each = rat(token.normal, token.value * token.count);
+      for (let i = 0; i < token.count; i++) {
+        notes.push({
+          offset,
+          duration: each,
+          rest: false,
+          accent: token.accent && i === 0,
+        });
+        offset = addRat(offset, each);
+      }
+    }
+  }
+  return { notes, length: offset };
+}
+
+/**
+ * buildPlaybackSchedule
+ * - walks word cells of rows [fromRow..toRow] in order, or of the rows in
+ *   `order` (song form with repeats, see sections.js playOrder)
+ * - a cell lasts as long as its rhythm; without rhythm it lasts one beat
+ * - a chord keeps sounding until the next chord cell ("N.C." = silence);
+ *   several chords in one cell share that cell's time
+ * - a cell's chords come from the first of the lanes `chordLanes` that has
+ *   one there
+ *
+ * @returns {{
+ *   cells: Array<{pos: string, start: object}>,
+ *   hits: Array<{start: object, duration: object, chord: object|null, accent: boolean}>,
+ *   chordSpans: Array<{start: object, duration: object, chord: object|null}>,
+ *   length: object,
+ *   timeSig: object
+ * }}
+ */
+export function buildPlaybackSchedule({
+  rows,
+  inputValues,
+  timeSignature,
+  fromRow = 0,
+  toRow = rows.length - 1,
+  order = null,
+  chordLanes = ["chord"],
+}) {
+  const timeSig =
+    parseTimeSignature(timeSignature) ?? parseTimeSignature("4/4");
+  const beat = rat(1, timeSig.unit);
+
+  const cells = [];
+  const hits = [];
+  const chordSpans = [];
+  let cursor = ZERO;
+
+  const chordAt = (time) => {
+    let current = null;
+    for (const span of chordSpans) {
+      if (compareRat(span.start, time) > 0) break;
+      current = span.chord;
+    }
+    return current;
+  };
+
+  const rowOrder = (order ?? rows.map((_, row) => row)).filter(
+    (row) => row >= fromRow && row <= toRow && row < rows.length,
+  );
+
+  for (const row of rowOrder) {
+    rows[row].forEach((_, col) => {
+      const pos = `${row}:${col}`;
+      const rhythmText = inputValues[`${pos}:rhythm`] ?? "";
+      const chordText =
+        chordLanes.map((id) => inputValues[`${pos}:${id}`]).find(Boolean) ?? "";
+
+      let { notes, length } = rhythmNotes(rhythmText);
+      if (compareRat(length, ZERO) === 0) {
+        notes = [{ offset: ZERO, duration: beat, rest: false, accent: false }];
+        length = beat;
+      }
+
+      const { chords } = parseChordCell(chordText);
+      if (chords.length) {
+        const share = mulRat(length, rat(1, chords.length));
+        chords.forEach((chord, i) =>
+          chordSpans.push({
+            start: addRat(cursor, mulRat(share, rat(i))),
+            chord: chord.noChord ? null : chord,
+          }),
+        );
+      }
+
+      cells.push({ pos, start: cursor });
+      for (const note of notes) {
+        if (note.rest) continue;
+        const start = addRat(cursor, note.offset);
+        hits.push({
+          start,
+          duration: note.duration,
+          chord: chordAt(start),
+          accent: note.accent,
+        });
+      }
+      cursor = addRat(cursor, length);
+    });
+  }
+
+  // each chord sounds until the next change (or the end)
+  chordSpans.forEach((span, i) => {
+    const end = chordSpans[i + 1]?.start ?? cursor;
+    span.duration = subRat(end, span.start);
+  });
+
+  return {
+    cells,
+    hits,
+    chordSpans: chordSpans.filter((s) => compareRat(s.duration, ZERO) > 0),
+    length: cursor,
+    timeSig,
+  };
+}
@@ -0,0 +1,55 @@
+// src/utils/rational.js
+// Exacte breuken voor notenwaarden (1/8 + 1/16 + 1/16 = 1/4, zonder
+// afrondingsfouten). Altijd genormaliseerd: den > 0, ggd(num, den) = 1.
+
+function gcd(a, b) {
+  let x = Math.abs(a);
+  let y = Math.abs(b);
+  while (y) [x, y] = [y, x % y];
+  return x || 1;
+}
+
+/**
+ * rat
+ * - rat(3, 8) -> { num: 3, den: 8 }, rat(2, 4) -> { num: 1, den: 2 }
+ *
+ * @param {number} num
+ * @param {number} [den]
+ * @returns {{num: number, den: number}}
+ */
+export function rat(num, den = 1) {
+  if (den === 0) throw new RangeError("Noemer mag niet 0 zijn.");
+  const sign = den < 0 ? -1 : 1;
+  const g = gcd(num, den);
+  return { num: (sign * num) / g, den: (sign * den) / g };
+}
+
+export const ZERO = rat(0);
+
+export function addRat(a, b) {
+  return rat(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+export function subRat(a, b) {
+  return rat(a.num * b.den - b.num * a.den, a.den * b.den);
+}
+
+export function mulRat(a, b) {
+  return rat(a.num * b.num, a.den * b.den);
+}
+
+export function compareRat(a, b) {
+  return a.num * b.den - b.num * a.den;
+}
+
+export function sumRat(list) {
+  return list.reduce(addRat, ZERO);
+}
+
+export function ratToNumber(a) {
+  return a.num / a.den;
+}
+
+export function formatRat(a) {
+  return a.den === 1 ? String(a.num) : `${a.num}/${a.den}`;
+}
@@ -0,0 +1,200 @@
+// src/utils/reconcileRows.js
+// Houdt akkoorden/ritme/noten en maatstrepen vast aan hun woord wanneer de
+// songtekst aangepast wordt. Annotaties zijn positioneel gekeyed
+// (`${row}:${col}:${type}` en `${row}:${col}`), dus na elke tekstwijziging
+// moeten we uitzoeken welk oud woord bij welk nieuw woord hoort.
+
+import { isEmptyBorder } from "./barLines.js";
+
+/**
+ * Longest common subsequence over two arrays, compared with `eq`.
+ * Returns matched index pairs [aIndex, bIndex] in ascending order.
+ */
+function lcsPairs(a, b, eq) {
+  // common prefix/suffix first: most edits touch a small region, which keeps
+  // the DP table below small
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let k = 0; k < start; k++) pairs.push([k, k]);
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n > 0 && m > 0) {
+    // dp[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = eq(a[start + i], b[start + j])
+          ? dp[i + 1][j + 1] + 1
+          : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (eq(a[start + i], b[start + j])) {
+        pairs.push([start + i, start + j]);
+        i++;
+        j++;
+      } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+/**
+ * Walks the gaps between LCS anchors and calls onHunk(aStart, aEnd, bStart, bEnd)
+ * for every changed region (ends exclusive, either side may be empty).
+ */
+function forEachHunk(pairs, n, m, onHunk) {
+  let prevA = 0;
+  let prevB = 0;
+  for (const [ai, bi] of [...pairs, [n, m]]) {
+    if (ai > prevA || bi > prevB) onHunk(prevA, ai, prevB, bi);
+    prevA = ai + 1;
+    prevB = bi + 1;
+  }
+}
+
+const flattenWords = (rows, rowStart, rowEnd) => {
+  const out = [];
+  for (let r = rowStart; r < rowEnd; r++) {
+    rows[r].forEach((word, c) => out.push({ word, row: r, col: c }));
+  }
+  return out;
+};
+
+/**
+ * Maps word positions of oldRows onto newRows.
+ *
+ * 1. identical lines are matched first (LCS over whole lines), so inserting or
+ *    removing lines keeps everything else in place;
+ * 2. the remaining lines between those anchors are flattened and matched word
+ *    by word (LCS again), so words can move across line breaks;
+ * 3. in a changed stretch where as many words disappear as appear (typical
+ *    typo fix), the words are paired one-to-one. Anything else is unmatched.
+ *
+ * @param {string[][]} oldRows
+ * @param {string[][]} newRows
+ * @returns {Map<string, string>} old `${row}:${col}` -> new `${row}:${col}`
+ */
+export function mapWordPositions(oldRows, newRows) {
+  const map = new Map();
+  const link = (o, n) => map.set(`${o.row}:${o.col}`, `${n.row}:${n.col}`);
+
+  const lineKey = (words) => words.join(" ");
+  const linePairs = lcsPairs(
+    oldRows.map(lineKey),
+    newRows.map(lineKey),
+    (x, y) => x === y,
+  );
+
+  for (const [oi, ni] of linePairs) {
+    oldRows[oi].forEach((_, c) =>
+      link({ row: oi, col: c }, { row: ni, col: c }),
+    );
+  }
+
+  forEachHunk(linePairs, oldRows.length, newRows.length, (oA, oB, nA, nB) => {
+    const oldWords = flattenWords(oldRows, oA, oB);
+    const newWords = flattenWords(newRows, nA, nB);
+    const wordPairs = lcsPairs(oldWords, newWords, (x, y) => x.word === y.word);
+
+    for (const [oi, ni] of wordPairs) link(oldWords[oi], newWords[ni]);
+
+    forEachHunk(wordPairs, oldWords.length, newWords.length, (a, b, c, d) => {
+      if (b - a !== d - c) return;
+      for (let k = 0; k < b - a; k++) link(oldWords[a + k], newWords[c + k]);
+    });
+  });
+
+  return map;
+}
+
+/**
+ * Re-keys inputValues/borders after a lyrics edit.
+ *
+ * Annotations whose word could not be matched are not moved onto some other
+ * word; they come back in `orphans` so the UI can show them.
+ *
+ * @returns {{ inputValues: object, borders: object, orphans: Array<{
+ *   word: string, row: number, col: number,
+ *   values: Record<string, string>, border: object | null
+ * }> }}
+ */
+export function reconcileAnnotations({
+  oldRows,
+  newRows,
+  inputValues,
+  borders,
+}) {
+  return rekeyAnnotations({
+    positions: mapWordPositions(oldRows, newRows),
+    oldRows,
+    inputValues,
+    borders,
+  });
+}
+
+/**
+ * Moves inputValues/borders along `positions` (old `${row}:${col}` -> new);
+ * same result shape as reconcileAnnotations.
+ */
+export function rekeyAnnotations({ positions, oldRows, inputValues, borders }) {
+  const nextValues = {};
+  const nextBorders = {};
+  const orphanByPos = new Map();
+
+  const orphanFor = (pos) => {
+    if (!orphanByPos.has(pos)) {
+      const [row, col] = pos.split(":").map(Number);
+      orphanByPos.set(pos, {
+        word: oldRows[row]?.[col] ?? "",
+        row,
+        col,
+        values: {},
+        border: null,
+      });
+    }
+    return orphanByPos.get(pos);
+  };
+
+  for (const [key, value] of Object.entries(inputValues)) {
+    if (!value) continue;
+    const [row, col, type] = key.split(":");
+    const pos = `${row}:${col}`;
+    const target = positions.get(pos);
+    if (target) nextValues[`${target}:${type}`] = value;
+    else orphanFor(pos).values[type] = value;
+  }
+
+  for (const [pos, state] of Object.entries(borders)) {
+    if (isEmptyBorder(state)) continue;
+    const target = positions.get(pos);
+    if (target) nextBorders[target] = state;
+    else orphanFor(pos).border = state;
+  }
+
+  return {
+    inputValues: nextValues,
+    borders: nextBorders,
+    orphans: [...orphanByPos.values()],
+  };
+}
@@ -0,0 +1,71 @@
+// src/utils/reconcileRows.test.js
+// Annotaties blijven bij hun woord wanneer de songtekst verandert.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { reconcileAnnotations } from "./reconcileRows.js";
+
+const words = (...lines) => lines.map((line) => line.split(" "));
+
+describe("reconcileAnnotations", () => {
+  test("annotations follow their word", () => {
+    const result = reconcileAnnotations({
+      oldRows: words("a b c"),
+      newRows: words("x a b c"),
+      inputValues: { "0:1:chord": "G", "0:2:rhythm": "4" },
+      borders: { "0:2": { left: false, right: true } },
+    });
+    assert.deepEqual(result.inputValues, {
+      "0:2:chord": "G",
+      "0:3:rhythm": "4",
+    });
+    assert.deepEqual(result.borders, { "0:3": { left: false, right: true } });
+    assert.deepEqual(result.orphans, []);
+  });
+
+  test("navigation marks, endings and repeats without a bar line stay", () => {
+    const borders = {
+      "0:0": { left: false, right: false, mark: "segno" },
+      "0:1": { left: false, right: false, ending: "1", endingSpan: 2 },
+      "0:2": { left: false, right: false, mark: "dsAlCoda", repeat: 3 },
+    };
+    const result = reconcileAnnotations({
+      oldRows: words("a b c"),
+      newRows: words("a b c d"),
+      inputValues: {},
+      borders,
+    });
+    assert.deepEqual(result.borders, borders);
+    assert.deepEqual(result.orphans, []);
+  });
+
+  test("dynamics, hairpins, fermatas, stops and cues stay", () => {
+    const borders = {
+      "0:0": { left: false, right: false, hairpin: "cresc", hairpinSpan: 2 },
+      "0:1": { dynamic: "pp", fermata: true },
+      "0:2": { left: false, right: false, stop: "break", cue: "drums in" },
+    };
+    const result = reconcileAnnotations({
+      oldRows: words("a b c"),
+      newRows: words("a b c d"),
+      inputValues: {},
+      borders,
+    });
+    assert.deepEqual(result.borders, borders);
+    assert.deepEqual(result.orphans, []);
+  });
+
+  test("markup of a removed word becomes an orphan", () => {
+    const state = { left: false, right: false, mark: "coda" };
+    const result = reconcileAnnotations({
+      oldRows: words("a b c"),
+      newRows: words("a c"),
+      inputValues: {},
+      borders: { "0:1": state, "0:2": { left: false, right: false } },
+    });
+    assert.deepEqual(result.borders, {});
+    assert.deepEqual(result.orphans, [
+      { word: "b", row: 0, col: 1, values: {}, border: state },
+    ]);
+  });
+});
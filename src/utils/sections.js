@@ -0,0 +1,187 @@
+// src/utils/sections.js
+// Songstructuur: secties in de tekst.
+// - "[Chorus]", "[Couplet 2]", "[Bridge ×2]" : sectiemarker op een eigen lijn
+// - een blanco lijn start ook een nieuw (naamloos) blok
+// - een marker zonder eigen lijnen met de naam van een eerdere sectie is een
+//   verwijzing: die sectie (met haar akkoorden) wordt opnieuw gespeeld
+//
+// Markers en blanco lijnen zijn geen rijen: de `${row}:${col}` keys tellen
+// enkel tekstlijnen (zie lyrics.js).
+
+import { parseChord } from "./chords.js";
+
+const MARKER_RE =
+  /^\[\s*([^\]]*?)\s*(?:[×xX*]\s*(\d+))?\s*\](?:\s*[×xX*]\s*(\d+))?$/;
+
+const KINDS = [
+  ["prechorus", /^(pre[- ]?chorus|pre[- ]?refrein|voorrefrein)/],
+  ["chorus", /^(chorus|refrein|refrain)/],
+  ["verse", /^(verse|couplet|vers|strofe)/],
+  ["bridge", /^(bridge|brug)/],
+  ["intro", /^intro/],
+  ["outro", /^(outro|slot|coda)/],
+  ["instrumental", /^(instrumental|instrumentaal|solo|interlude|tussenspel)/],
+];
+
+/**
+ * sectionKind
+ * - "Refrein 2" -> "chorus"; unknown labels -> "other"
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+export function sectionKind(label) {
+  const l = String(label ?? "")
+    .trim()
+    .toLowerCase();
+  return KINDS.find(([, re]) => re.test(l))?.[0] ?? "other";
+}
+
+/**
+ * parseSectionMarker
+ * - "[Chorus ×2]" / "[Chorus] x2" -> { label: "Chorus", repeat: 2 }
+ * - a bracketed chord ("[Am]") is not a marker
+ *
+ * @param {string} line
+ * @returns {{label: string, repeat: number} | null}
+ */
+export function parseSectionMarker(line) {
+  const m = String(line ?? "")
+    .trim()
+    .match(MARKER_RE);
+  if (!m || !m[1] || parseChord(m[1])) return null;
+  const repeat = Number(m[2] ?? m[3] ?? 1);
+  return { label: m[1], repeat: Math.max(1, repeat) };
+}
+
+const sameLabel = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * parseSections
+ * - splits the text into sections over the lyric rows
+ * - { label, kind, repeat, startRow, endRow (exclusive), refOf }
+ *   refOf = index of the section it repeats, or null
+ * - text without markers and blank lines is one unlabelled section
+ *
+ * @param {string} text
+ * @returns {Array<{label: string, kind: string, repeat: number,
+ *   startRow: number, endRow: number, refOf: number|null}>}
+ */
+export function parseSections(text) {
+  const sections = [];
+  let row = 0;
+  let current = null;
+
+  const isDefined = (section) =>
+    section.label &&
+    sections.some(
+      (s) => s.refOf === null && s.label && sameLabel(s.label, section.label),
+    );
+
+  const close = () => {
+    if (!current) return;
+    current.endRow = row;
+    if (current.endRow === current.startRow) {
+      // no lines of its own: repeat an earlier section with the same name
+      const idx = sections.findIndex(
+        (s) =>
+          s.refOf === null &&
+          s.endRow > s.startRow &&
+          s.label &&
+          sameLabel(s.label, current.label),
+      );
+      if (idx !== -1) current.refOf = idx;
+    }
+    if (current.label || current.endRow > current.startRow) {
+      sections.push(current);
+    }
+    current = null;
+  };
+
+  const open = (label = "", repeat = 1) => {
+    current = {
+      label,
+      kind: label ? sectionKind(label) : "block",
+      repeat,
+      startRow: row,
+      endRow: row,
+      refOf: null,
+    };
+  };
+
+  for (const line of String(text ?? "")
+    .replace(/\r\n/g, "\n")
+    .split("\n")) {
+    const trimmed = line.trim();
+    const marker = parseSectionMarker(trimmed);
+    if (marker) {
+      close();
+      open(marker.label, marker.repeat);
+    } else if (!trimmed) {
+      // blank line ends a block; right after a marker it is just spacing,
+      // unless that marker repeats an earlier section
+      if (current && (current.endRow > current.startRow || isDefined(current)))
+        close();
+    } else {
+      if (!current) open();
+      row++;
+      current.endRow = row;
+    }
+  }
+  close();
+  return sections;
+}
+
+/**
+ * sectionTitle
+ * - "Chorus ×2"; unlabelled blocks -> ""
+ */
+export function sectionTitle(section) {
+  if (!section.label) return "";
+  return section.repeat > 1
+    ? `${section.label} ×${section.repeat}`
+    : section.label;
+}
+
+/**
+ * songForm
+ * - the arrangement in playing order, references resolved:
+ *   [{ index, title, kind, startRow, endRow, isRef }] where the rows are
+ *   those of the repeated section for a reference
+ * - unlabelled blocks get "Deel n"
+ */
+export function songForm(sections) {
+  let block = 0;
+  return sections.map((section, index) => {
+    const source = section.refOf === null ? section : sections[section.refOf];
+    const title = section.label ? sectionTitle(section) : `Deel ${++block}`;
+    return {
+      index,
+      title,
+      kind: source.kind,
+      startRow: source.startRow,
+      endRow: source.endRow,
+      isRef: section.refOf !== null,
+    };
+  });
+}
+
+/**
+ * playOrder
+ * - row indices in playing order: references play their section again and
+ *   "×n" plays a section n times
+ *
+ * @returns {number[]}
+ */
+export function playOrder(sections) {
+  const order = [];
+  for (const section of sections) {
+    const source = section.refOf === null ? section : sections[section.refOf];
+    for (let n = 0; n < section.repeat; n++) {
+      for (let row = source.startRow; row < source.endRow; row++) {
+        order.push(row);
+      }
+    }
+  }
+  return order;
+}
@@ -0,0 +1,159 @@
+// src/utils/setlists.js
+// Setlists in localStorage, naast de bibliotheek (songLibrary.js).
+// - "song-grid:setlists" -> [{ id, name, items, updatedAt }]
+//   items: { type: "song", songId, note } | { type: "break", label }
+// - laatst gekozen setlist: "song-grid:setlist:current" -> id
+// Een setlist bewaart enkel verwijzingen; de liedjes zelf blijven in de
+// bibliotheek (een verwijderd lied valt weg uit het boekje).
+
+import { chordTextsInOrder, inferKey } from "./chords.js";
+import { loadHyphenator } from "./hyphenation.js";
+import { chordLaneIds, printedLanes } from "./lanes.js";
+import { normalizeTextToRows } from "./lyrics.js";
+import { parseSections } from "./sections.js";
+import { makeSongId } from "./songDocument.js";
+import { loadSong } from "./songLibrary.js";
+
+const SETLISTS_KEY = "song-grid:setlists";
+const CURRENT_KEY = "song-grid:setlist:current";
+
+function storage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * listSetlists
+ * - most recently updated first
+ *
+ * @returns {Array<{id: string, name: string, items: object[], updatedAt: string}>}
+ */
+export function listSetlists() {
+  let entries = [];
+  try {
+    entries = JSON.parse(storage()?.getItem(SETLISTS_KEY) ?? "[]");
+  } catch {
+    // broken storage: start over
+  }
+  return (Array.isArray(entries) ? entries : [])
+    .slice()
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+function writeSetlists(setlists) {
+  try {
+    storage()?.setItem(SETLISTS_KEY, JSON.stringify(setlists));
+  } catch (err) {
+    console.warn("Setlist niet bewaard:", err);
+  }
+}
+
+export function createSetlist(name = "Nieuwe setlist") {
+  return { id: makeSongId(), name, items: [], updatedAt: "" };
+}
+
+/**
+ * saveSetlist
+ * - writes the setlist (new or existing)
+ *
+ * @returns {object} the saved setlist (with fresh updatedAt)
+ */
+export function saveSetlist(setlist) {
+  const saved = { ...setlist, updatedAt: new Date().toISOString() };
+  writeSetlists([saved, ...listSetlists().filter((s) => s.id !== saved.id)]);
+  return saved;
+}
+
+export function deleteSetlist(id) {
+  writeSetlists(listSetlists().filter((s) => s.id !== id));
+  if (getCurrentSetlistId() === id) storage()?.removeItem(CURRENT_KEY);
+}
+
+export function getCurrentSetlistId() {
+  return storage()?.getItem(CURRENT_KEY) ?? null;
+}
+
+export function setCurrentSetlistId(id) {
+  if (id) storage()?.setItem(CURRENT_KEY, id);
+  else storage()?.removeItem(CURRENT_KEY);
+}
+
+/** items with one item moved from `from` to `to` */
+export function moveItem(items, from, to) {
+  if (to < 0 || to >= items.length) return items;
+  const next = items.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * setlistNeighbours
+ * - the songs before and after `songId` in the setlist (breaks skipped)
+ *
+ * @returns {{index: number, count: number, prev: string|null,
+ *   next: string|null}} index -1 when the song is not in the setlist
+ */
+export function setlistNeighbours(setlist, songId) {
+  const ids = (setlist?.items ?? [])
+    .filter((item) => item.type === "song")
+    .map((item) => item.songId);
+  const index = ids.indexOf(songId);
+  return {
+    index,
+    count: ids.length,
+    prev: index > 0 ? ids[index - 1] : null,
+    next: index !== -1 && index < ids.length - 1 ? ids[index + 1] : null,
+  };
+}
+
+/**
+ * bookletEntries
+ * - setlist -> what renderSetlistPdf draws, read from the library:
+ *   { type: "song", note, song, lanes, pdfOptions } | { type: "break", label }
+ * - every song with its own printed lanes, chord display and diagrams,
+ *   hyphenation and PDF font/column settings
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function bookletEntries(setlist) {
+  const entries = [];
+  for (const item of setlist.items) {
+    if (item.type === "break") {
+      entries.push({ type: "break", label: item.label });
+      continue;
+    }
+    const doc = loadSong(item.songId);
+    if (!doc) continue;
+    const hyphenate = await loadHyphenator(doc.hyphenation);
+    entries.push({
+      type: "song",
+      note: item.note ?? "",
+      song: {
+        rows: normalizeTextToRows(doc.rawText, { hyphenate }),
+        inputValues: doc.inputValues,
+        borders: doc.borders,
+        sections: parseSections(doc.rawText),
+        chordDisplay: doc.view.chordDisplay,
+        diagrams: doc.view.diagrams,
+        info: {
+          title: doc.title,
+          artist: doc.artist,
+          key:
+            doc.key ||
+            inferKey(
+              chordTextsInOrder(doc.inputValues, chordLaneIds(doc.lanes)),
+            ),
+          tempo: doc.tempo,
+          capo: doc.capo,
+        },
+      },
+      lanes: printedLanes(doc.lanes),
+      pdfOptions: doc.pdfOptions,
+    });
+  }
+  return entries;
+}
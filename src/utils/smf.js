@@ -0,0 +1,134 @@
+// src/utils/smf.js
+// Standard MIDI File schrijven (format 0/1), zonder afhankelijkheden.
+// Een track is een lijst events met een absolute tick; writeMidiFile sorteert
+// ze, rekent delta-tijden uit en sluit elke track af met End of Track.
+
+export const DEFAULT_DIVISION = 480; // ticks per quarter note
+
+// same tick: note-offs first, then meta/program changes, then note-ons
+const ORDER_OFF = 0;
+const ORDER_META = 1;
+const ORDER_ON = 2;
+
+const META = {
+  text: 0x01,
+  trackName: 0x03,
+  lyric: 0x05,
+  endOfTrack: 0x2f,
+  tempo: 0x51,
+  timeSignature: 0x58,
+  keySignature: 0x59,
+};
+
+const textBytes = (text) => [...new TextEncoder().encode(String(text))];
+
+/**
+ * varLen
+ * - variable-length quantity: 7 bits per byte, high bit = "more follows"
+ * - 0 -> [0x00], 128 -> [0x81, 0x00], 0x0fffffff -> [0xff, 0xff, 0xff, 0x7f]
+ *
+ * @param {number} value
+ * @returns {number[]}
+ */
+export function varLen(value) {
+  if (!Number.isInteger(value) || value < 0 || value > 0x0fffffff) {
+    throw new RangeError(`Ongeldige MIDI-lengte: ${value}`);
+  }
+  const bytes = [value & 0x7f];
+  for (let v = value >>> 7; v > 0; v >>>= 7) {
+    bytes.unshift((v & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+const uint32 = (n) => [
+  (n >>> 24) & 0xff,
+  (n >>> 16) & 0xff,
+  (n >>> 8) & 0xff,
+  n & 0xff,
+];
+const uint16 = (n) => [(n >>> 8) & 0xff, n & 0xff];
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+
+const clamp7 = (n) => Math.max(0, Math.min(127, Math.round(n)));
+
+export function noteOn(tick, channel, key, velocity = 96) {
+  return {
+    tick,
+    order: ORDER_ON,
+    bytes: [0x90 | channel, clamp7(key), clamp7(velocity)],
+  };
+}
+
+export function noteOff(tick, channel, key) {
+  return { tick, order: ORDER_OFF, bytes: [0x80 | channel, clamp7(key), 0] };
+}
+
+export function programChange(tick, channel, program) {
+  return { tick, order: ORDER_META, bytes: [0xc0 | channel, clamp7(program)] };
+}
+
+export function metaEvent(tick, type, data = []) {
+  return {
+    tick,
+    order: ORDER_META,
+    bytes: [0xff, type, ...varLen(data.length), ...data],
+  };
+}
+
+export const trackNameEvent = (tick, name) =>
+  metaEvent(tick, META.trackName, textBytes(name));
+
+export const lyricEvent = (tick, text) =>
+  metaEvent(tick, META.lyric, textBytes(text));
+
+export const textEvent = (tick, text) =>
+  metaEvent(tick, META.text, textBytes(text));
+
+/** tempo in quarter notes per minute -> microseconds per quarter */
+export const tempoEvent = (tick, bpm) => {
+  const micros = Math.round(60_000_000 / bpm);
+  return metaEvent(tick, META.tempo, uint32(micros).slice(1));
+};
+
+/** 6/8 -> nn 6, dd 3 (2^3 = 8), 24 clocks per click, 8 32nds per quarter */
+export const timeSignatureEvent = (tick, beats, unit) =>
+  metaEvent(tick, META.timeSignature, [beats, Math.log2(unit), 24, 8]);
+
+/** fifths: -7..7 (negative = flats), minor: false/true */
+export const keySignatureEvent = (tick, fifths, minor = false) =>
+  metaEvent(tick, META.keySignature, [fifths & 0xff, minor ? 1 : 0]);
+
+function trackChunk(events) {
+  const sorted = events
+    .map((event, i) => ({ ...event, i }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order || a.i - b.i);
+  const data = [];
+  let last = 0;
+  for (const event of sorted) {
+    const tick = Math.max(0, Math.round(event.tick));
+    data.push(...varLen(tick - last), ...event.bytes);
+    last = tick;
+  }
+  data.push(0x00, 0xff, META.endOfTrack, 0x00);
+  return [...ascii("MTrk"), ...uint32(data.length), ...data];
+}
+
+/**
+ * writeMidiFile
+ * - one track -> format 0, more -> format 1 (first track = tempo/time track)
+ *
+ * @param {object[][]} tracks events made with the helpers above
+ * @param {{division?: number}} [options] ticks per quarter note
+ * @returns {Uint8Array}
+ */
+export function writeMidiFile(tracks, { division = DEFAULT_DIVISION } = {}) {
+  const header = [
+    ...ascii("MThd"),
+    ...uint32(6),
+    ...uint16(tracks.length > 1 ? 1 : 0),
+    ...uint16(tracks.length),
+    ...uint16(division),
+  ];
+  return Uint8Array.from([...header, ...tracks.flatMap(trackChunk)]);
+}
@@ -0,0 +1,140 @@
+// src/utils/smf.test.js
+// Standard MIDI File op byteniveau: headers, varLen en meta-events.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+  keySignatureEvent,
+  lyricEvent,
+  noteOff,
+  noteOn,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent,
+  varLen,
+  writeMidiFile,
+} from "./smf.js";
+
+const ascii = (s) => [...s].map((c) => c.charCodeAt(0));
+const END_OF_TRACK = [0x00, 0xff, 0x2f, 0x00];
+// a track's expected bytes, one event (delta time + bytes) per argument
+const track = (...events) => [...events.flat(), ...END_OF_TRACK];
+
+// the data of every track chunk (without "MTrk" and its length)
+function readTracks(bytes) {
+  const tracks = [];
+  let at = 14;
+  while (at < bytes.length) {
+    assert.deepEqual([...bytes.slice(at, at + 4)], ascii("MTrk"));
+    const view = new DataView(bytes.buffer, bytes.byteOffset + at + 4, 4);
+    const length = view.getUint32(0);
+    tracks.push([...bytes.slice(at + 8, at + 8 + length)]);
+    at += 8 + length;
+  }
+  assert.equal(at, bytes.length, "chunk lengtes kloppen");
+  return tracks;
+}
+
+describe("varLen", () => {
+  test("examples from the SMF specification", () => {
+    const cases = [
+      [0x00, [0x00]],
+      [0x40, [0x40]],
+      [0x7f, [0x7f]],
+      [0x80, [0x81, 0x00]],
+      [0x2000, [0xc0, 0x00]],
+      [0x3fff, [0xff, 0x7f]],
+      [0x4000, [0x81, 0x80, 0x00]],
+      [0x100000, [0xc0, 0x80, 0x00]],
+      [0x1fffff, [0xff, 0xff, 0x7f]],
+      [0x200000, [0x81, 0x80, 0x80, 0x00]],
+      [0x0fffffff, [0xff, 0xff, 0xff, 0x7f]],
+    ];
+    for (const [value, bytes] of cases) assert.deepEqual(varLen(value), bytes);
+  });
+
+  test("out of range", () => {
+    assert.throws(() => varLen(-1), RangeError);
+    assert.throws(() => varLen(0x10000000), RangeError);
+    assert.throws(() => varLen(1.5), RangeError);
+  });
+});
+
+describe("writeMidiFile", () => {
+  test("MThd: format 0 for one track", () => {
+    const bytes = writeMidiFile([[]]);
+    assert.deepEqual(
+      [...bytes.slice(0, 14)],
+      [...ascii("MThd"), 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xe0],
+    );
+    assert.deepEqual(readTracks(bytes), [track()]);
+  });
+
+  test("MThd: format 1, track count and division", () => {
+    const bytes = writeMidiFile([[], [], []], { division: 96 });
+    assert.deepEqual(
+      [...bytes.slice(0, 14)],
+      [...ascii("MThd"), 0, 0, 0, 6, 0, 1, 0, 3, 0, 96],
+    );
+    assert.equal(readTracks(bytes).length, 3);
+  });
+
+  test("MTrk: delta times, note-offs before note-ons on the same tick", () => {
+    const bytes = writeMidiFile([
+      [
+        noteOn(480, 0, 62),
+        noteOff(480, 0, 60),
+        noteOn(0, 0, 60, 100),
+        noteOff(200, 0, 62),
+      ],
+    ]);
+    assert.deepEqual(readTracks(bytes), [
+      track(
+        [0x00, 0x90, 60, 100],
+        [0x81, 0x48, 0x80, 62, 0], // 200 ticks later
+        [0x82, 0x18, 0x80, 60, 0], // 280 ticks later
+        [0x00, 0x90, 62, 96],
+      ),
+    ]);
+  });
+});
+
+describe("meta events", () => {
+  const only = (event) => readTracks(writeMidiFile([[event]]))[0];
+
+  test("track name and lyric (UTF-8 text)", () => {
+    assert.deepEqual(
+      only(trackNameEvent(0, "Zang")),
+      track([0x00, 0xff, 0x03, 4, ...ascii("Zang")]),
+    );
+    assert.deepEqual(
+      only(lyricEvent(0, "één")),
+      track([0x00, 0xff, 0x05, 5, 0xc3, 0xa9, 0xc3, 0xa9, 0x6e]),
+    );
+  });
+
+  test("tempo: microseconds per quarter in three bytes", () => {
+    // 120 bpm = 500000 µs = 0x07a120
+    assert.deepEqual(
+      only(tempoEvent(0, 120)),
+      track([0x00, 0xff, 0x51, 0x03, 0x07, 0xa1, 0x20]),
+    );
+    // 90 bpm = 666667 µs = 0x0a2c2b
+    assert.deepEqual(
+      only(tempoEvent(0, 90)),
+      track([0x00, 0xff, 0x51, 0x03, 0x0a, 0x2c, 0x2b]),
+    );
+  });
+
+  test("time and key signature", () => {
+    assert.deepEqual(
+      only(timeSignatureEvent(0, 6, 8)),
+      track([0x00, 0xff, 0x58, 0x04, 6, 3, 24, 8]),
+    );
+    // Bb minor: 5 flats
+    assert.deepEqual(
+      only(keySignatureEvent(0, -5, true)),
+      track([0x00, 0xff, 0x59, 0x02, 0xfb, 0x01]),
+    );
+  });
+});
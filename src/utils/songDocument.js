@@ -0,0 +1,225 @@
+// src/utils/songDocument.js
+// Song document = alles wat nodig is om een lied terug te openen.
+// Het formaat is geversioneerd: oudere documenten worden bij het inlezen
+// stap voor stap gemigreerd naar SCHEMA_VERSION.
+
+import { DEFAULT_LANES, normalizeLanes } from "./lanes.js";
+
+export const SCHEMA_VERSION = 4;
+
+export const SONG_FILE_EXTENSION = ".songgrid.json";
+
+// limits of the song fields every input and importer shares
+export const DEFAULT_TEMPO = 100;
+export const TEMPO_MIN = 30;
+export const TEMPO_MAX = 300;
+export const CAPO_MAX = 11;
+
+/**
+ * clampTempo
+ * - quarter notes per minute within TEMPO_MIN..TEMPO_MAX; empty, zero or
+ *   invalid input gives `fallback`
+ */
+export function clampTempo(value, fallback = DEFAULT_TEMPO) {
+  const n = Math.round(Number(value));
+  if (!(n > 0)) return fallback;
+  return Math.min(TEMPO_MAX, Math.max(TEMPO_MIN, n));
+}
+
+/** capo fret 0..CAPO_MAX; invalid input gives 0 */
+export function clampCapo(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(CAPO_MAX, Math.max(0, n)) : 0;
+}
+
+const DEFAULT_VIEW = {
+  // "letters" | "nashville" | "roman" (see numberChords.js)
+  chordDisplay: "letters",
+  // chord diagram strip per section: "off" | "guitar" | "ukulele"
+  diagrams: "off",
+};
+
+export function makeSongId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `song-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * createSongDocument
+ * - fills in defaults for every field of the current schema
+ *
+ * @param {object} [fields]
+ * @returns {object}
+ */
+export function createSongDocument(fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    id: fields.id ?? makeSongId(),
+    title: fields.title ?? "Naamloos lied",
+    artist: fields.artist ?? "",
+    createdAt: fields.createdAt ?? now,
+    updatedAt: fields.updatedAt ?? now,
+    key: fields.key ?? "", // e.g. "G", "F#m"; "" = unknown
+    timeSignature: fields.timeSignature ?? "4/4",
+    tempo: clampTempo(fields.tempo), // quarter notes per minute
+    capo: clampCapo(fields.capo),
+    // automatic syllable splitting: "off" | "nl" | "en" (see hyphenation.js)
+    hyphenation: fields.hyphenation ?? "off",
+    // PDF export settings; missing keys fall back to DEFAULT_PDF_OPTIONS
+    pdfOptions: { ...(fields.pdfOptions ?? {}) },
+    rawText: fields.rawText ?? "",
+    inputValues: { ...(fields.inputValues ?? {}) },
+    borders: { ...(fields.borders ?? {}) },
+    // annotation lanes in grid order (see lanes.js)
+    lanes: normalizeLanes(fields.lanes),
+    view: withDefaults(DEFAULT_VIEW, fields.view),
+  };
+}
+
+/**
+ * songMetaOf
+ * - the song-level fields App keeps together in its `songMeta` state
+ *
+ * @param {object} doc
+ * @returns {object}
+ */
+export function songMetaOf(doc) {
+  const {
+    id,
+    title,
+    artist,
+    createdAt,
+    key,
+    timeSignature,
+    tempo,
+    capo,
+    hyphenation,
+    pdfOptions,
+  } = doc;
+  return {
+    id,
+    title,
+    artist,
+    createdAt,
+    key,
+    timeSignature,
+    tempo,
+    capo,
+    hyphenation,
+    pdfOptions,
+  };
+}
+
+// missing/undefined keys fall back to the default
+function withDefaults(defaults, values = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(defaults)) out[k] = values?.[k] ?? v;
+  return out;
+}
+
+// MIGRATIONS[n] turns a version n document into version n + 1.
+// Version 0 = the unversioned shape: App state dumped as-is
+// ({ rawText, inputValues, borders, showChords, showRhythm, showNotes }).
+const MIGRATIONS = {
+  0: (doc) => {
+    const { showChords, showRhythm, showNotes, ...rest } = doc;
+    return {
+      ...rest,
+      schemaVersion: 1,
+      view: { showChords, showRhythm, showNotes },
+    };
+  },
+  // the three fixed lanes -> lane registry (view.show* -> lane.visible)
+  1: (doc) => {
+    const { showChords, showRhythm, showNotes, ...view } = doc.view ?? {};
+    const shown = { chord: showChords, rhythm: showRhythm, note: showNotes };
+    return {
+      ...doc,
+      schemaVersion: 2,
+      view,
+      lanes: DEFAULT_LANES.map((lane) => ({
+        ...lane,
+        visible: shown[lane.id] ?? lane.visible,
+      })),
+    };
+  },
+  // version 3 shifted rows for section marker lines; every saved document
+  // already numbers its rows without them, so only the version moves on
+  2: (doc) => ({ ...doc, schemaVersion: 3 }),
+  // version 4 escaped "-" and "~" from before syllable cells; saved
+  // documents already use them as syllable marks, so only the version moves on
+  3: (doc) => ({ ...doc, schemaVersion: 4 }),
+};
+
+/**
+ * migrateSongDocument
+ * - accepts any known schema version and returns a current document
+ * - throws on documents from a newer app version or on garbage input
+ *
+ * @param {unknown} raw
+ * @returns {object}
+ */
+export function migrateSongDocument(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Geen geldig Song Grid document.");
+  }
+
+  let doc = { ...raw };
+  let version = Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : 0;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Document heeft schema versie ${version}, deze app kent maximaal versie ${SCHEMA_VERSION}.`,
+    );
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`Geen migratie van schema versie ${version}.`);
+    doc = step(doc);
+    version = doc.schemaVersion;
+  }
+
+  if (typeof doc.rawText !== "string") {
+    throw new Error("Document mist de songtekst (rawText).");
+  }
+
+  return createSongDocument(doc);
+}
+
+export function serializeSongDocument(doc) {
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * parseSongDocument
+ * - JSON text (e.g. an imported .songgrid.json file) -> current document
+ *
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseSongDocument(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Bestand is geen geldige JSON.");
+  }
+  return migrateSongDocument(raw);
+}
+
+export function songSlug(title) {
+  return (
+    String(title ?? "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase() || "song"
+  );
+}
+
+export function songFileName(title) {
+  return `${songSlug(title)}${SONG_FILE_EXTENSION}`;
+}
@@ -0,0 +1,72 @@
+// src/utils/songDocument.test.js
+// Oudere songdocumenten inlezen: elke migratie houdt de annotaties op hun
+// woord.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { normalizeTextToRows } from "./lyrics.js";
+import { migrateSongDocument, SCHEMA_VERSION } from "./songDocument.js";
+
+describe("migrateSongDocument", () => {
+  test("a version 2 document keeps its rows under section markers", () => {
+    const doc = migrateSongDocument({
+      schemaVersion: 2,
+      rawText: "[Verse]\nAmazing grace\n\n[Chorus]\nhow sweet the sound",
+      inputValues: { "0:0:chord": "G", "1:2:chord": "C" },
+      borders: { "1:2": { left: false, right: true } },
+    });
+    assert.equal(doc.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(doc.inputValues, { "0:0:chord": "G", "1:2:chord": "C" });
+    assert.deepEqual(doc.borders, { "1:2": { left: false, right: true } });
+    const rows = normalizeTextToRows(doc.rawText);
+    assert.equal(rows[1][2], "the");
+  });
+
+  test("a document saved with split syllables keeps them", () => {
+    const doc = migrateSongDocument({
+      schemaVersion: 2,
+      rawText: "[Chorus]\nhal-le-lu~jah sing\nwell\\-known",
+      inputValues: { "0:0:chord": "C", "0:2:chord": "F", "0:4:chord": "G" },
+      borders: { "0:3": { left: false, right: true } },
+    });
+    assert.equal(doc.rawText, "[Chorus]\nhal-le-lu~jah sing\nwell\\-known");
+    assert.deepEqual(normalizeTextToRows(doc.rawText), [
+      ["hal-", "le-", "lu-", "jah", "sing"],
+      ["well-known"],
+    ]);
+    assert.deepEqual(doc.inputValues, {
+      "0:0:chord": "C",
+      "0:2:chord": "F",
+      "0:4:chord": "G",
+    });
+    assert.deepEqual(doc.borders, { "0:3": { left: false, right: true } });
+  });
+
+  test("an unversioned document gets lanes and defaults", () => {
+    const doc = migrateSongDocument({
+      rawText: "Amazing grace",
+      inputValues: { "0:1:chord": "D" },
+      borders: {},
+      showChords: true,
+      showRhythm: true,
+      showNotes: false,
+    });
+    assert.equal(doc.schemaVersion, SCHEMA_VERSION);
+    assert.deepEqual(doc.inputValues, { "0:1:chord": "D" });
+    assert.deepEqual(
+      doc.lanes.map((lane) => [lane.id, lane.visible]),
+      [
+        ["chord", true],
+        ["rhythm", true],
+        ["note", false],
+      ],
+    );
+  });
+
+  test("documents from a newer version are refused", () => {
+    assert.throws(
+      () => migrateSongDocument({ schemaVersion: SCHEMA_VERSION + 1 }),
+      /schema versie/,
+    );
+  });
+});
@@ -0,0 +1,222 @@
+// src/utils/songLibrary.js
+// Liedjesbibliotheek in localStorage.
+// - index:  "song-grid:library"  -> [{ id, title, updatedAt }]
+// - lied:   "song-grid:song:<id>" -> volledig song document (JSON)
+// - laatst geopend: "song-grid:current" -> id
+// - undo-geschiedenis: "song-grid:history:<id>" -> { past, present, future },
+//   enkel voor het geopende lied en begrensd in grootte (HISTORY_MAX_CHARS)
+
+import {
+  createSongDocument,
+  makeSongId,
+  migrateSongDocument,
+  serializeSongDocument,
+} from "./songDocument.js";
+
+const INDEX_KEY = "song-grid:library";
+const CURRENT_KEY = "song-grid:current";
+const songKey = (id) => `song-grid:song:${id}`;
+const HISTORY_PREFIX = "song-grid:history:";
+const historyKey = (id) => `${HISTORY_PREFIX}${id}`;
+
+// stored undo steps stay well below the ~5 MB localStorage quota
+const HISTORY_MAX_CHARS = 1_000_000;
+
+function storage() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    // e.g. storage disabled by the browser
+    return null;
+  }
+}
+
+function readJson(key, fallback) {
+  const raw = storage()?.getItem(key);
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+function writeIndex(entries) {
+  storage()?.setItem(INDEX_KEY, JSON.stringify(entries));
+  return entries;
+}
+
+/**
+ * listSongs
+ * - most recently updated first
+ *
+ * @returns {Array<{id: string, title: string, updatedAt: string}>}
+ */
+export function listSongs() {
+  const entries = readJson(INDEX_KEY, []);
+  return (Array.isArray(entries) ? entries : [])
+    .slice()
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * loadSong
+ * - returns null when the song does not exist or cannot be migrated
+ *
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function loadSong(id) {
+  const raw = readJson(songKey(id), null);
+  if (!raw) return null;
+  try {
+    return migrateSongDocument(raw);
+  } catch (err) {
+    console.warn(`Song ${id} kon niet geladen worden:`, err);
+    return null;
+  }
+}
+
+/**
+ * saveSong
+ * - writes the document and updates its index entry
+ * - storage full: drops the stored undo history and tries again; throws when
+ *   the song still does not fit (App keeps it in memory and warns)
+ *
+ * @param {object} doc
+ * @returns {object} the saved document (with fresh updatedAt)
+ */
+export function saveSong(doc) {
+  const saved = { ...doc, updatedAt: new Date().toISOString() };
+  const store = storage();
+  if (!store) return saved;
+
+  const json = serializeSongDocument(saved);
+  try {
+    store.setItem(songKey(saved.id), json);
+  } catch {
+    pruneHistories(null);
+    try {
+      store.setItem(songKey(saved.id), json);
+    } catch (err) {
+      console.warn("Autosave mislukt:", err);
+      throw new Error(
+        "De opslag van de browser is vol: wijzigingen worden niet bewaard. Exporteer het lied of verwijder oude liedjes.",
+      );
+    }
+  }
+
+  const entry = {
+    id: saved.id,
+    title: saved.title,
+    updatedAt: saved.updatedAt,
+  };
+  const others = listSongs().filter((e) => e.id !== saved.id);
+  writeIndex([entry, ...others]);
+  return saved;
+}
+
+export function deleteSong(id) {
+  storage()?.removeItem(songKey(id));
+  storage()?.removeItem(historyKey(id));
+  writeIndex(listSongs().filter((e) => e.id !== id));
+  if (getCurrentSongId() === id) storage()?.removeItem(CURRENT_KEY);
+}
+
+export function renameSong(id, title) {
+  const doc = loadSong(id);
+  if (!doc) return null;
+  return saveSong({ ...doc, title });
+}
+
+export function duplicateSong(id) {
+  const doc = loadSong(id);
+  if (!doc) return null;
+  return saveSong(
+    createSongDocument({
+      ...doc,
+      id: makeSongId(),
+      title: `${doc.title} (kopie)`,
+      createdAt: undefined,
+    }),
+  );
+}
+
+/**
+ * loadHistory / saveHistory
+ * - undo/redo steps of a song, kept next to (not in) the song document so
+ *   they survive a reload but never end up in an exported file
+ * - only the open song keeps its history: saving it removes the others
+ */
+export function loadHistory(id) {
+  return readJson(historyKey(id), null);
+}
+
+export function saveHistory(id, history) {
+  pruneHistories(id);
+  try {
+    storage()?.setItem(historyKey(id), JSON.stringify(limitHistory(history)));
+  } catch (err) {
+    // quota exceeded: the history is a nice-to-have, drop it
+    console.warn("Geschiedenis niet bewaard:", err);
+    storage()?.removeItem(historyKey(id));
+  }
+}
+
+// removes the stored history of every song but `keepId`
+function pruneHistories(keepId) {
+  const store = storage();
+  if (!store) return;
+  const keys = [];
+  for (let i = 0; i < store.length; i++) {
+    const key = store.key(i);
+    if (key?.startsWith(HISTORY_PREFIX) && key !== historyKey(keepId)) {
+      keys.push(key);
+    }
+  }
+  for (const key of keys) store.removeItem(key);
+}
+
+// the steps nearest to `present` that fit in HISTORY_MAX_CHARS together
+function limitHistory({ past, present, future }) {
+  let budget = HISTORY_MAX_CHARS - JSON.stringify(present).length;
+  const fits = (step) => {
+    budget -= JSON.stringify(step).length;
+    return budget >= 0;
+  };
+  const keptPast = [];
+  for (let i = past.length - 1; i >= 0 && fits(past[i]); i--) {
+    keptPast.unshift(past[i]);
+  }
+  const keptFuture = [];
+  for (let i = 0; i < future.length && fits(future[i]); i++) {
+    keptFuture.push(future[i]);
+  }
+  return { past: keptPast, present, future: keptFuture };
+}
+
+export function getCurrentSongId() {
+  return storage()?.getItem(CURRENT_KEY) ?? null;
+}
+
+export function setCurrentSongId(id) {
+  storage()?.setItem(CURRENT_KEY, id);
+}
+
+/**
+ * loadInitialSong
+ * - last opened song, else the most recent one, else a fresh document
+ *
+ * @returns {object}
+ */
+export function loadInitialSong() {
+  const currentId = getCurrentSongId();
+  const current = currentId ? loadSong(currentId) : null;
+  if (current) return current;
+
+  for (const entry of listSongs()) {
+    const doc = loadSong(entry.id);
+    if (doc) return doc;
+  }
+  return createSongDocument();
+}
@@ -0,0 +1,82 @@
+// src/utils/staff.js
+// Notenbalk-snippet per lijngroep: geometrie zonder tekenwerk.
+// De preview (SVG) en de PDF (jsPDF) tekenen allebei deze layout, zodat ze
+// hetzelfde tonen. Altijd een G-sleutel-balk; te lage/hoge noten krijgen
+// hulplijnen. Eenheid = wat de aanroeper als `spacing` meegeeft (px of mm).
+
+import { diatonicIndex } from "./notes.js";
+import { compareRat, ZERO } from "./rational.js";
+
+const BOTTOM_LINE = 30; // E4
+const MIDDLE_LINE = 34; // B4: from here stems go down
+const LOW_LEDGER = 28; // C4
+const HIGH_LEDGER = 40; // A5
+
+const FLAGS = { 8: 1, 16: 2, 32: 3 };
+const ACCIDENTALS = { 1: "♯", 2: "×", "-1": "♭", "-2": "♭♭" };
+
+const ratio = (a, b) => a.num / a.den / (b.num / b.den);
+
+/**
+ * layoutStaff
+ * - cells: [{ x, width, events, length }] with x relative to the line group
+ *   and events/length from melodyEvents
+ * - notes sit at their time offset inside the cell (evenly spread when the
+ *   cell has no rhythm)
+ *
+ * @returns {{height: number, lines: number[], heads: object[]}} or null when
+ *   there is nothing to draw
+ */
+export function layoutStaff(cells, { spacing: s }) {
+  const top = s * 3; // room for ledger lines above
+  const bottomY = top + s * 4;
+  const yOf = (d) => bottomY - ((d - BOTTOM_LINE) * s) / 2;
+  const pad = s * 1.2;
+
+  const heads = [];
+  for (const cell of cells) {
+    const avail = Math.max(0, cell.width - pad * 2);
+    const timed = compareRat(cell.length ?? ZERO, ZERO) > 0;
+    cell.events.forEach((event, i) => {
+      if (!event.note) return;
+      const at = timed
+        ? ratio(event.offset, cell.length)
+        : i / Math.max(1, cell.events.length);
+      const x = cell.x + pad + at * avail;
+      const d = diatonicIndex(event.note);
+      const y = yOf(d);
+
+      const ledgers = [];
+      for (let l = LOW_LEDGER; l >= d; l -= 2) ledgers.push(yOf(l));
+      for (let l = HIGH_LEDGER; l <= d; l += 2) ledgers.push(yOf(l));
+
+      const up = d < MIDDLE_LINE;
+      const hasStem = event.value >= 2;
+      heads.push({
+        x,
+        y,
+        filled: event.value === 0 || event.value >= 4,
+        stem: hasStem
+          ? {
+              x: up ? x + s * 0.6 : x - s * 0.6,
+              y1: y,
+              y2: up ? y - s * 3.5 : y + s * 3.5,
+              up,
+            }
+          : null,
+        flags: FLAGS[event.value] ?? 0,
+        dots: event.dots,
+        accidental: ACCIDENTALS[event.note.alter] ?? "",
+        ledgers,
+      });
+    });
+  }
+
+  if (!heads.length) return null;
+  return {
+    height: bottomY + s * 3,
+    lines: [0, 1, 2, 3, 4].map((k) => top + k * s),
+    heads,
+    spacing: s,
+  };
+}